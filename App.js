@@ -1,244 +1,586 @@
-import React, { useState, useEffect, useRef } from 'react';
-import { motion, AnimatePresence } from 'framer-motion';
-
-// --- Configuration ---
-// This object centralizes all configurable text content for easy customization.
-const appConfig = {
-  hero: {
-    title: "Intezaar Qabool Hai...",
-    subtext: "Ek wada, 5 saal ka. Mohabbat se, rooh se.",
-  },
-  countdown: {
-    title: "Tere lautne tak...",
-    phrases: {
-      years: "saal,",
-      days: "yaadon se bhare din,",
-      hours: "tanha raaton ke ghante,",
-      minutes: "khwabon ke lamhe,",
-      seconds: "be-saansein saans baaki hain...",
-    },
-  },
-  shayari: {
-    title: "Dil Ki Awaaz...",
-    lines: [
-      "Waqt badalta raha... par ek chehra tha jo ruk gaya.",
-      "Kabhi tu yaad aaye, toh lagta hai waqt ruk gaya ho.",
-      "Main nahi badla, bas din badal gaye... naam ab bhi tera hi hai.",
-      "Har saans mein tera naam hai, har dhadkan mein tera ehsaas.",
-      "Intezaar ki hadd nahi, bas teri aahat ka intezaar hai.",
-      "Teri yaadon mein khoya rehta hoon, jaise koi gehra raaz ho.",
-      "Yeh dil aaj bhi wahi hai, jahan tune chhod diya tha.",
-      "Har pal tera intezaar, har lamha teri talaash.",
-      "Mohabbat ki gehraiyon mein, sirf tera hi aks hai.",
-      "Meri zindagi ki kitaab mein, har panna tere naam ka hai."
-    ],
-  },
-  visualTransition: {
-    text: "Agar tu laut ke aaye... toh main wahi milunga, waisa hi milunga.",
-  },
-  commitmentPledge: {
-    quote: "Na koi aur hoga, na kabhi tha.\nBas tu hi thi, tu hi hai, tu hi rahegi.",
-    signature: "— Uska intezaar jo har saans mein tujhe jeeta hai.",
-  },
-  footer: {
-    updateText: "Updated every second. Kyunki intezaar band nahi hota.",
-    credit: "Built with ❤️ by Skylord",
-  },
-  audio: {
-    src: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-1.mp3",
-    consoleMessage: "Tujhe yaad karne ka waqt nahi guzarta...",
-  },
+import React, { useState, useEffect, useRef, useMemo, useCallback, useContext, lazy, Suspense } from 'react';
+import { motion, AnimatePresence, MotionConfig, useMotionValue, useSpring, useTransform, useReducedMotion, useInView } from 'framer-motion';
+import './index.css';
+import { resolvePromiseDates } from './dateUtils.js';
+import { appConfig as defaultConfig } from './appConfig.js';
+import { loadAppConfig, resolveConfig, DEFAULT_CONFIG_URL } from './configLoader.js';
+import { appConfigSchema, validateConfig } from './configSchema.js';
+import { isEditMode, setIn, loadDraft, saveDraft, clearDraft, exportConfig, importConfig } from './configDraft.js';
+import { SCRIPTS, loadScript, saveScript } from './scripts.js';
+import { parseShayariText } from './shayariLibrary.js';
+import { createAudioPlayer } from './audioPlayer.js';
+import { createBeatDetector } from './audioAnalyser.js';
+import { MOTION_PREFERENCES, shouldReduceMotion, loadMotionPreference, saveMotionPreference } from './motionPreference.js';
+import { createParallaxInput, needsTiltPermission, requestTiltPermission } from './parallax.js';
+import { registerServiceWorker, cacheAudioTracks } from './offline.js';
+import {
+  ConfigContext, useConfig, PrerenderContext, ForgetDeviceContext, ScriptContext, useScript, MotionPreferenceContext, useReduceMotion,
+  MusicContext, ParallaxContext, useMusic, useLocalized,
+} from './appContext.js';
+import { useHydrated, useRenderTime, useNow, useCountdown } from './hooks.js';
+import { ParallaxLayer, Starfield } from './visualLayers.js';
+import ShareButton from './ShareButton.js';
+import UnlockScreen from './UnlockScreen.js';
+import { deriveKey, unsealWithKey } from './vault.js';
+import { rememberKey, loadRememberedKey, forgetKey } from './configLock.js';
+import { resolveTheme, themeAtTime, themeCss } from './theme.js';
+
+/**
+ * lazySection: Like React.lazy, but the section can also be loaded ahead of rendering.
+ * A prerendered section that is still loading when the page hydrates stays inert, and the first
+ * update from above (e.g. the music player starting up) replaces it with the placeholder until its
+ * code arrives. Once preloaded, a section renders without suspending, so it hydrates in place.
+ * @param {Function} load - Imports the section's module.
+ * @returns {Object} The lazy component, with a `preload()` that resolves once the module is loaded.
+ */
+const lazySection = (load) => {
+  let loaded = null;
+  const preload = () => load().then((module) => {
+    loaded = module;
+    return module;
+  });
+  // React.lazy takes any thenable; one that resolves on the spot means the section is ready
+  const Section = lazy(() => (loaded ? { then: (resolve) => resolve(loaded) } : preload()));
+  Section.preload = preload;
+  return Section;
 };
 
+// Sections below the fold are split into their own chunks and load after the first paint
+const MilestoneTimeline = lazySection(() => import('./MilestoneTimeline.js'));
+const ShayariCarousel = lazySection(() => import('./ShayariCarousel.js'));
+const VisualTransitionSection = lazySection(() => import('./VisualTransitionSection.js'));
+const LettersSection = lazySection(() => import('./LettersSection.js'));
+const JournalSection = lazySection(() => import('./JournalSection.js'));
+const CommitmentPledgeSection = lazySection(() => import('./CommitmentPledgeSection.js'));
+
+/**
+ * preloadSections: Loads the code of every lazy section. index.tsx waits for this before hydrating.
+ * @returns {Promise} Resolves once all of them are loaded.
+ */
+export const preloadSections = () => Promise.all(
+  [MilestoneTimeline, ShayariCarousel, VisualTransitionSection, LettersSection, JournalSection, CommitmentPledgeSection]
+    .map((section) => section.preload())
+);
+
+// Holds the space of a section whose code is still loading, so the page doesn't jump when it arrives
+const SectionPlaceholder = () => <div className="min-h-screen" aria-busy="true"></div>;
+
 // --- Custom Hooks ---
 
 /**
- * useCountdown: Manages the live countdown logic.
- * @param {React.MutableRefObject<Date>} targetDateRef - A ref to the target Date object for the countdown.
- * @returns {Object} An object containing the remaining years, days, hours, minutes, and seconds.
+ * useAppConfig: Loads the runtime config once on mount.
+ * A prerendered page starts out ready with the config it was built with, and only re-renders if
+ * the runtime config turns out to be different (e.g. config.json was edited after the build).
+ * A locked config stays 'locked' until `unlock` is given its passphrase, unless this device was
+ * remembered, in which case it opens by itself.
+ * @param {Object|null} prerenderedConfig - The config the HTML was prerendered with, if any.
+ * @param {Object|null} prerenderedSealed - The sealed config, if the HTML was prerendered locked.
+ * @returns {Object} The `status` ('loading', 'locked' or 'ready'), the `config` to use, any validation
+ *   `errors`, whether it `isPrivate` (opened from a locked config), `unlock(passphrase, remember)`
+ *   (resolving to whether it worked) and `forget`, which is null unless the config was opened with a
+ *   remembered key.
  */
-const useCountdown = (targetDateRef) => {
-  const [timeLeft, setTimeLeft] = useState({});
+const useAppConfig = (prerenderedConfig, prerenderedSealed) => {
+  const [state, setState] = useState(() => (
+    prerenderedConfig
+      ? { status: prerenderedSealed ? 'locked' : 'ready', config: prerenderedConfig, errors: [], source: DEFAULT_CONFIG_URL, sealed: prerenderedSealed }
+      : { status: 'loading', config: defaultConfig, errors: [] }
+  ));
 
   useEffect(() => {
-    const calculateTimeLeft = () => {
-      const difference = targetDateRef.current.getTime() - new Date().getTime();
-      let remaining = {};
-
-      if (difference > 0) {
-        remaining = {
-          years: Math.floor(difference / (1000 * 60 * 60 * 24 * 365.25)),
-          days: Math.floor((difference / (1000 * 60 * 60 * 24)) % 365.25),
-          hours: Math.floor((difference / (1000 * 60 * 60)) % 24),
-          minutes: Math.floor((difference / 1000 / 60) % 60),
-          seconds: Math.floor((difference / 1000) % 60)
-        };
-      } else {
-        remaining = { years: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+    let cancelled = false;
+    const load = async () => {
+      const { config, errors, source, sealed = null } = await loadAppConfig(window.location.search);
+      if (sealed) {
+        const key = await loadRememberedKey(source);
+        const text = key && await unsealWithKey(sealed, key);
+        if (text) {
+          const unlocked = await resolveConfig(JSON.parse(text));
+          if (!cancelled) setState({ status: 'ready', ...unlocked, source, isPrivate: true, isRemembered: true });
+          return;
+        }
+        // The config was locked again with another passphrase since this device was remembered
+        if (key) forgetKey(source);
       }
-      return remaining;
+      if (cancelled) return;
+      const isUnchanged = errors.length === 0 && JSON.stringify(config) === JSON.stringify(prerenderedConfig) &&
+        JSON.stringify(sealed) === JSON.stringify(prerenderedSealed);
+      if (!isUnchanged) setState({ status: sealed ? 'locked' : 'ready', config, errors, source, sealed });
     };
+    load();
+    return () => {
+      cancelled = true;
+    };
+  }, []);
 
-    setTimeLeft(calculateTimeLeft());
-    const timer = setInterval(() => {
-      setTimeLeft(calculateTimeLeft());
-    }, 1000);
+  const { sealed, source } = state;
+  const unlock = useCallback(async (passphrase, remember) => {
+    const key = await deriveKey(passphrase, sealed);
+    const text = await unsealWithKey(sealed, key);
+    if (text === null) return false;
+    const unlocked = await resolveConfig(JSON.parse(text));
+    if (remember) await rememberKey(source, key);
+    setState({ status: 'ready', ...unlocked, source, isPrivate: true, isRemembered: remember });
+    return true;
+  }, [sealed, source]);
 
-    // Cleanup interval on component unmount
-    return () => clearInterval(timer);
-  }, [targetDateRef]);
+  const forget = useCallback(() => {
+    forgetKey(source);
+    setState((current) => ({ ...current, isRemembered: false }));
+  }, [source]);
 
-  return timeLeft;
+  return {
+    status: state.status,
+    config: state.config,
+    errors: state.errors,
+    isPrivate: Boolean(state.isPrivate),
+    unlock,
+    forget: state.isRemembered ? forget : null,
+  };
 };
 
 /**
- * useShayariRotation: Manages the rotation of shayari lines.
- * @param {string[]} lines - An array of shayari lines to rotate.
- * @param {number} [interval=7000] - The interval in milliseconds between shayari changes.
- * @returns {Object} An object containing the current shayari index and the current shayari line.
+ * useReunion: Reports whether the wait is over, flipping live when the end date arrives.
+ * @param {Date|null} endDate - The Date the promise ends.
+ * @returns {boolean} True once `endDate` has passed.
  */
-const useShayariRotation = (lines, interval = 7000) => {
-  const [currentShayariIndex, setCurrentShayariIndex] = useState(0);
+const useReunion = (endDate) => {
+  const renderTime = useRenderTime();
+  const [isReunion, setIsReunion] = useState(() => Boolean(endDate) && renderTime.getTime() >= endDate.getTime());
 
   useEffect(() => {
-    const shayariTimer = setInterval(() => {
-      setCurrentShayariIndex((prevIndex) => (prevIndex + 1) % lines.length);
-    }, interval);
+    if (!endDate) return undefined;
 
-    // Cleanup interval on component unmount
-    return () => clearInterval(shayariTimer);
-  }, [lines.length, interval]);
+    let timer;
+    const check = () => {
+      const remaining = endDate.getTime() - Date.now();
+      setIsReunion(remaining <= 0);
+      if (remaining > 0) {
+        // setTimeout overflows after ~24.8 days, so wait in chunks and check again
+        timer = setTimeout(check, Math.min(remaining, 2 ** 31 - 1));
+      }
+    };
+    check();
 
-  return { currentShayariIndex, currentShayari: lines[currentShayariIndex] };
+    // Cleanup timer on component unmount
+    return () => clearTimeout(timer);
+  }, [endDate]);
+
+  return isReunion;
 };
 
 /**
- * useAudioPlayer: Handles audio playback and toggle functionality.
- * @param {string} src - The URL of the audio file.
- * @param {string} [consoleMessage] - An optional message to log to the console on mount.
- * @returns {Object} An object containing the audio ref, playing state, and toggle function.
+ * useAudioPlayer: Runs the background music player (see audioPlayer.js) and follows its state.
+ * @param {Object} audioConfig - The `audio` section of the config.
+ * @returns {Object} The `player` controls (null before mounting) and its current `audioState`.
  */
-const useAudioPlayer = (src, consoleMessage) => {
-  const audioRef = useRef(null);
-  const [isPlayingAudio, setIsPlayingAudio] = useState(false);
+const useAudioPlayer = (audioConfig) => {
+  const [player, setPlayer] = useState(null);
+  const [audioState, setAudioState] = useState(null);
 
   useEffect(() => {
-    if (consoleMessage) {
-      console.log(consoleMessage);
-    }
-  }, [consoleMessage]);
-
-  const toggleAudio = () => {
-    if (audioRef.current) {
-      if (isPlayingAudio) {
-        audioRef.current.pause();
-      } else {
-        // Attempt to play audio, catch and log any errors (e.g., user gesture requirement)
-        audioRef.current.play().catch(e => console.error("Audio play failed:", e));
-      }
-      setIsPlayingAudio(!isPlayingAudio);
+    if (audioConfig.consoleMessage) {
+      console.log(audioConfig.consoleMessage);
     }
-  };
+  }, [audioConfig.consoleMessage]);
 
-  return { audioRef, isPlayingAudio, toggleAudio };
+  useEffect(() => {
+    const instance = createAudioPlayer(audioConfig);
+    setPlayer(instance);
+    setAudioState(instance.getState());
+    const unsubscribe = instance.subscribe(setAudioState);
+    // Keep the playlist around for listening offline
+    cacheAudioTracks(audioConfig);
+
+    // Stop the music and release the tracks on unmount
+    return () => {
+      unsubscribe();
+      instance.destroy();
+    };
+  }, [audioConfig]);
+
+  return { player, audioState };
 };
 
 /**
- * useMouseParallax: Creates a subtle parallax effect based on mouse movement.
- * @param {number} [strength=10] - The strength of the parallax effect (how much elements move).
- * @returns {Object} An object containing x and y offset values.
+ * useAudioReactive: Samples the music once per frame into motion values for the visuals.
+ * Values are written straight to motion values, so nothing re-renders while the music plays.
+ * @param {Object|null} player - The music player from `useAudioPlayer`.
+ * @param {boolean} isPlaying - Whether music is currently playing.
+ * @param {Object} reactiveConfig - The `audio.reactive` section of the config.
+ * @returns {Object} The `energy` and `beat` motion values (0 to 1), and whether they are live (`isReactive`).
  */
-const useMouseParallax = (strength = 10) => {
-  const [offset, setOffset] = useState({ x: 0, y: 0 });
+const useAudioReactive = (player, isPlaying, { enabled, sensitivity }) => {
+  const energy = useMotionValue(0);
+  const beat = useMotionValue(0);
+  const reduceMotion = useReduceMotion();
+  const isReactive = Boolean(enabled && isPlaying && !reduceMotion && player?.getAnalyser());
 
   useEffect(() => {
-    const handleMouseMove = (e) => {
-      const { clientX, clientY } = e;
-      const { innerWidth, innerHeight } = window;
+    if (!isReactive) return undefined;
+    const sample = createBeatDetector(player.getAnalyser(), sensitivity);
+    let frame;
+    const tick = (time) => {
+      const levels = sample(time);
+      energy.set(levels.energy);
+      beat.set(levels.beat);
+      frame = requestAnimationFrame(tick);
+    };
+    frame = requestAnimationFrame(tick);
+
+    // Stop sampling and settle back to idle when the music stops
+    return () => {
+      cancelAnimationFrame(frame);
+      energy.set(0);
+      beat.set(0);
+    };
+  }, [isReactive, player, sensitivity, energy, beat]);
 
-      // Calculate offset relative to the center of the screen
-      const centerX = innerWidth / 2;
-      const centerY = innerHeight / 2;
+  return { energy, beat, isReactive };
+};
 
-      const offsetX = (clientX - centerX) / centerX * strength;
-      const offsetY = (clientY - centerY) / centerY * strength;
+// Eases parallax layers towards the latest point, so jumps (like letting go of a drag) glide back
+const PARALLAX_SPRING = { stiffness: 120, damping: 20, mass: 0.5 };
 
-      setOffset({ x: offsetX, y: offsetY });
-    };
+/**
+ * useParallax: Follows the mouse, touch drags and device tilt (see parallax.js) into motion values.
+ * Updates arrive at most once per frame and go straight to motion values, so nothing re-renders
+ * while the pointer moves. With reduced motion nothing is followed and every layer stays centred.
+ * @param {Object} parallaxConfig - The `visuals.parallax` section of the config.
+ * @returns {Object} The `x` and `y` motion values (-1 to 1), whether tilt is waiting for the visitor's
+ *   permission (`canAskForTilt`), and `enableTilt` to ask for it from a tap.
+ */
+const useParallax = ({ tilt }) => {
+  const targetX = useMotionValue(0);
+  const targetY = useMotionValue(0);
+  const x = useSpring(targetX, PARALLAX_SPRING);
+  const y = useSpring(targetY, PARALLAX_SPRING);
+  const reduceMotion = useReduceMotion();
+  const inputRef = useRef(null);
+  const hasTiltPermission = useRef(false);
+  const [canAskForTilt, setCanAskForTilt] = useState(false);
 
-    // Add event listener for mouse movement
-    window.addEventListener('mousemove', handleMouseMove);
+  useEffect(() => {
+    if (reduceMotion) return undefined;
+    const input = createParallaxInput((point) => {
+      targetX.set(point.x);
+      targetY.set(point.y);
+    }, { tilt });
+    inputRef.current = input;
+    if (tilt && hasTiltPermission.current) input.enableTilt();
+    setCanAskForTilt(tilt && needsTiltPermission() && !hasTiltPermission.current);
 
-    // Cleanup event listener on component unmount
+    // Stop following and settle back to the centre
     return () => {
-      window.removeEventListener('mousemove', handleMouseMove);
+      input.destroy();
+      inputRef.current = null;
+      setCanAskForTilt(false);
+      targetX.set(0);
+      targetY.set(0);
     };
-  }, [strength]);
+  }, [tilt, reduceMotion, targetX, targetY]);
 
-  return offset;
+  const enableTilt = useCallback(async () => {
+    if (!(await requestTiltPermission())) return;
+    hasTiltPermission.current = true;
+    inputRef.current?.enableTilt();
+    setCanAskForTilt(false);
+  }, []);
+
+  return { x, y, canAskForTilt, enableTilt };
 };
 
 // --- Components ---
 
 /**
- * AudioPlayer Component: Handles the background audio and its toggle button.
+ * AudioPlayer Component: The background music toggle, plus a panel with the track, skip buttons and volume.
  */
 const AudioPlayer = () => {
-  const { audioRef, isPlayingAudio, toggleAudio } = useAudioPlayer(appConfig.audio.src, appConfig.audio.consoleMessage);
+  const config = useConfig();
+  const { labels, tracks } = config.audio;
+  const { player, audioState } = useMusic();
+  const [isPanelOpen, setIsPanelOpen] = useState(false);
+  const panelToggleRef = useRef(null);
+  const isPlayingAudio = Boolean(audioState?.isPlaying);
+
+  // Escape closes the panel and puts focus back where it was opened from
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape' && isPanelOpen) {
+      setIsPanelOpen(false);
+      panelToggleRef.current?.focus();
+    }
+  };
+
+  const panelButtonClasses = "p-2 rounded-full text-accent-200 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500 disabled:opacity-40";
 
   return (
-    <>
-      <audio ref={audioRef} loop>
-        <source src={appConfig.audio.src} type="audio/mp3" />
-        Your browser does not support the audio element.
-      </audio>
-
-      <motion.button
-        onClick={toggleAudio}
-        className="fixed top-4 right-4 z-50 p-3 rounded-full bg-pink-600 text-white shadow-lg hover:bg-pink-700 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-pink-500 focus:ring-opacity-75"
-        initial={{ opacity: 0, x: 50 }}
-        animate={{ opacity: 1, x: 0 }}
-        transition={{ delay: 2, duration: 0.5 }}
-        aria-label={isPlayingAudio ? "Pause background music" : "Play background music"}
-      >
-        {isPlayingAudio ? (
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15H4a1 1 0 01-1-1V9a1 1 0 011-1h1.586l4.707-4.707C10.923 3.647 11.5 4.013 11.5 4.707v14.586c0 .694-.577 1.06-1.207.672L5.586 15z" />
-          </svg>
-        ) : (
-          <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15H4a1 1 0 01-1-1V9a1 1 0 011-1h1.586l4.707-4.707C10.923 3.647 11.5 4.013 11.5 4.707v14.586c0 .694-.577 1.06-1.207.672L5.586 15zm6.414 0a1 1 0 01-1 1H4a1 1 0 01-1-1V9a1 1 0 011-1h7.586a1 1 0 011 1v6z" />
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9l-6 6M18 15l-6-6" />
+    // Marked so a tap here isn't also taken as the gesture that resumes last visit's music
+    <div className="fixed top-4 right-4 z-50 flex flex-col items-end gap-2" data-audio-control onKeyDown={handleKeyDown}>
+      <div className="flex items-center gap-2">
+        <motion.button
+          ref={panelToggleRef}
+          type="button"
+          onClick={() => setIsPanelOpen(!isPanelOpen)}
+          className="p-2 rounded-full bg-black bg-opacity-30 text-accent-200 shadow-lg hover:bg-opacity-50 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-accent-500"
+          initial={{ opacity: 0, x: 50 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ delay: 2, duration: 0.5 }}
+          aria-label={labels.controls}
+          aria-expanded={isPanelOpen}
+          aria-controls="audio-controls"
+        >
+          <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6V4m0 2a2 2 0 100 4m0-4a2 2 0 110 4m-6 8a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4m6 6v10m6-2a2 2 0 100-4m0 4a2 2 0 110-4m0 4v2m0-6V4" />
           </svg>
+        </motion.button>
+
+        <motion.button
+          type="button"
+          onClick={() => player?.toggle()}
+          className={`p-3 rounded-full bg-accent-600 text-white shadow-lg hover:bg-accent-700 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-accent-500 focus:ring-opacity-75 ${audioState?.isLoading ? 'animate-pulse' : ''}`}
+          initial={{ opacity: 0, x: 50 }}
+          animate={{ opacity: 1, x: 0 }}
+          transition={{ delay: 2, duration: 0.5 }}
+          aria-label={isPlayingAudio ? labels.pause : labels.play}
+          disabled={!player}
+        >
+          {isPlayingAudio ? (
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15H4a1 1 0 01-1-1V9a1 1 0 011-1h1.586l4.707-4.707C10.923 3.647 11.5 4.013 11.5 4.707v14.586c0 .694-.577 1.06-1.207.672L5.586 15z" />
+            </svg>
+          ) : (
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15.536 8.464a5 5 0 010 7.072m2.828-9.9a9 9 0 010 12.728M5.586 15H4a1 1 0 01-1-1V9a1 1 0 011-1h1.586l4.707-4.707C10.923 3.647 11.5 4.013 11.5 4.707v14.586c0 .694-.577 1.06-1.207.672L5.586 15zm6.414 0a1 1 0 01-1 1H4a1 1 0 01-1-1V9a1 1 0 011-1h7.586a1 1 0 011 1v6z" />
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M18 9l-6 6M18 15l-6-6" />
+            </svg>
+          )}
+        </motion.button>
+      </div>
+
+      <AnimatePresence>
+        {isPanelOpen && audioState && (
+          <motion.div
+            id="audio-controls"
+            role="group"
+            aria-label={labels.controls}
+            className="w-64 p-4 rounded-2xl bg-black bg-opacity-60 backdrop-blur-md text-gray-200 shadow-xl"
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: -10 }}
+            transition={{ duration: 0.2 }}
+          >
+            <p className="font-hand text-xl text-accent-200 truncate" aria-live="polite">
+              {tracks[audioState.trackIndex].title}
+            </p>
+            <p className="text-xs text-gray-400 truncate">{tracks[audioState.trackIndex].artist}</p>
+
+            <div className="mt-2 flex items-center justify-center gap-2">
+              <button type="button" className={panelButtonClasses} onClick={player.previous} aria-label={labels.previous} disabled={tracks.length < 2}>
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="currentColor" viewBox="0 0 24 24">
+                  <path d="M6 6h2v12H6zm3.5 6l8.5 6V6z" />
+                </svg>
+              </button>
+              <button type="button" className={panelButtonClasses} onClick={player.next} aria-label={labels.next} disabled={tracks.length < 2}>
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="currentColor" viewBox="0 0 24 24">
+                  <path d="M6 18l8.5-6L6 6v12zM16 6v12h2V6h-2z" />
+                </svg>
+              </button>
+            </div>
+
+            <div className="mt-2 flex items-center gap-2">
+              <button
+                type="button"
+                className={panelButtonClasses}
+                onClick={() => player.setMuted(!audioState.muted)}
+                aria-label={audioState.muted ? labels.unmute : labels.mute}
+                aria-pressed={audioState.muted}
+              >
+                <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="currentColor" viewBox="0 0 24 24">
+                  {audioState.muted || audioState.volume === 0
+                    ? <path d="M16.5 12A4.5 4.5 0 0014 7.97v2.21l2.45 2.45c.03-.2.05-.41.05-.63zm2.5 0c0 .94-.2 1.82-.54 2.64l1.51 1.51A8.8 8.8 0 0021 12c0-4.28-2.99-7.86-7-8.77v2.06c2.89.86 5 3.54 5 6.71zM4.27 3L3 4.27 7.73 9H3v6h4l5 5v-6.73l4.25 4.25c-.67.52-1.42.93-2.25 1.18v2.06a8.99 8.99 0 003.69-1.81L19.73 21 21 19.73l-9-9L4.27 3zM12 4L9.91 6.09 12 8.18V4z" />
+                    : <path d="M3 9v6h4l5 5V4L7 9H3zm13.5 3A4.5 4.5 0 0014 7.97v8.05c1.48-.73 2.5-2.25 2.5-4.02zM14 3.23v2.06c2.89.86 5 3.54 5 6.71s-2.11 5.85-5 6.71v2.06c4.01-.91 7-4.49 7-8.77s-2.99-7.86-7-8.77z" />}
+                </svg>
+              </button>
+              <input
+                type="range"
+                min={0}
+                max={1}
+                step={0.05}
+                className="flex-1 accent-accent-500"
+                value={audioState.muted ? 0 : audioState.volume}
+                onChange={(e) => player.setVolume(Number(e.target.value))}
+                aria-label={labels.volume}
+              />
+            </div>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+/**
+ * UpdatePrompt Component: Offers to reload when a newer build, config or shayari file has been published.
+ * It also registers the service worker that makes the page work offline (see offline.js).
+ */
+const UpdatePrompt = () => {
+  const config = useConfig();
+  const { message, action, dismiss } = config.updatePrompt;
+  const [applyUpdate, setApplyUpdate] = useState(null);
+
+  useEffect(() => {
+    registerServiceWorker((apply) => setApplyUpdate(() => apply));
+  }, []);
+
+  return (
+    <div className="fixed inset-x-0 bottom-4 z-50 flex justify-center px-4 pointer-events-none">
+      <AnimatePresence>
+        {applyUpdate && (
+          <motion.div
+            role="status"
+            className="pointer-events-auto flex flex-wrap items-center justify-center gap-3 px-5 py-3 rounded-full bg-black bg-opacity-70 backdrop-blur-sm shadow-lg"
+            initial={{ opacity: 0, y: 20 }}
+            animate={{ opacity: 1, y: 0 }}
+            exit={{ opacity: 0, y: 20 }}
+            transition={{ duration: 0.4 }}
+          >
+            <span className="font-hand text-xl text-accent-100">{message}</span>
+            <button
+              type="button"
+              onClick={applyUpdate}
+              className="px-4 py-1 rounded-full bg-accent-600 text-white hover:bg-accent-700 focus:outline-none focus:ring-2 focus:ring-accent-500"
+            >
+              {action}
+            </button>
+            <button
+              type="button"
+              onClick={() => setApplyUpdate(null)}
+              className="px-3 py-1 rounded-full text-accent-200 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500"
+            >
+              {dismiss}
+            </button>
+          </motion.div>
         )}
-      </motion.button>
-    </>
+      </AnimatePresence>
+    </div>
   );
 };
 
 /**
- * BackgroundParticles Component: Renders the glowing background particles.
+ * ScriptSwitcher Component: Lets the visitor choose the script shayari, hero and pledge text are shown in.
+ * @param {Object} props - Component props.
+ * @param {string} [props.className] - Extra classes for positioning.
  */
-const BackgroundParticles = () => {
+const ScriptSwitcher = ({ className = "fixed top-4 left-4 z-50 flex" }) => {
+  const config = useConfig();
+  const { script, setScript } = useScript();
+
   return (
-    <>
-      <div className="particle particle-1"></div>
-      <div className="particle particle-2"></div>
-      <div className="particle particle-3"></div>
-      <div className="particle particle-4"></div>
-      <div className="particle particle-5"></div>
-      <div className="particle particle-6"></div>
-      <div className="particle particle-7"></div>
-      <div className="particle particle-8"></div>
-    </>
+    <div role="radiogroup" aria-label={config.script.label} className={`${className} rounded-full bg-black bg-opacity-40 backdrop-blur-sm p-1 shadow-lg`}>
+      {Object.entries(SCRIPTS).map(([key, { label, lang }]) => (
+        <button
+          key={key}
+          type="button"
+          role="radio"
+          lang={lang}
+          aria-checked={script === key}
+          onClick={() => setScript(key)}
+          className={`px-3 py-1 rounded-full text-sm transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-accent-500 ${script === key ? 'bg-accent-600 text-white' : 'text-accent-200 hover:bg-white hover:bg-opacity-10'}`}
+        >
+          {label}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * MotionSwitcher Component: Lets the visitor turn animation down, up, or back to their device's setting.
+ * @param {Object} props - Component props.
+ * @param {string} [props.className] - Extra classes for positioning.
+ */
+const MotionSwitcher = ({ className = "flex" }) => {
+  const config = useConfig();
+  const { preference, setPreference } = useContext(MotionPreferenceContext);
+
+  return (
+    <div role="radiogroup" aria-label={config.motion.label} className={`${className} rounded-full bg-black bg-opacity-40 backdrop-blur-sm p-1 shadow-lg`}>
+      {MOTION_PREFERENCES.map((key) => (
+        <button
+          key={key}
+          type="button"
+          role="radio"
+          aria-checked={preference === key}
+          onClick={() => setPreference(key)}
+          className={`px-3 py-1 rounded-full text-sm transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-accent-500 ${preference === key ? 'bg-accent-600 text-white' : 'text-accent-200 hover:bg-white hover:bg-opacity-10'}`}
+        >
+          {config.motion.options[key]}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+/**
+ * TiltButton Component: Asks for permission to follow the phone's tilt, on browsers that need a tap first.
+ */
+const TiltButton = () => {
+  const config = useConfig();
+  const { canAskForTilt, enableTilt } = useContext(ParallaxContext);
+  if (!canAskForTilt) return null;
+
+  return (
+    <button
+      type="button"
+      onClick={enableTilt}
+      className="px-3 py-1 rounded-full text-sm text-accent-200 bg-black bg-opacity-40 backdrop-blur-sm shadow-lg hover:bg-opacity-60 transition-colors duration-300 focus:outline-none focus:ring-2 focus:ring-accent-500"
+    >
+      {config.visuals.parallax.tiltLabel}
+    </button>
+  );
+};
+
+/**
+ * ReunionCelebration Component: Floats hearts up the screen when the wait ends.
+ */
+const ReunionCelebration = () => {
+  const config = useConfig();
+  const { hearts } = config.reunion.celebration;
+
+  return (
+    <div className="fixed inset-0 z-40 pointer-events-none overflow-hidden" aria-hidden="true">
+      {[...Array(hearts)].map((_, i) => (
+        <motion.span
+          key={i}
+          className="absolute bottom-0 text-accent-400 drop-shadow-lg"
+          style={{
+            // Spread hearts evenly without randomness so re-renders don't move them
+            left: `${(i * 37) % 100}%`,
+            fontSize: `${1 + ((i * 13) % 5) * 0.5}rem`,
+          }}
+          initial={{ y: '10vh', opacity: 0 }}
+          animate={{ y: '-110vh', opacity: [0, 1, 1, 0], rotate: (i % 2 ? 1 : -1) * 20 }}
+          transition={{ duration: 4 + (i % 4), delay: (i % 10) * 0.3, ease: "easeOut" }}
+        >
+          ❤
+        </motion.span>
+      ))}
+    </div>
   );
 };
 
 /**
  * HeroSection Component: Displays the main title and subtext with typewriter effect.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isReunion - Whether to show the reunion text.
  */
-const HeroSection = () => {
-  const parallaxOffset = useMouseParallax(15); // Adjust parallax strength
+const HeroSection = ({ isReunion }) => {
+  const config = useConfig();
+  const hero = isReunion ? config.reunion.hero : config.hero;
+  const title = useLocalized(hero.title);
+  const subtext = useLocalized(hero.subtext);
+  const reduceMotion = useReduceMotion();
+  const { layers } = config.visuals.parallax;
 
   const textVariants = {
     hidden: { opacity: 0, y: 20 },
@@ -252,38 +594,91 @@ const HeroSection = () => {
 
   return (
     <section className="relative min-h-screen flex flex-col items-center justify-center text-center p-4 md:p-8">
-      <motion.h1
-        className="text-5xl md:text-7xl lg:text-8xl font-dancing text-pink-300 mb-4 drop-shadow-lg"
-        initial="hidden"
-        animate="visible"
-        variants={textVariants}
-        style={{
-          x: parallaxOffset.x, // Apply parallax effect
-          y: parallaxOffset.y, // Apply parallax effect
-        }}
-      >
-        {appConfig.hero.title}
-      </motion.h1>
-      <motion.p
-        className="text-lg md:text-2xl lg:text-3xl text-gray-300 font-caveat overflow-hidden whitespace-nowrap border-r-4 border-r-pink-500 pr-2 animate-typing"
-        initial="hidden"
-        animate="visible"
-        variants={typewriterVariants}
-        style={{ maxWidth: 'fit-content' }}
-      >
-        {appConfig.hero.subtext}
-      </motion.p>
+      <ParallaxLayer strength={layers.title}>
+        <motion.h1
+          {...title.attributes}
+          className={`text-5xl md:text-7xl lg:text-8xl ${title.fontClass || 'font-flourish'} text-accent-300 mb-4 drop-shadow-lg`}
+          initial="hidden"
+          animate="visible"
+          variants={textVariants}
+        >
+          {title.text}
+        </motion.h1>
+      </ParallaxLayer>
+      <ParallaxLayer strength={layers.subtext} className="max-w-full">
+        <motion.p
+          key={subtext.text}
+          {...subtext.attributes}
+          className={`text-lg md:text-2xl lg:text-3xl text-gray-300 ${subtext.fontClass || 'font-hand'} overflow-hidden whitespace-nowrap border-r-4 border-r-accent-500 pr-2 animate-typing`}
+          initial={reduceMotion ? false : "hidden"}
+          animate="visible"
+          variants={typewriterVariants}
+          style={{ maxWidth: 'fit-content' }}
+        >
+          {subtext.text}
+        </motion.p>
+      </ParallaxLayer>
     </section>
   );
 };
 
+/**
+ * CountdownError Component: Explains why the configured promise dates could not be used.
+ * @param {Object} props - Component props.
+ * @param {string[]} props.errors - The validation messages to show.
+ */
+const CountdownError = ({ errors }) => {
+  const config = useConfig();
+  return (
+    <div role="alert" className="border-4 border-red-400 rounded-3xl p-8 md:p-12 shadow-2xl backdrop-blur-sm bg-white bg-opacity-5 max-w-2xl">
+      <h2 className="text-3xl md:text-5xl font-heading text-accent-200 mb-6 drop-shadow-md">
+        {config.countdown.errorTitle}
+      </h2>
+      <ul className="text-lg md:text-2xl text-gray-200 font-hand space-y-2">
+        {errors.map((error) => (
+          <li key={error}>{error}</li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
 /**
  * CountdownSection Component: Displays the live countdown.
  * @param {Object} props - Component props.
- * @param {React.MutableRefObject<Date>} props.targetDateRef - A ref to the target Date object for the countdown.
+ * @param {Object} props.promiseDates - The resolved promise dates from `resolvePromiseDates`.
+ * @param {boolean} props.isReunion - Whether the wait is over and the counter should count up.
  */
-const CountdownSection = ({ targetDateRef }) => {
-  const timeLeft = useCountdown(targetDateRef);
+const CountdownSection = ({ promiseDates, isReunion }) => {
+  const config = useConfig();
+  const [mode, setMode] = useState(config.countdown.mode);
+  const activeMode = isReunion ? 'reunion' : mode;
+  const timeLeft = useCountdown(promiseDates, activeMode);
+  const copy = {
+    remaining: config.countdown,
+    elapsed: config.countdown.elapsed,
+    reunion: config.reunion.countdown,
+  }[activeMode];
+  const units = ['years', 'months', 'days', 'hours', 'minutes', 'seconds'];
+  const reduceMotion = useReduceMotion();
+
+  // The visible numbers change every second, far too often to read out, so a hidden live region
+  // repeats the countdown every `announceInterval` seconds while the section is on screen
+  const sectionRef = useRef(null);
+  const isInView = useInView(sectionRef, { amount: 0.3 });
+  const [announcement, setAnnouncement] = useState('');
+  const announcementSlot = Math.floor(Date.now() / (config.countdown.announceInterval * 1000));
+  useEffect(() => {
+    if (!isInView || promiseDates.errors.length > 0) return;
+    const sentence = units.map((unit, index) => [
+      activeMode === 'remaining' && index === 0 ? 'sirf' : '',
+      index === units.length - 1 ? 'aur' : '',
+      timeLeft[unit] || 0,
+      copy.phrases[unit],
+    ].filter((part) => part !== '').join(' '));
+    setAnnouncement(`${copy.title} ${sentence.join(' ')}`);
+    // Only a new slot, view or mode should trigger an announcement, not every tick
+  }, [announcementSlot, isInView, activeMode]);
 
   const glowVariants = {
     pulse: {
@@ -294,297 +689,659 @@ const CountdownSection = ({ targetDateRef }) => {
         repeat: Infinity,
         ease: "easeInOut"
       }
-    }
+    },
+    reactive: { opacity: 1 },
+    still: { scale: 1, opacity: 1 }
   };
 
+  // While music plays, the box swells on each beat and glows with the energy instead
+  const { energy, beat, isReactive } = useMusic();
+  const boxScale = useTransform(beat, [0, 1], [1, 1.04]);
+  const boxGlow = useTransform(energy, (level) => `0 0 ${20 + 60 * level}px rgb(var(--accent-500) / ${0.25 + 0.5 * level})`);
+
   const numberVariants = {
     initial: { opacity: 0, y: 20 },
     animate: { opacity: 1, y: 0, transition: { duration: 0.5, ease: "easeOut" } },
   };
 
   return (
-    <section className="relative min-h-screen flex flex-col items-center justify-center text-center p-4 md:p-8 bg-gradient-to-tl from-[#0f0c29] to-[#302b63]">
-      <motion.div
-        className="border-4 border-pink-500 rounded-3xl p-8 md:p-12 shadow-2xl backdrop-blur-sm bg-white bg-opacity-5"
-        variants={glowVariants}
-        animate="pulse"
-      >
-        <h2 className="text-3xl md:text-5xl font-cinzel text-pink-200 mb-6 drop-shadow-md">
-          {appConfig.countdown.title}
-        </h2>
-        <div className="text-xl md:text-3xl lg:text-4xl text-gray-100 font-caveat space-y-4">
-          <p>
-            sirf{' '}
-            <motion.span key={timeLeft.years} variants={numberVariants} initial="initial" animate="animate" className="text-pink-400 text-4xl md:text-6xl font-bold">
-              {timeLeft.years || 0}
-            </motion.span>{' '}
-            {appConfig.countdown.phrases.years}
-          </p>
-          <p>
-            <motion.span key={timeLeft.days} variants={numberVariants} initial="initial" animate="animate" className="text-pink-400 text-4xl md:text-6xl font-bold">
-              {timeLeft.days || 0}
-            </motion.span>{' '}
-            {appConfig.countdown.phrases.days}
-          </p>
-          <p>
-            <motion.span key={timeLeft.hours} variants={numberVariants} initial="initial" animate="animate" className="text-pink-400 text-4xl md:text-6xl font-bold">
-              {timeLeft.hours || 0}
-            </motion.span>{' '}
-            {appConfig.countdown.phrases.hours}
-          </p>
-          <p>
-            <motion.span key={timeLeft.minutes} variants={numberVariants} initial="initial" animate="animate" className="text-pink-400 text-4xl md:text-6xl font-bold">
-              {timeLeft.minutes || 0}
-            </motion.span>{' '}
-            {appConfig.countdown.phrases.minutes}
-          </p>
-          <p>
-            aur{' '}
-            <motion.span key={timeLeft.seconds} variants={numberVariants} initial="initial" animate="animate" className="text-pink-400 text-4xl md:text-6xl font-bold">
-              {timeLeft.seconds || 0}
-            </motion.span>{' '}
-            {appConfig.countdown.phrases.seconds}
-          </p>
-        </div>
-      </motion.div>
+    <section
+      ref={sectionRef}
+      id="countdown"
+      tabIndex={-1}
+      className="relative min-h-screen flex flex-col items-center justify-center text-center p-4 md:p-8 bg-gradient-to-tl from-night-base to-night-high focus:outline-none"
+    >
+      <p className="sr-only" role="status" aria-live="polite" aria-atomic="true">{announcement}</p>
+      {promiseDates.errors.length > 0 ? (
+        <CountdownError errors={promiseDates.errors} />
+      ) : (
+        <motion.div
+          className="border-4 border-accent-500 rounded-3xl p-8 md:p-12 shadow-2xl backdrop-blur-sm bg-white bg-opacity-5"
+          variants={glowVariants}
+          animate={isReactive ? "reactive" : reduceMotion ? "still" : "pulse"}
+          style={isReactive ? { scale: boxScale, boxShadow: boxGlow } : undefined}
+        >
+          <h2 className="text-3xl md:text-5xl font-heading text-accent-200 mb-6 drop-shadow-md">
+            {copy.title}
+          </h2>
+          <div className="text-xl md:text-3xl lg:text-4xl text-gray-100 font-hand space-y-4">
+            {units.map((unit, index) => (
+              <p key={unit}>
+                {activeMode === 'remaining' && index === 0 && <>sirf{' '}</>}
+                {index === units.length - 1 && <>aur{' '}</>}
+                <motion.span key={timeLeft[unit]} variants={numberVariants} initial="initial" animate="animate" className="text-accent-400 text-4xl md:text-6xl font-bold">
+                  {timeLeft[unit] || 0}
+                </motion.span>{' '}
+                {copy.phrases[unit]}
+              </p>
+            ))}
+          </div>
+
+          {/* Progress and mode toggle only make sense while still waiting */}
+          {!isReunion && (
+            <>
+              {/* Progress through the whole promise */}
+              <div className="mt-8">
+                <div className="flex justify-between text-sm md:text-base font-hand text-accent-200 mb-2">
+                  <span>{config.countdown.progressLabel}</span>
+                  <span>{timeLeft.progress.toFixed(2)}%</span>
+                </div>
+                <div
+                  className="h-3 w-full rounded-full bg-white bg-opacity-10 overflow-hidden"
+                  role="progressbar"
+                  aria-label={config.countdown.progressLabel}
+                  aria-valuemin={0}
+                  aria-valuemax={100}
+                  aria-valuenow={Math.round(timeLeft.progress)}
+                >
+                  <motion.div
+                    className="h-full rounded-full bg-gradient-to-r from-accent-500 to-accent-300"
+                    initial={false}
+                    animate={{ width: `${timeLeft.progress}%` }}
+                    transition={{ duration: 0.8, ease: "easeOut" }}
+                  />
+                </div>
+              </div>
+
+              <button
+                type="button"
+                onClick={() => setMode(mode === 'elapsed' ? 'remaining' : 'elapsed')}
+                className="mt-6 font-hand text-lg md:text-xl text-accent-300 underline underline-offset-4 hover:text-accent-200 focus:outline-none focus:ring-2 focus:ring-accent-500 rounded"
+              >
+                {mode === 'elapsed' ? config.countdown.remainingToggleLabel : config.countdown.elapsed.toggleLabel}
+              </button>
+            </>
+          )}
+
+          <ShareButton
+            name="countdown"
+            isReunion={isReunion}
+            getCard={() => ({
+              title: copy.title,
+              rows: units.map((unit) => ({ value: String(timeLeft[unit] || 0), label: copy.phrases[unit] })),
+              note: isReunion ? '' : `${config.countdown.progressLabel} ${timeLeft.progress.toFixed(2)}%`,
+            })}
+          />
+        </motion.div>
+      )}
     </section>
   );
 };
 
 /**
- * ShayariCarousel Component: Displays rotating shayari lines.
+ * Footer Component: Displays the footer text.
  */
-const ShayariCarousel = () => {
-  const { currentShayari } = useShayariRotation(appConfig.shayari.lines);
-
+const Footer = () => {
+  const config = useConfig();
+  const forgetDevice = useContext(ForgetDeviceContext);
   return (
-    <section className="relative min-h-screen flex flex-col items-center justify-center text-center p-4 md:p-8 bg-gradient-to-br from-[#1a1a2e] via-[#16213e] to-[#0f3460]">
-      <h2 className="text-3xl md:text-5xl font-cinzel text-pink-200 mb-10 drop-shadow-md">
-        {appConfig.shayari.title}
-      </h2>
-      <motion.div
-        className="w-full max-w-2xl h-32 flex items-center justify-center text-center"
+    <footer className="relative py-8 px-4 text-center bg-black bg-opacity-80 text-gray-300 text-sm md:text-base">
+      <motion.p
         initial={{ opacity: 0 }}
         whileInView={{ opacity: 1 }}
         viewport={{ once: true, amount: 0.5 }}
         transition={{ duration: 1 }}
       >
-        <AnimatePresence mode="wait">
-          <motion.p
-            key={currentShayari}
-            className="text-2xl md:text-4xl font-dancing text-gray-200 leading-relaxed px-4"
-            initial={{ opacity: 0, y: 20 }}
-            animate={{ opacity: 1, y: 0 }}
-            exit={{ opacity: 0, y: -20 }}
-            transition={{ duration: 0.8, ease: "easeInOut" }}
-          >
-            "{currentShayari}"
-          </motion.p>
-        </AnimatePresence>
-      </motion.div>
-    </section>
+        {config.footer.updateText}
+      </motion.p>
+      <p className="mt-2 text-gray-400">
+        {config.footer.credit}
+      </p>
+      {forgetDevice && (
+        <button
+          type="button"
+          onClick={forgetDevice}
+          className="mt-4 text-gray-400 underline underline-offset-4 hover:text-gray-300 focus:outline-none focus:ring-2 focus:ring-accent-500 rounded"
+        >
+          {config.lock.forget}
+        </button>
+      )}
+    </footer>
   );
 };
 
 /**
- * VisualTransitionSection Component: Handles the moonrise and stars animation.
+ * ConfigErrors Component: Lists problems found in the loaded config file.
+ * @param {Object} props - Component props.
+ * @param {string[]} props.errors - The validation messages to show.
  */
-const VisualTransitionSection = () => {
+const ConfigErrors = ({ errors }) => {
+  const [dismissed, setDismissed] = useState(false);
+
+  if (dismissed || errors.length === 0) return null;
+
   return (
-    <section className="relative min-h-screen flex flex-col items-center justify-center p-4 md:p-8 bg-gradient-to-b from-[#0f0c29] to-[#000000] overflow-hidden">
-      <motion.div
-        className="absolute inset-0 flex items-center justify-center"
-        initial={{ opacity: 0 }}
-        whileInView={{ opacity: 1 }}
-        viewport={{ once: true, amount: 0.6 }}
-        transition={{ duration: 2, delay: 0.5 }}
-      >
-        {/* Moon */}
-        <motion.div
-          className="moon absolute w-48 h-48 md:w-64 md:h-64 bg-gray-300 rounded-full shadow-lg"
-          style={{
-            background: 'radial-gradient(circle at 30% 30%, #f0f0f0, #a0a0a0)',
-            filter: 'blur(2px)'
-          }}
-          initial={{ y: '100%', opacity: 0 }}
-          animate={{ y: '0%', opacity: 1 }}
-          transition={{ duration: 3, ease: "easeOut" }}
-        ></motion.div>
-        {/* Stars (simple dots) */}
-        {[...Array(20)].map((_, i) => (
-          <motion.div
-            key={i}
-            className="absolute bg-white rounded-full"
-            style={{
-              width: `${Math.random() * 3 + 1}px`,
-              height: `${Math.random() * 3 + 1}px`,
-              top: `${Math.random() * 90}%`,
-              left: `${Math.random() * 90}%`,
-              filter: 'blur(0.5px)'
-            }}
-            initial={{ opacity: 0 }}
-            animate={{ opacity: [0, 1, 0], scale: [1, 1.2, 1] }}
-            transition={{
-              duration: Math.random() * 3 + 2,
-              repeat: Infinity,
-              delay: Math.random() * 2
-            }}
-          ></motion.div>
+    <div role="alert" className="fixed top-4 left-4 right-20 z-50 max-w-2xl mx-auto p-4 md:p-6 rounded-2xl border-2 border-red-400 bg-night-base bg-opacity-95 shadow-2xl text-left">
+      <div className="flex items-start justify-between gap-4">
+        <h2 className="text-lg md:text-xl font-heading text-accent-200">
+          The config file has problems, so the default text is shown:
+        </h2>
+        <button
+          type="button"
+          onClick={() => setDismissed(true)}
+          className="text-gray-400 hover:text-white focus:outline-none focus:ring-2 focus:ring-accent-500 rounded"
+          aria-label="Dismiss config errors"
+        >
+          ✕
+        </button>
+      </div>
+      <ul className="mt-3 space-y-1 text-sm md:text-base text-gray-200 font-mono list-disc pl-5">
+        {errors.map((error) => (
+          <li key={error}>{error}</li>
         ))}
-      </motion.div>
-      <motion.p
-        className="relative z-10 text-3xl md:text-5xl font-dancing text-pink-100 text-center px-4 leading-tight drop-shadow-xl"
-        initial={{ opacity: 0, y: 50 }}
-        whileInView={{ opacity: 1, y: 0 }}
-        viewport={{ once: true, amount: 0.7 }}
-        transition={{ duration: 1.5, delay: 1 }}
-      >
-        "{appConfig.visualTransition.text}"
-      </motion.p>
-    </section>
+      </ul>
+    </div>
   );
 };
 
 /**
- * CommitmentPledgeSection Component: Displays the commitment quote.
+ * ScriptProvider Component: Holds the chosen script and remembers it across visits.
+ * @param {Object} props - Component props.
+ * @param {React.ReactNode} props.children - The content that can read the script.
  */
-const CommitmentPledgeSection = () => {
-  const glowVariants = {
-    pulse: {
-      scale: [1, 1.05, 1],
-      opacity: [0.8, 1, 0.8],
-      transition: {
-        duration: 2,
-        repeat: Infinity,
-        ease: "easeInOut"
-      }
-    }
-  };
+const ScriptProvider = ({ children }) => {
+  const config = useConfig();
+  const [script, setScript] = useState(config.script.default);
+
+  // The saved choice is read after the first render, which has to match the prerendered page
+  useEffect(() => {
+    setScript(loadScript(config.script.default));
+  }, []);
+
+  useEffect(() => {
+    saveScript(script);
+  }, [script]);
+
+  const value = useMemo(() => ({ script, setScript }), [script]);
+  return <ScriptContext.Provider value={value}>{children}</ScriptContext.Provider>;
+};
 
+/**
+ * MotionPreferenceProvider Component: Holds the motion preference, remembers it across visits,
+ * and passes it on to framer-motion so entrance animations skip their movement too.
+ * @param {Object} props - Component props.
+ * @param {React.ReactNode} props.children - The content that follows the preference.
+ */
+const MotionPreferenceProvider = ({ children }) => {
+  const config = useConfig();
+  const [preference, setPreference] = useState(config.motion.default);
+  const systemPrefersReduced = Boolean(useReducedMotion());
+  // The server can't know the system setting, so the first render assumes full motion like it did
+  const reduceMotion = shouldReduceMotion(preference, useHydrated() && systemPrefersReduced);
+
+  useEffect(() => {
+    setPreference(loadMotionPreference(config.motion.default));
+  }, []);
+
+  useEffect(() => {
+    saveMotionPreference(preference);
+  }, [preference]);
+
+  const value = useMemo(() => ({ preference, setPreference, reduceMotion }), [preference, reduceMotion]);
   return (
-    <section className="relative min-h-screen flex flex-col items-center justify-center text-center p-4 md:p-8 bg-gradient-to-tr from-[#0f0c29] to-[#2c3e50]">
-      <motion.div
-        className="relative p-8 md:p-12 border-4 border-pink-500 rounded-3xl shadow-2xl bg-white bg-opacity-5 max-w-3xl w-full"
-        variants={glowVariants}
-        animate="pulse"
-      >
-        <motion.blockquote
-          className="text-3xl md:text-5xl font-cinzel text-pink-300 italic mb-6 drop-shadow-lg"
-          initial={{ opacity: 0, scale: 0.8 }}
-          whileInView={{ opacity: 1, scale: 1 }}
-          viewport={{ once: true, amount: 0.5 }}
-          transition={{ duration: 1.2, delay: 0.3 }}
-        >
-          {/* Split the quote by newline to render <br> tags */}
-          {appConfig.commitmentPledge.quote.split('\n').map((line, index) => (
-            <React.Fragment key={index}>
-              {line}
-              {index < appConfig.commitmentPledge.quote.split('\n').length - 1 && <br />}
-            </React.Fragment>
-          ))}
-        </motion.blockquote>
-        <motion.p
-          className="text-xl md:text-2xl font-caveat text-gray-400 mt-8"
-          initial={{ opacity: 0, y: 20 }}
-          whileInView={{ opacity: 1, y: 0 }}
-          viewport={{ once: true, amount: 0.5 }}
-          transition={{ duration: 1, delay: 1 }}
-        >
-          {appConfig.commitmentPledge.signature}
-        </motion.p>
-      </motion.div>
-    </section>
+    <MotionPreferenceContext.Provider value={value}>
+      <MotionConfig reducedMotion={reduceMotion ? 'always' : 'never'}>{children}</MotionConfig>
+    </MotionPreferenceContext.Provider>
   );
 };
 
 /**
- * Footer Component: Displays the footer text.
+ * Page Component: Lays out every section using the active config.
  */
-const Footer = () => {
+const Page = () => {
+  const config = useConfig();
+  const { player, audioState } = useAudioPlayer(config.audio);
+  const { energy, beat, isReactive } = useAudioReactive(player, Boolean(audioState?.isPlaying), config.audio.reactive);
+  const music = useMemo(
+    () => ({ player, audioState, energy, beat, isReactive }),
+    [player, audioState, energy, beat, isReactive]
+  );
+  const { x, y, canAskForTilt, enableTilt } = useParallax(config.visuals.parallax);
+  const parallax = useMemo(
+    () => ({ x, y, canAskForTilt, enableTilt }),
+    [x, y, canAskForTilt, enableTilt]
+  );
+
+  // Resolve the fixed promise dates once per config, so every visit counts down to the same deadline.
+  // Date overrides in the URL apply after hydration, since the prerendered page was built without them.
+  const search = useHydrated() ? window.location.search : '';
+  const promiseDates = useMemo(() => resolvePromiseDates(config.countdown, search), [config, search]);
+  const isReunion = useReunion(promiseDates.endDate);
+  const reduceMotion = useReduceMotion();
+
+  // Celebrate for a while whenever the page enters reunion mode
+  const [showCelebration, setShowCelebration] = useState(false);
+  useEffect(() => {
+    if (!isReunion) return undefined;
+    setShowCelebration(true);
+    const timer = setTimeout(() => setShowCelebration(false), config.reunion.celebration.duration * 1000);
+    return () => clearTimeout(timer);
+  }, [isReunion, config]);
+
+  const themeClasses = isReunion
+    ? 'from-reunion-base via-reunion-mid to-reunion-high'
+    : 'from-night-base via-night-mid to-night-high';
+
   return (
-    <footer className="relative py-8 px-4 text-center bg-black bg-opacity-80 text-gray-500 text-sm md:text-base">
-      <motion.p
-        initial={{ opacity: 0 }}
-        whileInView={{ opacity: 1 }}
-        viewport={{ once: true, amount: 0.5 }}
-        transition={{ duration: 1 }}
-      >
-        {appConfig.footer.updateText}
-      </motion.p>
-      <p className="mt-2 text-gray-600">
-        {appConfig.footer.credit}
-      </p>
-    </footer>
+    <MusicContext.Provider value={music}>
+      <ParallaxContext.Provider value={parallax}>
+        <div className={`min-h-screen bg-gradient-to-br ${themeClasses} transition-colors duration-1000 text-white font-body overflow-hidden relative`}>
+          <a
+            href="#countdown"
+            className="sr-only focus:not-sr-only focus:fixed focus:top-4 focus:left-1/2 focus:-translate-x-1/2 focus:z-50 focus:px-4 focus:py-2 focus:rounded-full focus:bg-accent-600 focus:text-white"
+          >
+            {config.countdown.skipLinkLabel}
+          </a>
+          {/* A little larger than the screen, so the edges never show as the layer shifts */}
+          <ParallaxLayer strength={config.visuals.parallax.layers.particles} className="fixed -inset-8 pointer-events-none">
+            <Starfield layer={config.visuals.particles} />
+          </ParallaxLayer>
+          <AudioPlayer />
+          <UpdatePrompt />
+          <div className="fixed top-4 left-4 z-50 flex flex-col items-start gap-2">
+            <ScriptSwitcher className="flex" />
+            <MotionSwitcher />
+            <TiltButton />
+          </div>
+          <AnimatePresence>
+            {/* Floating hearts are pure motion, so they are left out when motion is reduced */}
+            {showCelebration && !reduceMotion && (
+              <motion.div key="celebration" exit={{ opacity: 0 }} transition={{ duration: 1 }}>
+                <ReunionCelebration />
+              </motion.div>
+            )}
+          </AnimatePresence>
+
+          <main>
+            <HeroSection isReunion={isReunion} />
+            <CountdownSection promiseDates={promiseDates} isReunion={isReunion} />
+            <Suspense fallback={<SectionPlaceholder />}>
+              <MilestoneTimeline promiseDates={promiseDates} />
+              <ShayariCarousel isReunion={isReunion} />
+              <VisualTransitionSection />
+              <LettersSection promiseDates={promiseDates} />
+              <JournalSection promiseDates={promiseDates} />
+              <CommitmentPledgeSection />
+            </Suspense>
+          </main>
+          <Footer />
+        </div>
+      </ParallaxContext.Provider>
+    </MusicContext.Provider>
+  );
+};
+
+// --- Config Editor ---
+
+// Keys whose text is long enough to deserve a textarea
+const LONG_TEXT_KEYS = ['quote', 'message', 'text', 'subtext', 'signature'];
+
+const humanize = (key) => key.replace(/([A-Z])/g, ' $1').replace(/^./, (c) => c.toUpperCase());
+
+const inputClasses = "w-full mt-1 px-3 py-2 rounded-lg bg-white bg-opacity-10 border border-accent-500 border-opacity-40 text-gray-100 focus:outline-none focus:ring-2 focus:ring-accent-500";
+
+/**
+ * LinesField Component: Edits a list of strings as one line per entry.
+ * @param {Object} props - Component props.
+ * @param {string[]} props.value - The current list.
+ * @param {Function} props.onChange - Called with the new list, blank lines removed.
+ */
+const LinesField = ({ value, onChange }) => {
+  // Keep the raw text locally so blank lines can be typed before they're filled in
+  const [text, setText] = useState(() => (value || []).join('\n'));
+
+  return (
+    <textarea
+      className={`${inputClasses} font-hand text-lg`}
+      rows={Math.min(12, Math.max(3, (value || []).length + 1))}
+      value={text}
+      onChange={(e) => {
+        setText(e.target.value);
+        onChange(e.target.value.split('\n').map((line) => line.trim()).filter(Boolean));
+      }}
+    />
+  );
+};
+
+/**
+ * ConfigField Component: Renders a form control for one part of the config, following its schema.
+ * @param {Object} props - Component props.
+ * @param {Object} props.schema - The schema for this value (see configSchema.js).
+ * @param {*} props.value - The current value.
+ * @param {Array<string|number>} props.path - Where the value lives in the config.
+ * @param {Function} props.onChange - Called with `(path, newValue)`.
+ */
+const ConfigField = ({ schema, value, path, onChange }) => {
+  const key = path[path.length - 1];
+  const label = typeof key === 'number' ? `#${key + 1}` : humanize(key);
+
+  if (schema.type === 'object') {
+    const isTopLevel = path.length === 1;
+    return (
+      <fieldset className={isTopLevel ? "mb-8" : "mt-4 pl-4 border-l-2 border-accent-500 border-opacity-30"}>
+        <legend className={isTopLevel ? "text-2xl font-heading text-accent-200 mb-2" : "text-lg font-heading text-accent-300"}>
+          {label}
+        </legend>
+        {Object.entries(schema.properties).map(([childKey, childSchema]) => (
+          <ConfigField
+            key={childKey}
+            schema={childSchema}
+            value={value?.[childKey]}
+            path={[...path, childKey]}
+            onChange={onChange}
+          />
+        ))}
+      </fieldset>
+    );
+  }
+
+  if (schema.anyOf) {
+    // Shayari entries with metadata get their own fields around the text
+    const entrySchema = schema.anyOf.find((branch) => branch.properties?.text);
+    if (entrySchema && value && typeof value === 'object' && 'text' in value) {
+      return <ConfigField schema={entrySchema} value={value} path={path} onChange={onChange} />;
+    }
+
+    // Text with optional versions per script: edit each script separately
+    const versions = typeof value === 'string' ? { roman: value } : (value || {});
+    return (
+      <fieldset className="mt-3">
+        <legend className="text-sm text-gray-300">{label}</legend>
+        {Object.entries(SCRIPTS).map(([script, { label: scriptLabel, lang, dir }]) => (
+          <label key={script} className="block mt-1 text-xs text-gray-400">
+            {scriptLabel}
+            <textarea
+              lang={lang}
+              dir={dir}
+              rows={2}
+              className={`${inputClasses} ${SCRIPTS[script].fontClass}`}
+              value={versions[script] ?? ''}
+              onChange={(e) => onChange(path, { ...versions, [script]: e.target.value })}
+            />
+          </label>
+        ))}
+      </fieldset>
+    );
+  }
+
+  if (schema.type === 'array' && (schema.items.type === 'object' || schema.items.anyOf)) {
+    const items = value || [];
+    // New shayari lines start as entries, so they can be given a poet and tags
+    const newItem = schema.items.anyOf?.some((branch) => branch.properties?.text) ? { text: '' } : {};
+    return (
+      <div className="mt-4">
+        <p className="text-lg font-heading text-accent-300">{label}</p>
+        {items.map((item, index) => (
+          <div key={index} className="relative">
+            <ConfigField schema={schema.items} value={item} path={[...path, index]} onChange={onChange} />
+            <button
+              type="button"
+              className="mt-2 text-sm text-accent-300 underline hover:text-accent-200 focus:outline-none focus:ring-2 focus:ring-accent-500 rounded"
+              onClick={() => onChange(path, items.filter((_, i) => i !== index))}
+            >
+              Remove
+            </button>
+          </div>
+        ))}
+        <button
+          type="button"
+          className="mt-3 px-3 py-1 rounded-full border border-accent-500 text-accent-200 hover:bg-accent-600 focus:outline-none focus:ring-2 focus:ring-accent-500"
+          onClick={() => onChange(path, [...items, newItem])}
+        >
+          Add
+        </button>
+      </div>
+    );
+  }
+
+  let control;
+  if (schema.type === 'array' && schema.items.type === 'string') {
+    control = <LinesField value={value} onChange={(lines) => onChange(path, lines)} />;
+  } else if (schema.type === 'array') {
+    control = (
+      <input
+        className={inputClasses}
+        value={(value || []).join(', ')}
+        onChange={(e) => onChange(path, e.target.value.split(',').map((n) => Number(n.trim())).filter((n) => n > 0))}
+      />
+    );
+  } else if (schema.enum) {
+    control = (
+      <select className={inputClasses} value={value ?? ''} onChange={(e) => onChange(path, e.target.value)}>
+        {schema.enum.map((option) => (
+          <option key={option} value={option}>{option}</option>
+        ))}
+      </select>
+    );
+  } else if (schema.type === 'number') {
+    control = (
+      <input
+        type="number"
+        className={inputClasses}
+        min={schema.minimum}
+        max={schema.maximum}
+        step="any"
+        value={value ?? ''}
+        onChange={(e) => onChange(path, e.target.value === '' ? undefined : Number(e.target.value))}
+      />
+    );
+  } else if (schema.type === 'boolean') {
+    control = (
+      <input type="checkbox" className="ml-2" checked={Boolean(value)} onChange={(e) => onChange(path, e.target.checked)} />
+    );
+  } else if (LONG_TEXT_KEYS.includes(key)) {
+    control = <textarea className={inputClasses} rows={3} value={value ?? ''} onChange={(e) => onChange(path, e.target.value)} />;
+  } else {
+    control = <input className={inputClasses} value={value ?? ''} onChange={(e) => onChange(path, e.target.value)} />;
+  }
+
+  return (
+    <label className="block mt-3 text-sm text-gray-300">
+      {label}
+      {control}
+    </label>
   );
 };
 
-// Main App Component
-const App = () => {
-  // Set the target date to 5 years from today
-  const targetDate = useRef(new Date());
+/**
+ * ConfigEditor Component: The hidden `/edit` page, a config form beside a live preview of the real sections.
+ * @param {Object} props - Component props.
+ * @param {Object} props.initialConfig - The config to start from when there is no saved draft.
+ * @param {boolean} props.isPrivate - Whether the config was unlocked from a locked one, in which case
+ *   the draft is kept in memory only.
+ */
+const ConfigEditor = ({ initialConfig, isPrivate }) => {
+  const [draft, setDraft] = useState(() => (isPrivate ? null : loadDraft()) || initialConfig);
+  // Bumped when the whole draft is replaced, so uncontrolled bits of the form start over
+  const [revision, setRevision] = useState(0);
+  const [importErrors, setImportErrors] = useState([]);
+
+  const errors = useMemo(() => validateConfig(draft), [draft]);
+  const promiseDates = useMemo(() => resolvePromiseDates(draft.countdown), [draft.countdown]);
+
+  // Saved drafts are plain JSON, which would leave a private config readable on this device after the
+  // lock; one saved before the config was locked is cleared as well
   useEffect(() => {
-    targetDate.current.setFullYear(targetDate.current.getFullYear() + 5);
-  }, []);
+    if (isPrivate) clearDraft();
+  }, [isPrivate]);
+
+  useEffect(() => {
+    if (!isPrivate) saveDraft(draft);
+  }, [draft, isPrivate]);
+
+  const handleChange = (path, value) => {
+    setDraft((current) => setIn(current, path, value));
+  };
+
+  const replaceDraft = (config) => {
+    setDraft(config);
+    setRevision((current) => current + 1);
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    const { config, errors: fileErrors } = await importConfig(file);
+    setImportErrors(fileErrors);
+    if (config) replaceDraft(config);
+  };
+
+  const handleShayariImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    const entries = parseShayariText(await file.text());
+    setImportErrors(entries.length > 0 ? [] : [`No shayari found in "${file.name}".`]);
+    if (entries.length > 0) {
+      replaceDraft(setIn(draft, ['shayari', 'lines'], [...draft.shayari.lines, ...entries]));
+    }
+  };
+
+  const buttonClasses = "px-4 py-2 rounded-full bg-accent-600 text-white hover:bg-accent-700 focus:outline-none focus:ring-2 focus:ring-accent-500 cursor-pointer";
 
   return (
-    <div className="min-h-screen bg-gradient-to-br from-[#0f0c29] via-[#24243e] to-[#302b63] text-white font-serif overflow-hidden relative">
-      {/* Google Fonts */}
-      <link href="https://fonts.googleapis.com/css2?family=Caveat:wght@400;700&family=Dancing+Script:wght@400;700&family=Playfair+Display:wght@400;700&family=Cinzel:wght@400;700&display=swap" rel="stylesheet" />
-
-      {/* Tailwind CSS CDN */}
-      <script src="https://cdn.tailwindcss.com"></script>
-      <style>
-        {`
-          body { font-family: 'Playfair Display', serif; }
-          .font-caveat { font-family: 'Caveat', cursive; }
-          .font-dancing { font-family: 'Dancing Script', cursive; }
-          .font-cinzel { font-family: 'Cinzel', serif; }
-
-          /* Custom particle animation for background */
-          @keyframes glow-pulse {
-            0% { transform: scale(1); opacity: 0.7; }
-            50% { transform: scale(1.1); opacity: 1; }
-            100% { transform: scale(1); opacity: 0.7; }
-          }
-
-          .particle {
-            animation: glow-pulse 5s infinite ease-in-out;
-            border-radius: 50%;
-            background-color: rgba(255, 255, 255, 0.1);
-            filter: blur(5px);
-            position: absolute;
-          }
-          .particle-1 { width: 30px; height: 30px; top: 10%; left: 5%; animation-delay: 0s; }
-          .particle-2 { width: 40px; height: 40px; top: 20%; right: 15%; animation-delay: 1.5s; }
-          .particle-3 { width: 25px; height: 25px; bottom: 15%; left: 20%; animation-delay: 3s; }
-          .particle-4 { width: 35px; height: 35px; top: 40%; left: 30%; animation-delay: 0.8s; }
-          .particle-5 { width: 50px; height: 50px; bottom: 5%; right: 5%; animation-delay: 2.5s; }
-          .particle-6 { width: 20px; height: 20px; top: 60%; right: 40%; animation-delay: 4s; }
-          .particle-7 { width: 45px; height: 45px; top: 70%; left: 10%; animation-delay: 0.3s; }
-          .particle-8 { width: 30px; height: 30px; bottom: 30%; right: 25%; animation-delay: 1s; }
-
-          /* Custom moonrise effect */
-          @keyframes moonrise {
-            0% { transform: translateY(100%); opacity: 0; }
-            100% { transform: translateY(0%); opacity: 1; }
-          }
-          .moon {
-            animation: moonrise 3s ease-out forwards;
-          }
-        `}
-      </style>
-
-      <BackgroundParticles />
-      <AudioPlayer />
-
-      <HeroSection />
-      <CountdownSection targetDateRef={targetDate} />
-      <ShayariCarousel />
-      <VisualTransitionSection />
-      <CommitmentPledgeSection />
-      <Footer />
+    <div className="min-h-screen bg-night-base text-white font-body lg:flex">
+      <aside className="lg:w-[28rem] lg:h-screen lg:overflow-y-auto p-6 border-r border-accent-500 border-opacity-30">
+        <h1 className="text-3xl font-flourish text-accent-300 mb-2">Config editor</h1>
+        <p className="text-sm text-gray-400 mb-4">
+          {isPrivate
+            ? <>Changes preview live, but this config is private, so they aren't saved anywhere. Export the result and lock it with <code>npm run lock-config</code> to publish it.</>
+            : <>Changes preview live and are saved in this browser. Export the result as <code>config.json</code> to publish it.</>}
+        </p>
+        <ScriptSwitcher className="mb-4 inline-flex" />
+        <div className="flex flex-wrap gap-2 mb-6">
+          <button type="button" className={buttonClasses} onClick={() => exportConfig(draft)} disabled={errors.length > 0}>
+            Export JSON
+          </button>
+          <label className={buttonClasses}>
+            Import JSON
+            <input type="file" accept="application/json,.json" className="sr-only" onChange={handleImport} />
+          </label>
+          <label className={buttonClasses}>
+            Import shayari
+            <input type="file" accept="text/plain,text/markdown,.txt,.md" className="sr-only" onChange={handleShayariImport} />
+          </label>
+          <button
+            type="button"
+            className="px-4 py-2 rounded-full border border-accent-500 text-accent-200 hover:bg-accent-600 focus:outline-none focus:ring-2 focus:ring-accent-500"
+            onClick={() => {
+              clearDraft();
+              setImportErrors([]);
+              replaceDraft(initialConfig);
+            }}
+          >
+            Reset
+          </button>
+        </div>
+
+        {[...importErrors, ...errors, ...promiseDates.errors].length > 0 && (
+          <ul role="alert" className="mb-6 p-4 rounded-xl border-2 border-red-400 text-sm text-gray-200 font-mono list-disc pl-8 space-y-1">
+            {[...importErrors, ...errors, ...promiseDates.errors].map((error) => (
+              <li key={error}>{error}</li>
+            ))}
+          </ul>
+        )}
+
+        <form key={revision} onSubmit={(e) => e.preventDefault()}>
+          {Object.entries(appConfigSchema.properties).map(([key, schema]) => (
+            <ConfigField key={key} schema={schema} value={draft[key]} path={[key]} onChange={handleChange} />
+          ))}
+        </form>
+      </aside>
+
+      <main className="flex-1 lg:h-screen lg:overflow-y-auto bg-gradient-to-br from-night-base via-night-mid to-night-high" aria-label="Preview">
+        <ConfigContext.Provider value={draft}>
+          {/* Comes after the page's own, so the draft's theme shows across the editor too */}
+          <ThemeStyle theme={draft.theme} />
+          <HeroSection isReunion={false} />
+          <CountdownSection promiseDates={promiseDates} isReunion={false} />
+          <Suspense fallback={<SectionPlaceholder />}>
+            <ShayariCarousel isReunion={false} />
+            <CommitmentPledgeSection />
+          </Suspense>
+        </ConfigContext.Provider>
+      </main>
     </div>
   );
 };
 
+/**
+ * ThemeStyle Component: Writes the theme's CSS variables into the page.
+ * In time-of-day mode the prerendered page has the night colours, and the visitor's own clock takes
+ * over once it has hydrated, moving them on every few minutes.
+ * @param {Object} props - Component props.
+ * @param {Object} props.theme - The config's `theme` section.
+ */
+const ThemeStyle = ({ theme: themeConfig }) => {
+  const theme = useMemo(() => resolveTheme(themeConfig), [themeConfig]);
+  const isHydrated = useHydrated();
+  const now = useNow(5 * 60 * 1000);
+  const shown = theme.timeOfDay && isHydrated ? themeAtTime(theme, now) : theme;
+  // resolveTheme keeps only whole "#rrggbb" colours, even from the editor's unvalidated draft, and the
+  // fixed font stacks, so it can be written out as it is
+  return <style dangerouslySetInnerHTML={{ __html: themeCss(shown) }} />;
+};
+
+/**
+ * App Component: The whole page, or the config editor in edit mode, behind the unlock screen when
+ * the config is locked.
+ * @param {Object} props - Component props.
+ * @param {Object|null} [props.prerenderedConfig] - The config the HTML being hydrated was built with.
+ * @param {Object|null} [props.prerenderedSealed] - The sealed config, if it was locked then.
+ * @param {number|null} [props.renderedAt] - When that HTML was rendered, as a timestamp.
+ */
+const App = ({ prerenderedConfig = null, prerenderedSealed = null, renderedAt = null }) => {
+  const { status, config, errors, isPrivate, unlock, forget } = useAppConfig(prerenderedConfig, prerenderedSealed);
+
+  // Hold a plain backdrop until the config arrives, so the default text never flashes first
+  if (status === 'loading') {
+    return (
+      <>
+        <ThemeStyle theme={config.theme} />
+        <div className="min-h-screen bg-night-base" aria-busy="true"></div>
+      </>
+    );
+  }
+
+  const isEditing = typeof window !== 'undefined' && isEditMode(window.location);
+  return (
+    // A page prerendered locked has no sections showing its time, so there is nothing to match
+    <PrerenderContext.Provider value={prerenderedSealed ? null : renderedAt}>
+      <ConfigContext.Provider value={config}>
+        <ForgetDeviceContext.Provider value={forget}>
+          <ThemeStyle theme={config.theme} />
+          <ConfigErrors errors={errors} />
+          <ScriptProvider>
+            <MotionPreferenceProvider>
+              {status === 'locked' && <UnlockScreen onUnlock={unlock} />}
+              {status === 'ready' && (isEditing ? <ConfigEditor initialConfig={config} isPrivate={isPrivate} /> : <Page />)}
+            </MotionPreferenceProvider>
+          </ScriptProvider>
+        </ForgetDeviceContext.Provider>
+      </ConfigContext.Provider>
+    </PrerenderContext.Provider>
+  );
+};
+
 export default App;
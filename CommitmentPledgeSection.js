@@ -0,0 +1,68 @@
+// --- Commitment Pledge ---
+// The closing promise, in the visitor's chosen script.
+
+import React from 'react';
+import { motion } from 'framer-motion';
+import { useConfig, useLocalized, useReduceMotion } from './appContext.js';
+
+/**
+ * CommitmentPledgeSection Component: Displays the commitment quote.
+ */
+const CommitmentPledgeSection = () => {
+  const config = useConfig();
+  const quote = useLocalized(config.commitmentPledge.quote);
+  const signature = useLocalized(config.commitmentPledge.signature);
+  const quoteLines = quote.text.split('\n');
+  const reduceMotion = useReduceMotion();
+  const glowVariants = {
+    pulse: {
+      scale: [1, 1.05, 1],
+      opacity: [0.8, 1, 0.8],
+      transition: {
+        duration: 2,
+        repeat: Infinity,
+        ease: "easeInOut"
+      }
+    },
+    still: { scale: 1, opacity: 1 }
+  };
+
+  return (
+    <section className="relative min-h-screen flex flex-col items-center justify-center text-center p-4 md:p-8 bg-gradient-to-tr from-night-base to-night-slate">
+      <motion.div
+        className="relative p-8 md:p-12 border-4 border-accent-500 rounded-3xl shadow-2xl bg-white bg-opacity-5 max-w-3xl w-full"
+        variants={glowVariants}
+        animate={reduceMotion ? "still" : "pulse"}
+      >
+        <motion.blockquote
+          {...quote.attributes}
+          className={`text-3xl md:text-5xl ${quote.fontClass || 'font-heading italic'} text-accent-300 mb-6 drop-shadow-lg`}
+          initial={{ opacity: 0, scale: 0.8 }}
+          whileInView={{ opacity: 1, scale: 1 }}
+          viewport={{ once: true, amount: 0.5 }}
+          transition={{ duration: 1.2, delay: 0.3 }}
+        >
+          {/* Split the quote by newline to render <br> tags */}
+          {quoteLines.map((line, index) => (
+            <React.Fragment key={index}>
+              {line}
+              {index < quoteLines.length - 1 && <br />}
+            </React.Fragment>
+          ))}
+        </motion.blockquote>
+        <motion.p
+          {...signature.attributes}
+          className={`text-xl md:text-2xl ${signature.fontClass || 'font-hand'} text-gray-300 mt-8`}
+          initial={{ opacity: 0, y: 20 }}
+          whileInView={{ opacity: 1, y: 0 }}
+          viewport={{ once: true, amount: 0.5 }}
+          transition={{ duration: 1, delay: 1 }}
+        >
+          {signature.text}
+        </motion.p>
+      </motion.div>
+    </section>
+  );
+};
+
+export default CommitmentPledgeSection;
@@ -0,0 +1,379 @@
+// --- Journal Section ---
+// A private journal for the one waiting: a page a day, labelled from the countdown, kept on this device
+// with a streak, a heatmap of the days written, and exports so nothing depends on a server.
+
+import { useEffect, useMemo, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useConfig } from './appContext.js';
+import { useCountdown, useNow } from './hooks.js';
+import {
+  dayKey, dayNumber, describeDay, getStreak, buildHeatmap, mergeEntries, toJournalJson, toJournalMarkdown, parseJournalFile,
+} from './journal.js';
+import { loadJournalLock, unlockJournal, loadEntries, saveEntries, deleteEntry, setJournalPassphrase } from './journalStore.js';
+import { isDatabaseAvailable } from './localDatabase.js';
+
+const buttonClasses = "px-4 py-1 rounded-full font-hand text-lg text-accent-300 border border-accent-500 border-opacity-40 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500 disabled:opacity-40 disabled:cursor-not-allowed transition-colors duration-300";
+const inputClasses = "px-3 py-1 rounded-lg bg-white bg-opacity-10 border border-accent-500 border-opacity-40 text-gray-100 focus:outline-none focus:ring-2 focus:ring-accent-500";
+
+// Day keys are calendar dates, so they are formatted as UTC midnights
+const dateFormatter = new Intl.DateTimeFormat('en-IN', { timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' });
+const formatDay = (key) => dateFormatter.format(new Date(`${key}T00:00:00Z`));
+
+const downloadFile = (text, filename, type) => {
+  const url = URL.createObjectURL(new Blob([text], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * formatLeft: Words the time left on some day, e.g. "3 saal, 7 mahine, 25 din baaki".
+ * @param {Object} left - The calendar `years`, `months` and `days` left.
+ * @param {Object} config - The app config, for the countdown's unit phrases and the journal's labels.
+ * @returns {string} The label, or `journal.complete` once nothing was left.
+ */
+const formatLeft = (left, config) => {
+  const units = ['years', 'months', 'days'].filter((unit) => left[unit] > 0);
+  if (units.length === 0) return config.journal.complete;
+  const phrases = units.map((unit) => `${left[unit]} ${config.countdown.phrases[unit].replace(/,$/, '')}`);
+  return `${phrases.join(', ')} ${config.journal.leftSuffix}`;
+};
+
+/**
+ * PassphraseForm Component: Asks for the journal's passphrase, to open it or to set a new one.
+ * @param {Object} props - Component props.
+ * @param {string} props.submitLabel - The button's text.
+ * @param {string} [props.note] - A line shown under the field.
+ * @param {boolean} props.isNew - Whether this sets a new passphrase (for password managers).
+ * @param {Function} props.onSubmit - Called with the passphrase; resolves to an error message, or '' if it worked.
+ */
+const PassphraseForm = ({ submitLabel, note, isNew, onSubmit }) => {
+  const copy = useConfig().journal.passphrase;
+  const [passphrase, setPassphrase] = useState('');
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase) return;
+    setIsBusy(true);
+    const problem = await onSubmit(passphrase);
+    setIsBusy(false);
+    if (problem) {
+      setPassphrase('');
+      setError(problem);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="flex flex-col items-center gap-2 font-hand text-lg">
+      <label className="flex flex-col items-center gap-1 text-accent-300">
+        {copy.label}
+        <input
+          type="password"
+          autoComplete={isNew ? 'new-password' : 'current-password'}
+          autoFocus
+          value={passphrase}
+          onChange={(e) => {
+            setPassphrase(e.target.value);
+            setError('');
+          }}
+          aria-invalid={error !== ''}
+          className={inputClasses}
+        />
+      </label>
+      {note && <p className="text-gray-300 text-center">{note}</p>}
+      <button type="submit" disabled={isBusy || !passphrase} aria-busy={isBusy} className={buttonClasses}>
+        {submitLabel}
+      </button>
+      <p className="text-accent-300" role="alert">{error}</p>
+    </form>
+  );
+};
+
+/**
+ * Heatmap Component: The last few weeks as a grid of days, the ones with an entry lit up.
+ * @param {Object} props - Component props.
+ * @param {Object[][]} props.weeks - The weeks, as from `buildHeatmap`.
+ * @param {string} props.label - Describes the grid for screen readers.
+ */
+const Heatmap = ({ weeks, label }) => (
+  <div className="w-full overflow-x-auto">
+    <div role="img" aria-label={label} className="grid grid-flow-col grid-rows-7 gap-1 w-max mx-auto">
+      {weeks.flat().map(({ date, isWritten, isCounted }) => {
+        let colour = '';
+        if (isWritten) {
+          colour = 'bg-accent-500';
+        } else if (isCounted) {
+          colour = 'bg-white bg-opacity-10';
+        }
+        return <span key={date} title={isCounted ? formatDay(date) : undefined} className={`w-3 h-3 rounded-sm ${colour}`}></span>;
+      })}
+    </div>
+  </div>
+);
+
+/**
+ * JournalSection Component: Today's page, the streak and heatmap, the pages so far, and the journal's tools.
+ * Everything it shows comes from this device, so it is read only after the first render.
+ * @param {Object} props - Component props.
+ * @param {Object} props.promiseDates - The resolved promise dates from `resolvePromiseDates`.
+ */
+const JournalSection = ({ promiseDates }) => {
+  const config = useConfig();
+  const copy = config.journal;
+  const now = useNow(60 * 1000);
+  const timeLeft = useCountdown(promiseDates);
+  // Pages are filed by the promise's days, so invalid dates (or an invalid timezone) leave no journal to show
+  const hasDates = promiseDates.errors.length === 0;
+  const todayKey = hasDates ? dayKey(now, promiseDates.timeZone) : null;
+  const startKey = useMemo(() => (hasDates ? dayKey(promiseDates.startDate, promiseDates.timeZone) : null), [hasDates, promiseDates]);
+
+  // 'loading', 'locked' (waiting for the passphrase), 'open' or 'unavailable' (no IndexedDB)
+  const [status, setStatus] = useState('loading');
+  const [lock, setLock] = useState(null);
+  const [key, setKey] = useState(null);
+  const [entries, setEntries] = useState([]);
+  const [draft, setDraft] = useState('');
+  const [message, setMessage] = useState('');
+  const [isSettingPassphrase, setIsSettingPassphrase] = useState(false);
+
+  useEffect(() => {
+    if (!copy.enabled) return undefined;
+    if (!isDatabaseAvailable()) {
+      setStatus('unavailable');
+      return undefined;
+    }
+    let cancelled = false;
+    const load = async () => {
+      const savedLock = await loadJournalLock();
+      const loaded = savedLock ? [] : await loadEntries();
+      if (cancelled) return;
+      setLock(savedLock);
+      setEntries(loaded);
+      setStatus(savedLock ? 'locked' : 'open');
+    };
+    load().catch((e) => {
+      console.warn("Could not open the journal:", e);
+      if (!cancelled) setStatus('unavailable');
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const todayEntry = entries.find((entry) => entry.date === todayKey);
+
+  // Start from today's page once it is read, and again when midnight turns the page
+  useEffect(() => {
+    if (status === 'open') setDraft(todayEntry?.text || '');
+  }, [status, todayKey]);
+
+  const writtenDays = useMemo(() => entries.map((entry) => entry.date), [entries]);
+  const streak = hasDates ? getStreak(writtenDays, todayKey) : 0;
+  const heatmap = useMemo(
+    () => (hasDates ? buildHeatmap(writtenDays, { todayKey, startKey, weeks: copy.heatmapWeeks }) : []),
+    [hasDates, writtenDays, todayKey, startKey, copy.heatmapWeeks]
+  );
+  const daysInHeatmap = heatmap.flat().filter((day) => day.isWritten).length;
+
+  const replaceEntries = (changed, removedDate = null) => {
+    const changedDays = new Set(changed.map((entry) => entry.date));
+    setEntries((current) => [...changed, ...current.filter((entry) => !changedDays.has(entry.date) && entry.date !== removedDate)]
+      .sort((a, b) => b.date.localeCompare(a.date)));
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    const text = draft.trim();
+    try {
+      if (text) {
+        const entry = {
+          date: todayKey,
+          day: dayNumber(todayKey, promiseDates),
+          left: { years: timeLeft.years, months: timeLeft.months, days: timeLeft.days },
+          text,
+          updatedAt: Date.now(),
+        };
+        await saveEntries([entry], key);
+        replaceEntries([entry]);
+      } else {
+        // Clearing today's page and saving takes it out
+        await deleteEntry(todayKey);
+        replaceEntries([], todayKey);
+      }
+      setMessage(copy.saved);
+    } catch (err) {
+      console.warn("Could not save the journal entry:", err);
+      setMessage(copy.failed);
+    }
+  };
+
+  const handleImport = async (e) => {
+    const [file] = e.target.files;
+    e.target.value = '';
+    if (!file) return;
+    const { entries: imported, errors } = parseJournalFile(await file.text());
+    const added = mergeEntries(entries, imported).map((entry) => ({ ...describeDay(entry.date, promiseDates), ...entry }));
+    try {
+      await saveEntries(added, key);
+      replaceEntries(added);
+      setMessage([copy.imported.replace('{n}', String(added.length)), ...errors].join(' '));
+    } catch (err) {
+      console.warn("Could not import the journal:", err);
+      setMessage(copy.failed);
+    }
+  };
+
+  const handleUnlock = async (passphrase) => {
+    try {
+      const journalKey = await unlockJournal(lock, passphrase);
+      if (!journalKey) return copy.passphrase.wrong;
+      setEntries(await loadEntries(journalKey));
+      setKey(journalKey);
+      setStatus('open');
+      return '';
+    } catch (err) {
+      console.warn("Could not open the journal:", err);
+      return copy.failed;
+    }
+  };
+
+  const handleSetPassphrase = async (passphrase) => {
+    try {
+      setKey(await setJournalPassphrase(entries, passphrase));
+      setIsSettingPassphrase(false);
+      setMessage(passphrase ? copy.passphrase.added : copy.passphrase.removed);
+      return '';
+    } catch (err) {
+      console.warn("Could not change the journal passphrase:", err);
+      return copy.failed;
+    }
+  };
+
+  if (!copy.enabled || !hasDates) return null;
+
+  return (
+    <section className="relative min-h-screen flex flex-col items-center justify-center p-4 md:p-8 bg-gradient-to-b from-night-base via-night-ink to-night-base">
+      <h2 className="text-3xl md:text-5xl font-heading text-accent-200 mb-10 drop-shadow-md text-center">
+        {copy.title}
+      </h2>
+
+      {status === 'unavailable' && <p className="font-hand text-xl text-accent-300 text-center">{copy.unavailable}</p>}
+
+      {status === 'locked' && (
+        <PassphraseForm submitLabel={copy.passphrase.open} isNew={false} onSubmit={handleUnlock} />
+      )}
+
+      {(status === 'loading' || status === 'open') && (
+        <div className="w-full max-w-2xl flex flex-col gap-10">
+          <motion.form
+            onSubmit={handleSave}
+            className="rounded-3xl p-6 md:p-8 bg-white bg-opacity-5 border-2 border-accent-500 border-opacity-40 shadow-2xl flex flex-col gap-3"
+            initial={{ opacity: 0, y: 20 }}
+            whileInView={{ opacity: 1, y: 0 }}
+            viewport={{ once: true, amount: 0.4 }}
+            transition={{ duration: 0.6 }}
+          >
+            <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+              <h3 className="text-2xl md:text-3xl font-heading text-accent-100">{copy.dayLabel.replace('{n}', String(dayNumber(todayKey, promiseDates)))}</h3>
+              <p className="font-hand text-lg text-accent-300">{formatLeft(timeLeft, config)}</p>
+            </div>
+            <label htmlFor="journal-today" className="sr-only">{copy.placeholder}</label>
+            <textarea
+              id="journal-today"
+              rows={5}
+              dir="auto"
+              value={draft}
+              onChange={(e) => {
+                setDraft(e.target.value);
+                setMessage('');
+              }}
+              placeholder={copy.placeholder}
+              disabled={status !== 'open'}
+              className={`${inputClasses} py-2 font-hand text-xl leading-relaxed resize-y`}
+            />
+            <div className="flex flex-wrap items-center justify-between gap-3">
+              <p className="font-hand text-lg text-gray-300" role="status">{message}</p>
+              <button type="submit" disabled={status !== 'open' || draft.trim() === (todayEntry?.text || '')} className={buttonClasses}>
+                {copy.save}
+              </button>
+            </div>
+          </motion.form>
+
+          <div className="flex flex-col items-center gap-3">
+            <p className="font-hand text-2xl text-accent-300">
+              <span className="text-accent-400 font-bold">{streak}</span> {copy.streak}
+            </p>
+            <Heatmap
+              weeks={heatmap}
+              label={copy.heatmapLabel.replace('{n}', String(daysInHeatmap)).replace('{weeks}', String(copy.heatmapWeeks))}
+            />
+          </div>
+
+          {entries.length > 0 && (
+            <div>
+              <h3 className="text-2xl font-heading text-accent-200 mb-4 text-center">{copy.entriesTitle}</h3>
+              <ol className="flex flex-col gap-4">
+                {entries.map((entry) => (
+                  <li key={entry.date} className="rounded-2xl p-5 bg-white bg-opacity-5 border border-accent-500 border-opacity-20">
+                    <div className="flex flex-wrap items-baseline justify-between gap-x-4">
+                      <h4 className="text-lg font-heading text-accent-100">
+                        {copy.dayLabel.replace('{n}', String(entry.day))} · {formatDay(entry.date)}
+                      </h4>
+                      <p className="font-hand text-base text-accent-300">{formatLeft(entry.left, config)}</p>
+                    </div>
+                    <p dir="auto" className="mt-2 font-hand text-xl text-gray-200 leading-relaxed whitespace-pre-line">{entry.text}</p>
+                  </li>
+                ))}
+              </ol>
+            </div>
+          )}
+
+          {status === 'open' && (
+            <div className="flex flex-col items-center gap-4">
+              <div className="flex flex-wrap justify-center gap-3">
+                <button
+                  type="button"
+                  className={buttonClasses}
+                  disabled={entries.length === 0}
+                  onClick={() => downloadFile(toJournalJson(entries), `intezaar-journal-${todayKey}.json`, 'application/json')}
+                >
+                  {copy.exportJson}
+                </button>
+                <button
+                  type="button"
+                  className={buttonClasses}
+                  disabled={entries.length === 0}
+                  onClick={() => downloadFile(toJournalMarkdown(entries, copy), `intezaar-journal-${todayKey}.md`, 'text/markdown')}
+                >
+                  {copy.exportMarkdown}
+                </button>
+                <label className={`${buttonClasses} cursor-pointer focus-within:ring-2 focus-within:ring-accent-500`}>
+                  {copy.import}
+                  <input type="file" accept="application/json,text/markdown,.json,.md" className="sr-only" onChange={handleImport} />
+                </label>
+                {key ? (
+                  <button type="button" className={buttonClasses} onClick={() => handleSetPassphrase(null)}>
+                    {copy.passphrase.remove}
+                  </button>
+                ) : (
+                  <button type="button" className={buttonClasses} aria-expanded={isSettingPassphrase} onClick={() => setIsSettingPassphrase((isOpen) => !isOpen)}>
+                    {copy.passphrase.set}
+                  </button>
+                )}
+              </div>
+              {isSettingPassphrase && !key && (
+                <PassphraseForm submitLabel={copy.passphrase.set} note={copy.passphrase.note} isNew onSubmit={handleSetPassphrase} />
+              )}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+};
+
+export default JournalSection;
@@ -0,0 +1,239 @@
+// --- Letters Section ---
+// Time-locked letters: each stays a sealed envelope, counting down, until its day comes.
+
+import { useMemo, useState } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { buildLetters } from './letters.js';
+import { unsealText } from './vault.js';
+import { useConfig, useReduceMotion } from './appContext.js';
+import { useCountdown } from './hooks.js';
+import { TimeToGo } from './MilestoneTimeline.js';
+
+const SealIcon = ({ isLocked }) => (
+  <svg xmlns="http://www.w3.org/2000/svg" className="h-7 w-7" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+    {isLocked ? (
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+    ) : (
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+    )}
+  </svg>
+);
+
+/**
+ * Envelope Component: The envelope a letter sits in, with its flap and wax seal.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isLocked - Shows a lock on the seal instead of a heart.
+ * @param {boolean} props.isOpen - Folds the flap back and lifts the seal off.
+ */
+const Envelope = ({ isLocked, isOpen }) => {
+  const reduceMotion = useReduceMotion();
+
+  return (
+    <div className="relative w-full aspect-[3/2] rounded-2xl border-2 border-accent-500 bg-night-ink overflow-hidden [perspective:800px]" aria-hidden="true">
+      {/* The lower folds, meeting in the middle */}
+      <div className="absolute inset-0 bg-accent-500 bg-opacity-10 [clip-path:polygon(0_100%,50%_45%,100%_100%)]"></div>
+      <motion.div
+        className="absolute inset-x-0 top-0 h-3/5 bg-accent-500 bg-opacity-25 [clip-path:polygon(0_0,100%_0,50%_100%)]"
+        style={{ transformOrigin: 'top' }}
+        initial={false}
+        animate={{ rotateX: isOpen && !reduceMotion ? 180 : 0, opacity: isOpen && reduceMotion ? 0 : 1 }}
+        transition={{ duration: reduceMotion ? 0.3 : 0.6, ease: 'easeInOut' }}
+      ></motion.div>
+      <AnimatePresence>
+        {!isOpen && (
+          <motion.div
+            key="seal"
+            className="absolute inset-0 flex items-center justify-center"
+            exit={{ opacity: 0, scale: reduceMotion ? 1 : 1.4 }}
+            transition={{ duration: 0.3 }}
+          >
+            <span className={`w-14 h-14 rounded-full flex items-center justify-center shadow-lg text-accent-100 ${isLocked ? 'bg-accent-900' : 'bg-accent-600'}`}>
+              <SealIcon isLocked={isLocked} />
+            </span>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+};
+
+/**
+ * Letter Component: One letter, locked with its own countdown until it unlocks, then opened on request.
+ * @param {Object} props - Component props.
+ * @param {Object} props.letter - The letter, as from `buildLetters`.
+ * @param {Object} props.promiseDates - The resolved promise dates from `resolvePromiseDates`.
+ * @param {string|null} props.passphrase - The passphrase that opened an earlier letter, tried first.
+ * @param {Function} props.onPassphrase - Called with a passphrase once it has opened this letter.
+ * @param {Function} props.formatDate - Formats the unlock date.
+ */
+const Letter = ({ letter, promiseDates, passphrase, onPassphrase, formatDate }) => {
+  const config = useConfig();
+  const copy = config.letters;
+  const reduceMotion = useReduceMotion();
+  // The same countdown as the main one, only ending at this letter's unlock date
+  const unlockDates = useMemo(
+    () => ({ startDate: promiseDates.startDate, endDate: letter.unlockDate, timeZone: promiseDates.timeZone }),
+    [promiseDates, letter]
+  );
+  const timeLeft = useCountdown(unlockDates);
+  const isLocked = !timeLeft.isComplete;
+
+  const [body, setBody] = useState(null);
+  const [isAsking, setIsAsking] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [input, setInput] = useState('');
+  const [error, setError] = useState('');
+
+  const tryOpen = async (candidate, isTyped) => {
+    setIsBusy(true);
+    const text = await unsealText(letter.sealed, candidate);
+    setIsBusy(false);
+    if (text === null) {
+      // A remembered passphrase that doesn't fit just means this letter has another one
+      setIsAsking(true);
+      setError(isTyped ? copy.passphrase.wrong : '');
+      return;
+    }
+    setIsAsking(false);
+    setBody(text);
+    onPassphrase(candidate);
+  };
+
+  const handleOpen = () => {
+    if (passphrase) {
+      tryOpen(passphrase, false);
+    } else {
+      setIsAsking(true);
+    }
+  };
+
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    if (input) tryOpen(input, true);
+  };
+
+  return (
+    <motion.li
+      className="w-full max-w-md"
+      initial={{ opacity: 0, y: 20 }}
+      whileInView={{ opacity: 1, y: 0 }}
+      viewport={{ once: true, amount: 0.4 }}
+      transition={{ duration: 0.6 }}
+    >
+      <Envelope isLocked={isLocked} isOpen={body !== null} />
+      <h3 className="mt-4 text-xl md:text-2xl font-heading text-accent-100 text-center">{letter.title}</h3>
+
+      {isLocked && (
+        <>
+          <p className="mt-1 text-sm md:text-base font-hand text-accent-300 text-center">
+            {copy.lockedLabel} {formatDate(letter.unlockDate)}
+          </p>
+          <TimeToGo time={timeLeft} className="mt-2 text-lg md:text-xl font-hand text-gray-100 text-center" />
+        </>
+      )}
+
+      {!isLocked && body === null && !isAsking && (
+        <div className="mt-3 flex justify-center">
+          <button
+            type="button"
+            onClick={handleOpen}
+            disabled={isBusy}
+            aria-busy={isBusy}
+            className="px-4 py-1 rounded-full font-hand text-lg text-accent-300 border border-accent-500 border-opacity-40 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500 disabled:opacity-40 disabled:cursor-wait transition-colors duration-300"
+          >
+            {copy.openLabel}
+          </button>
+        </div>
+      )}
+
+      {!isLocked && body === null && isAsking && (
+        <form onSubmit={handleSubmit} className="mt-3 flex flex-col items-center gap-2 font-hand text-lg">
+          <label className="flex flex-col items-center gap-1 text-accent-300">
+            {copy.passphrase.label}
+            <input
+              type="password"
+              autoComplete="off"
+              autoFocus
+              value={input}
+              onChange={(e) => {
+                setInput(e.target.value);
+                setError('');
+              }}
+              aria-invalid={error !== ''}
+              className="px-3 py-1 rounded-lg bg-white bg-opacity-10 border border-accent-500 border-opacity-40 text-gray-100 focus:outline-none focus:ring-2 focus:ring-accent-500"
+            />
+          </label>
+          <button
+            type="submit"
+            disabled={isBusy || !input}
+            aria-busy={isBusy}
+            className="px-4 py-1 rounded-full text-accent-300 border border-accent-500 border-opacity-40 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500 disabled:opacity-40 disabled:cursor-not-allowed transition-colors duration-300"
+          >
+            {copy.passphrase.submit}
+          </button>
+          <p className="text-accent-300" role="alert">{error}</p>
+        </form>
+      )}
+
+      {/* The letter slides out of the envelope once the flap is folded back */}
+      <AnimatePresence>
+        {body !== null && (
+          <motion.div
+            key="body"
+            className="mt-4 rounded-2xl p-6 bg-white bg-opacity-10 border border-accent-500 border-opacity-40 shadow-2xl"
+            initial={reduceMotion ? { opacity: 0 } : { opacity: 0, y: -60, scale: 0.9 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            transition={{ duration: reduceMotion ? 0.4 : 0.8, delay: reduceMotion ? 0 : 0.5 }}
+          >
+            <p dir="auto" className="text-xl md:text-2xl font-hand text-gray-200 leading-relaxed whitespace-pre-line">{body}</p>
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </motion.li>
+  );
+};
+
+/**
+ * LettersSection Component: Lists the time-locked letters, earliest first.
+ * @param {Object} props - Component props.
+ * @param {Object} props.promiseDates - The resolved promise dates from `resolvePromiseDates`.
+ */
+const LettersSection = ({ promiseDates }) => {
+  const config = useConfig();
+  // Letters unlock by the promise dates, so invalid ones (or an invalid timezone) leave none to show
+  const hasDates = promiseDates.errors.length === 0;
+  const letters = useMemo(() => (hasDates ? buildLetters(config, promiseDates) : []), [hasDates, config, promiseDates]);
+  // Kept for this visit only, so each later letter opens without asking again
+  const [passphrase, setPassphrase] = useState(null);
+
+  const dateFormatter = useMemo(() => (hasDates ? new Intl.DateTimeFormat('en-IN', {
+    timeZone: promiseDates.timeZone,
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  }) : null), [hasDates, promiseDates.timeZone]);
+
+  if (letters.length === 0) return null;
+
+  return (
+    <section className="relative min-h-screen flex flex-col items-center justify-center p-4 md:p-8 bg-gradient-to-b from-night-void to-night-base">
+      <h2 className="text-3xl md:text-5xl font-heading text-accent-200 mb-10 drop-shadow-md text-center">
+        {config.letters.title}
+      </h2>
+      <ol className="w-full flex flex-col items-center gap-12">
+        {letters.map((letter) => (
+          <Letter
+            key={letter.id}
+            letter={letter}
+            promiseDates={promiseDates}
+            passphrase={passphrase}
+            onPassphrase={setPassphrase}
+            formatDate={(date) => dateFormatter.format(date)}
+          />
+        ))}
+      </ol>
+    </section>
+  );
+};
+
+export default LettersSection;
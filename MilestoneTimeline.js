@@ -0,0 +1,101 @@
+// --- Milestone Timeline ---
+// The milestones of the promise, with a live countdown to the next one.
+
+import { useMemo } from 'react';
+import { motion } from 'framer-motion';
+import { calendarDiff } from './countdownEngine.js';
+import { buildMilestones } from './milestones.js';
+import { useConfig } from './appContext.js';
+import { useNow } from './hooks.js';
+
+/**
+ * TimeToGo Component: A compact countdown, with the calendar units that aren't zero and then hh:mm:ss.
+ * @param {Object} props - Component props.
+ * @param {Object} props.time - The calendar units left, as from `calendarDiff`.
+ * @param {string} props.className - Classes for the paragraph.
+ */
+export const TimeToGo = ({ time, className }) => {
+  const config = useConfig();
+
+  return (
+    <p className={className}>
+      {['years', 'months', 'days'].filter((unit) => time[unit] > 0).map((unit) => (
+        <span key={unit} className="mr-3">
+          <span className="text-accent-400 font-bold">{time[unit]}</span> {config.countdown.phrases[unit].replace(/,$/, '')}
+        </span>
+      ))}
+      <span className="text-accent-400 font-bold">
+        {[time.hours, time.minutes, time.seconds].map((value) => String(value).padStart(2, '0')).join(':')}
+      </span>
+    </p>
+  );
+};
+
+/**
+ * MilestoneTimeline Component: Lists the milestones of the promise, highlighting the next one.
+ * @param {Object} props - Component props.
+ * @param {Object} props.promiseDates - The resolved promise dates from `resolvePromiseDates`.
+ */
+const MilestoneTimeline = ({ promiseDates }) => {
+  const config = useConfig();
+  const now = useNow();
+  // Invalid dates (or timezone) leave nothing to place milestones on; the countdown shows why
+  const hasDates = promiseDates.errors.length === 0;
+  const milestones = useMemo(
+    () => (hasDates ? buildMilestones(config.milestones, promiseDates) : []),
+    [hasDates, config.milestones, promiseDates]
+  );
+  const next = milestones.find((milestone) => milestone.date > now);
+  const timeToNext = next && calendarDiff(now, next.date, promiseDates.timeZone);
+
+  const dateFormatter = useMemo(() => (hasDates ? new Intl.DateTimeFormat('en-IN', {
+    timeZone: promiseDates.timeZone,
+    day: 'numeric',
+    month: 'long',
+    year: 'numeric',
+  }) : null), [hasDates, promiseDates.timeZone]);
+
+  if (milestones.length === 0) return null;
+
+  return (
+    <section className="relative min-h-screen flex flex-col items-center justify-center p-4 md:p-8 bg-gradient-to-b from-night-high to-night-ink">
+      <h2 className="text-3xl md:text-5xl font-heading text-accent-200 mb-10 drop-shadow-md text-center">
+        {config.milestones.title}
+      </h2>
+      <ol className="relative w-full max-w-2xl border-l-2 border-accent-500 border-opacity-40 ml-4">
+        {milestones.map((milestone, index) => {
+          const reached = milestone.date <= now;
+          const isNext = milestone === next;
+
+          return (
+            <motion.li
+              key={milestone.id}
+              className="mb-10 ml-6"
+              initial={{ opacity: 0, x: -20 }}
+              whileInView={{ opacity: 1, x: 0 }}
+              viewport={{ once: true, amount: 0.5 }}
+              transition={{ duration: 0.6, delay: Math.min(index, 5) * 0.1 }}
+            >
+              <span
+                className={`absolute -left-[9px] mt-2 w-4 h-4 rounded-full border-2 border-accent-500 ${reached ? 'bg-accent-500' : 'bg-night-ink'} ${isNext ? 'ring-4 ring-accent-400 ring-opacity-50' : ''}`}
+                aria-hidden="true"
+              ></span>
+              <div className={`rounded-2xl p-4 md:p-6 ${isNext ? 'border-2 border-accent-400 bg-white bg-opacity-10 shadow-2xl' : 'bg-white bg-opacity-5'} ${reached ? 'opacity-70' : ''}`}>
+                <p className="text-sm md:text-base font-hand text-accent-300">
+                  {dateFormatter.format(milestone.date)}
+                  {reached && <> · {config.milestones.reachedLabel}</>}
+                  {isNext && <> · {config.milestones.nextLabel}</>}
+                </p>
+                <h3 className="text-xl md:text-2xl font-heading text-accent-100 mt-1">{milestone.title}</h3>
+                <p className="text-lg md:text-xl font-hand text-gray-300 mt-2">{milestone.message}</p>
+                {isNext && <TimeToGo time={timeToNext} className="mt-4 text-lg md:text-2xl font-hand text-gray-100" />}
+              </div>
+            </motion.li>
+          );
+        })}
+      </ol>
+    </section>
+  );
+};
+
+export default MilestoneTimeline;
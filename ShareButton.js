@@ -0,0 +1,69 @@
+// --- Share Button ---
+// Turns part of the page into an image card (see shareCard.js) to send to someone.
+
+import { useState } from 'react';
+import { useConfig, useLocalized } from './appContext.js';
+import { renderCard, shareImage } from './shareCard.js';
+import { resolveTheme } from './theme.js';
+
+// The formats offered, in order; their labels come from `share.formats`
+const SHARE_FORMATS = ['square', 'story'];
+
+/**
+ * ShareButton Component: Offers the card in each format and shares the one picked.
+ * Every card is signed with the hero title along the bottom.
+ * @param {Object} props - Component props.
+ * @param {Function} props.getCard - Returns what the card shows (see drawCard). Called at the moment
+ *   of sharing, so a countdown card shows the time the button was pressed.
+ * @param {string} props.name - Added to the file name, e.g. "countdown".
+ * @param {boolean} props.isReunion - Whether to use the reunion colours and title.
+ */
+const ShareButton = ({ getCard, name, isReunion }) => {
+  const config = useConfig();
+  const { label, formats, fileName } = config.share;
+  const signature = useLocalized(isReunion ? config.reunion.hero.title : config.hero.title);
+  const [busyFormat, setBusyFormat] = useState(null);
+
+  const share = async (format) => {
+    setBusyFormat(format);
+    try {
+      const card = {
+        theme: resolveTheme(config.theme),
+        mood: isReunion ? 'reunion' : 'waiting',
+        footer: { text: signature.text, script: signature.script },
+        ...getCard(),
+      };
+      const image = await renderCard(card, format);
+      await shareImage(image, { fileName: `${fileName}-${name}`, text: window.location.href });
+    } catch (e) {
+      console.warn("Could not make the share card:", e);
+    } finally {
+      setBusyFormat(null);
+    }
+  };
+
+  return (
+    <div role="group" aria-label={label} className="mt-4 flex items-center justify-center gap-2 font-hand text-lg">
+      <span className="flex items-center gap-1 text-accent-300" aria-hidden="true">
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-5 w-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8.684 13.342C8.886 12.938 9 12.482 9 12c0-.482-.114-.938-.316-1.342m0 2.684a3 3 0 110-2.684m0 2.684l6.632 3.316m-6.632-6l6.632-3.316m0 0a3 3 0 105.367-2.684 3 3 0 00-5.367 2.684zm0 9.316a3 3 0 105.368 2.684 3 3 0 00-5.368-2.684z" />
+        </svg>
+        {label}
+      </span>
+      {SHARE_FORMATS.map((format) => (
+        <button
+          key={format}
+          type="button"
+          onClick={() => share(format)}
+          disabled={busyFormat !== null}
+          aria-busy={busyFormat === format}
+          className="px-3 py-0.5 rounded-full text-accent-300 border border-accent-500 border-opacity-40 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500 disabled:opacity-40 disabled:cursor-wait transition-colors duration-300"
+        >
+          {formats[format]}
+        </button>
+      ))}
+    </div>
+  );
+};
+
+export default ShareButton;
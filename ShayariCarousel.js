@@ -0,0 +1,461 @@
+// --- Shayari Carousel ---
+// The rotating shayari section: its rotation order, favourites, tag filter and typewriter effect, and
+// the review of lines written by the shayari generator.
+
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import { motion, AnimatePresence } from 'framer-motion';
+import { favouriteKey, loadFavourites, saveFavourites } from './shayariFavourites.js';
+import { normalizeShayari, collectTags, shayariOfTheDay } from './shayariLibrary.js';
+import {
+  generateShayari, addPending, reviewLine, isDueForMore, loadGeneratedShayari, saveGeneratedShayari,
+} from './shayariGenerator.js';
+import { useConfig, useLocalized, useReduceMotion } from './appContext.js';
+import { usePageVisible, useRenderTime } from './hooks.js';
+import ShareButton from './ShareButton.js';
+
+// Shared, so the carousel's lines don't change on every render while nothing is generated
+const NO_LINES = [];
+
+/**
+ * makeRotationOrder: Builds the order shayari lines are shown in for one pass through them.
+ * @param {number} length - How many lines there are.
+ * @param {boolean} shuffle - Whether to shuffle instead of going in order.
+ * @param {Object} [options] - Where the pass should start.
+ * @param {number} [options.first=-1] - A line index that should come first (e.g. the shayari of the day).
+ * @param {number} [options.avoidFirst=-1] - A line index that should not come first (the one just shown).
+ * @returns {number[]} Every line index exactly once.
+ */
+const makeRotationOrder = (length, shuffle, { first = -1, avoidFirst = -1 } = {}) => {
+  const hasFirst = first >= 0 && first < length;
+  if (!shuffle) {
+    // Carry on in order from the chosen line, wrapping around
+    const start = hasFirst ? first : 0;
+    return [...Array(length).keys()].map((i) => (start + i) % length);
+  }
+
+  const order = [...Array(length).keys()];
+  for (let i = length - 1; i > 0; i--) {
+    const j = Math.floor(Math.random() * (i + 1));
+    [order[i], order[j]] = [order[j], order[i]];
+  }
+  if (hasFirst) {
+    const position = order.indexOf(first);
+    [order[0], order[position]] = [order[position], order[0]];
+  } else if (length > 1 && order[0] === avoidFirst) {
+    // Don't show the same line twice in a row across passes
+    [order[0], order[1]] = [order[1], order[0]];
+  }
+  return order;
+};
+
+/**
+ * useShayariRotation: Manages the rotation of shayari lines.
+ * @param {Array<string|Object>} lines - An array of shayari lines to rotate.
+ * @param {Object} [options] - Rotation options.
+ * @param {number} [options.interval=7000] - The interval in milliseconds between shayari changes.
+ * @param {boolean} [options.shuffle=false] - Show every line once in random order before repeating.
+ * @param {boolean} [options.paused=false] - Stop advancing automatically while true.
+ * @param {number} [options.startIndex=-1] - The line to open with whenever the lines change.
+ * @returns {Object} The current shayari index and line (-1 and null when there are no lines), and `next`
+ *   and `previous` functions.
+ */
+const useShayariRotation = (lines, { interval = 7000, shuffle = false, paused = false, startIndex = -1 } = {}) => {
+  const [rotation, setRotation] = useState(() => ({
+    order: makeRotationOrder(lines.length, shuffle, { first: startIndex }),
+    position: 0,
+  }));
+
+  // Start over whenever a different set of lines comes in (e.g. on reunion)
+  useEffect(() => {
+    setRotation({ order: makeRotationOrder(lines.length, shuffle, { first: startIndex }), position: 0 });
+  }, [lines, shuffle, startIndex]);
+
+  const next = useCallback(() => {
+    setRotation(({ order, position }) => (
+      position + 1 < order.length
+        ? { order, position: position + 1 }
+        : { order: makeRotationOrder(lines.length, shuffle, { avoidFirst: order[position] }), position: 0 }
+    ));
+  }, [lines.length, shuffle]);
+
+  const previous = useCallback(() => {
+    setRotation(({ order, position }) => ({ order, position: (position - 1 + order.length) % order.length }));
+  }, []);
+
+  // Restart the timer after every change, so a manually chosen line gets its full interval too
+  useEffect(() => {
+    if (paused) return undefined;
+    const shayariTimer = setTimeout(next, interval);
+
+    // Cleanup timer on change or unmount
+    return () => clearTimeout(shayariTimer);
+  }, [rotation, paused, interval, next]);
+
+  // The order can lag one render behind a new set of lines, so keep the index in range
+  const currentShayariIndex = lines.length > 0 ? (rotation.order[rotation.position] ?? 0) % lines.length : -1;
+  return { currentShayariIndex, currentShayari: lines[currentShayariIndex] ?? null, next, previous };
+};
+
+/**
+ * useFavourites: Manages the shayari lines the visitor has hearted, saved across visits.
+ * @returns {Object} The saved `favourites` keys, plus `isFavourite` and `toggleFavourite` for a line.
+ */
+const useFavourites = () => {
+  const [favourites, setFavourites] = useState([]);
+
+  // Read after the first render, which has to match the prerendered page
+  useEffect(() => {
+    setFavourites(loadFavourites());
+  }, []);
+
+  useEffect(() => {
+    saveFavourites(favourites);
+  }, [favourites]);
+
+  const toggleFavourite = useCallback((line) => {
+    const key = favouriteKey(line);
+    setFavourites((current) => (current.includes(key) ? current.filter((k) => k !== key) : [...current, key]));
+  }, []);
+
+  const isFavourite = (line) => favourites.includes(favouriteKey(line));
+
+  return { favourites, isFavourite, toggleFavourite };
+};
+
+/**
+ * useGeneratedShayari: Asks the shayari generator for new lines now and then, and keeps them for review.
+ * Without an endpoint, or when a request fails, the carousel just keeps to the config's lines, so
+ * failures are only logged.
+ * @param {Array<string|Object>} lines - The config's waiting lines, which set the tone.
+ * @param {Object} generator - The config's `shayari.generator` section.
+ * @param {boolean} isActive - Whether to ask for more lines now (not after the reunion).
+ * @returns {Object} The `approved` lines for the carousel, the `pending` ones waiting for review, and
+ *   `review` to approve or reject one.
+ */
+const useGeneratedShayari = (lines, generator, isActive) => {
+  const isEnabled = generator.enabled && Boolean(generator.endpoint);
+  const entries = useMemo(() => lines.map(normalizeShayari), [lines]);
+  const [cache, setCache] = useState(null);
+
+  // Read after the first render, which has to match the prerendered page
+  useEffect(() => {
+    setCache(isEnabled ? loadGeneratedShayari() : null);
+  }, [isEnabled]);
+
+  useEffect(() => {
+    if (cache) saveGeneratedShayari(cache);
+  }, [cache]);
+
+  const isDue = isActive && cache !== null && isDueForMore(cache, generator.refreshHours, Date.now());
+  useEffect(() => {
+    if (!isDue) return undefined;
+    let isCurrent = true;
+    generateShayari(entries, { endpoint: generator.endpoint, count: generator.count })
+      .then((generated) => {
+        if (isCurrent) setCache((current) => addPending(current, generated, entries, Date.now()));
+      })
+      .catch((e) => {
+        // Tried again on the next visit
+        console.warn("Could not generate shayari, so only the config's lines are shown:", e);
+      });
+    return () => {
+      isCurrent = false;
+    };
+  }, [isDue, entries, generator.endpoint, generator.count]);
+
+  const review = useCallback((line, isApproved) => {
+    setCache((current) => reviewLine(current, line, isApproved));
+  }, []);
+
+  return { approved: cache?.approved ?? NO_LINES, pending: cache?.pending ?? NO_LINES, review };
+};
+
+/**
+ * GeneratedReview Component: Lists the generated lines waiting to be approved into the carousel.
+ * @param {Object} props - Component props.
+ * @param {Object[]} props.lines - The waiting lines.
+ * @param {Object} props.labels - The generator's `review` text.
+ * @param {Function} props.onReview - Called with a line and whether it was approved.
+ */
+const GeneratedReview = ({ lines, labels, onReview }) => {
+  const buttonClasses = "px-4 py-1 rounded-full font-hand text-lg focus:outline-none focus:ring-2 focus:ring-accent-500 transition-colors duration-300";
+
+  return (
+    <div className="mt-10 w-full max-w-2xl rounded-3xl border border-accent-500 border-opacity-40 bg-black bg-opacity-20 p-4 md:p-6">
+      <h3 className="font-hand text-2xl text-accent-200">{labels.title}</h3>
+      <p className="mt-1 text-sm text-gray-200">{labels.note}</p>
+      <ul className="mt-4 space-y-4">
+        {lines.map((line) => (
+          <li key={favouriteKey(line)} className="flex flex-col items-center gap-2">
+            <p className="font-flourish text-xl md:text-2xl text-gray-200 whitespace-pre-line">"{line.text}"</p>
+            {line.tags.length > 0 && <p className="font-hand text-base text-accent-300">{line.tags.join(' · ')}</p>}
+            <div className="flex gap-2">
+              <button type="button" className={`${buttonClasses} text-accent-100 bg-accent-500 bg-opacity-30 hover:bg-opacity-50`} onClick={() => onReview(line, true)}>
+                {labels.approve}
+              </button>
+              <button type="button" className={`${buttonClasses} text-accent-300 hover:bg-white hover:bg-opacity-10`} onClick={() => onReview(line, false)}>
+                {labels.reject}
+              </button>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
+
+/**
+ * TypewriterText Component: Reveals text piece by piece, like the original page's typewriter effect.
+ * @param {Object} props - Component props.
+ * @param {string} props.text - The text to type out.
+ * @param {string} props.script - The script the text is written in.
+ */
+const TypewriterText = ({ text, script }) => {
+  // Joined scripts (Devanagari, Urdu) fall apart letter by letter, so they type a word at a time
+  const byLetter = script === 'roman';
+  let pieceIndex = 0;
+
+  return text.split(/(\s+)/).map((word, wordIndex) => {
+    if (!word.trim()) return word;
+    const pieces = byLetter ? Array.from(word) : [word];
+    return (
+      <span key={wordIndex} className="inline-block whitespace-nowrap">
+        {pieces.map((piece) => {
+          const index = pieceIndex++;
+          return (
+            <motion.span
+              key={index}
+              className="inline-block"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.5, delay: index * (byLetter ? 0.04 : 0.2), ease: "easeOut" }}
+            >
+              {piece}
+            </motion.span>
+          );
+        })}
+      </span>
+    );
+  });
+};
+
+/**
+ * ShayariCarousel Component: Displays rotating shayari lines with navigation, tags and favourites.
+ * It opens on the shayari of the day, so everyone sees the same line first. Without any lines (as when
+ * the editor's preview has had its last one removed) there is nothing to show.
+ * @param {Object} props - Component props.
+ * @param {boolean} props.isReunion - Whether to rotate the reunion shayari instead.
+ */
+const ShayariCarousel = ({ isReunion }) => {
+  const config = useConfig();
+  const shayari = isReunion ? config.reunion.shayari : config.shayari;
+  const { controls, ofTheDayLabel, generator } = config.shayari;
+  // Typing letter by letter is motion too, so reduced motion falls back to the fade
+  const transition = useReduceMotion() ? 'fade' : config.shayari.transition;
+
+  const configEntries = useMemo(() => shayari.lines.map(normalizeShayari), [shayari.lines]);
+  const generated = useGeneratedShayari(config.shayari.lines, generator, !isReunion);
+  // Approved lines only join the waiting shayari, and only after the config's own
+  const entries = useMemo(
+    () => (isReunion ? configEntries : [...configEntries, ...generated.approved.map(normalizeShayari)]),
+    [configEntries, generated.approved, isReunion]
+  );
+  const tags = useMemo(() => collectTags(entries), [entries]);
+  // "Today" follows the promise's timezone, so the pick doesn't depend on where the visitor is
+  const today = useRenderTime();
+  const todaysEntry = configEntries[shayariOfTheDay(configEntries, today, config.countdown.timeZone)];
+
+  const [selectedTag, setSelectedTag] = useState(null);
+  // A tag that isn't in the current lines (e.g. after the reunion) means no filter
+  const activeTag = tags.includes(selectedTag) ? selectedTag : null;
+  const taggedEntries = useMemo(
+    () => (activeTag ? entries.filter((entry) => entry.tags.includes(activeTag)) : entries),
+    [entries, activeTag]
+  );
+
+  const { favourites, isFavourite, toggleFavourite } = useFavourites();
+  const [favouritesOnly, setFavouritesOnly] = useState(false);
+  const favouriteEntries = useMemo(
+    () => taggedEntries.filter((entry) => favourites.includes(favouriteKey(entry))),
+    [taggedEntries, favourites]
+  );
+  // Fall back to every line if the last favourite is removed while filtering
+  const showingFavourites = favouritesOnly && favouriteEntries.length > 0;
+  const visibleEntries = showingFavourites ? favouriteEntries : taggedEntries;
+
+  // Pause while the visitor is reading (hover), navigating (focus) or away (hidden tab)
+  const [isHovered, setIsHovered] = useState(false);
+  const [isFocused, setIsFocused] = useState(false);
+  const isPageVisible = usePageVisible();
+
+  const { currentShayariIndex, currentShayari, next, previous } = useShayariRotation(
+    visibleEntries,
+    {
+      interval: config.shayari.interval,
+      shuffle: config.shayari.shuffle,
+      paused: isHovered || isFocused || !isPageVisible,
+      startIndex: visibleEntries.indexOf(todaysEntry),
+    }
+  );
+  const line = useLocalized(currentShayari?.text);
+  const isCurrentFavourite = isFavourite(currentShayari);
+  const isTodaysShayari = currentShayari === todaysEntry;
+
+  const swipeStartX = useRef(null);
+
+  if (!currentShayari) return null;
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      previous();
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      next();
+    }
+  };
+
+  const handlePointerUp = (e) => {
+    if (swipeStartX.current === null) return;
+    const distance = e.clientX - swipeStartX.current;
+    swipeStartX.current = null;
+    if (Math.abs(distance) < 50) return;
+    if (distance > 0) {
+      previous();
+    } else {
+      next();
+    }
+  };
+
+  const controlClasses = "p-3 rounded-full text-accent-200 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500 transition-colors duration-300";
+
+  return (
+    <section className="relative min-h-screen flex flex-col items-center justify-center text-center p-4 md:p-8 bg-gradient-to-br from-night-ink via-night-sea to-night-ocean">
+      <h2 className="text-3xl md:text-5xl font-heading text-accent-200 mb-10 drop-shadow-md">
+        {shayari.title}
+      </h2>
+      <motion.div
+        role="region"
+        aria-roledescription="carousel"
+        aria-label={shayari.title}
+        tabIndex={0}
+        className="w-full max-w-2xl flex flex-col items-center rounded-3xl focus:outline-none focus-visible:ring-2 focus-visible:ring-accent-500 touch-pan-y select-none"
+        initial={{ opacity: 0 }}
+        whileInView={{ opacity: 1 }}
+        viewport={{ once: true, amount: 0.5 }}
+        transition={{ duration: 1 }}
+        onKeyDown={handleKeyDown}
+        onMouseEnter={() => setIsHovered(true)}
+        onMouseLeave={() => setIsHovered(false)}
+        onFocus={() => setIsFocused(true)}
+        onBlur={(e) => {
+          if (!e.currentTarget.contains(e.relatedTarget)) setIsFocused(false);
+        }}
+        onPointerDown={(e) => {
+          swipeStartX.current = e.clientX;
+        }}
+        onPointerUp={handlePointerUp}
+        onPointerCancel={() => {
+          swipeStartX.current = null;
+        }}
+      >
+        {/* Only announce changes the visitor asked for, not every automatic rotation */}
+        <div className="w-full min-h-[8rem] flex items-center justify-center" aria-live={isFocused ? 'polite' : 'off'}>
+          <AnimatePresence mode="wait">
+            <motion.figure
+              key={`${currentShayariIndex}-${line.text}`}
+              className="px-4"
+              initial={{ opacity: 0, y: transition === 'typewriter' ? 0 : 20 }}
+              animate={{ opacity: 1, y: 0 }}
+              exit={{ opacity: 0, y: -20 }}
+              transition={{ duration: 0.8, ease: "easeInOut" }}
+            >
+              {isTodaysShayari && (
+                <span className="inline-block mb-3 px-3 py-0.5 rounded-full font-hand text-base text-accent-200 bg-accent-500 bg-opacity-20">
+                  {ofTheDayLabel}
+                </span>
+              )}
+              <blockquote
+                {...line.attributes}
+                className={`text-2xl md:text-4xl ${line.fontClass || 'font-flourish'} text-gray-200 leading-relaxed whitespace-pre-line`}
+              >
+                {transition === 'typewriter'
+                  ? <TypewriterText text={`"${line.text}"`} script={line.script} />
+                  : `"${line.text}"`}
+              </blockquote>
+              {currentShayari.poet && (
+                <figcaption className="mt-3 font-hand text-xl text-accent-300">— {currentShayari.poet}</figcaption>
+              )}
+            </motion.figure>
+          </AnimatePresence>
+        </div>
+
+        <div className="mt-6 flex items-center gap-2">
+          <button type="button" className={controlClasses} onClick={previous} aria-label={controls.previous}>
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 19l-7-7 7-7" />
+            </svg>
+          </button>
+          <button
+            type="button"
+            className={controlClasses}
+            onClick={() => toggleFavourite(currentShayari)}
+            aria-label={controls.favourite}
+            aria-pressed={isCurrentFavourite}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className={`h-6 w-6 ${isCurrentFavourite ? 'text-accent-500' : ''}`} fill={isCurrentFavourite ? 'currentColor' : 'none'} viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M4.318 6.318a4.5 4.5 0 000 6.364L12 20.364l7.682-7.682a4.5 4.5 0 00-6.364-6.364L12 7.636l-1.318-1.318a4.5 4.5 0 00-6.364 0z" />
+            </svg>
+          </button>
+          <button type="button" className={controlClasses} onClick={next} aria-label={controls.next}>
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-6 w-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 5l7 7-7 7" />
+            </svg>
+          </button>
+        </div>
+
+        <button
+          type="button"
+          className="mt-2 px-4 py-1 rounded-full font-hand text-lg text-accent-300 border border-accent-500 border-opacity-40 hover:bg-white hover:bg-opacity-10 focus:outline-none focus:ring-2 focus:ring-accent-500 disabled:opacity-40 disabled:cursor-not-allowed"
+          onClick={() => setFavouritesOnly(!favouritesOnly)}
+          aria-pressed={showingFavourites}
+          disabled={favouriteEntries.length === 0}
+        >
+          {controls.favouritesOnly} ({favouriteEntries.length})
+        </button>
+
+        <ShareButton
+          name="shayari"
+          isReunion={isReunion}
+          getCard={() => ({
+            title: shayari.title,
+            quote: { text: line.text, script: line.script, poet: currentShayari.poet },
+          })}
+        />
+
+        {tags.length > 0 && (
+          <div role="radiogroup" aria-label={controls.tags} className="mt-4 flex flex-wrap justify-center gap-2">
+            {[null, ...tags].map((tag) => (
+              <button
+                key={tag ?? ''}
+                type="button"
+                role="radio"
+                aria-checked={activeTag === tag}
+                className={`px-3 py-0.5 rounded-full font-hand text-base border border-accent-500 border-opacity-40 focus:outline-none focus:ring-2 focus:ring-accent-500 transition-colors duration-300 ${activeTag === tag ? 'bg-accent-500 bg-opacity-30 text-accent-100' : 'text-accent-300 hover:bg-white hover:bg-opacity-10'}`}
+                onClick={() => setSelectedTag(tag)}
+              >
+                {tag ?? controls.allTags}
+              </button>
+            ))}
+          </div>
+        )}
+      </motion.div>
+
+      {!isReunion && generated.pending.length > 0 && (
+        <GeneratedReview lines={generated.pending} labels={generator.review} onReview={generated.review} />
+      )}
+    </section>
+  );
+};
+
+export default ShayariCarousel;
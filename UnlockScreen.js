@@ -0,0 +1,95 @@
+// --- Unlock Screen ---
+// Stands in for the whole page while its config is locked, until the visitor gives the passphrase.
+
+import { useEffect, useState } from 'react';
+import { motion } from 'framer-motion';
+import { useConfig } from './appContext.js';
+import { useNow } from './hooks.js';
+import { loadUnlockAttempts, recordFailedUnlock, clearUnlockAttempts } from './configLock.js';
+import { Starfield } from './visualLayers.js';
+
+/**
+ * UnlockScreen Component: Asks for the passphrase, holding off further tries after too many wrong ones.
+ * @param {Object} props - Component props.
+ * @param {Function} props.onUnlock - Called with `(passphrase, remember)`; resolves to whether it worked.
+ */
+const UnlockScreen = ({ onUnlock }) => {
+  const config = useConfig();
+  const copy = config.lock;
+  const now = useNow();
+  const [passphrase, setPassphrase] = useState('');
+  const [remember, setRemember] = useState(false);
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  // Read after the first render, which has to match the prerendered screen
+  const [blockedUntil, setBlockedUntil] = useState(0);
+  useEffect(() => {
+    setBlockedUntil(loadUnlockAttempts().blockedUntil);
+  }, []);
+  const waitSeconds = Math.max(0, Math.ceil((blockedUntil - now) / 1000));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!passphrase || Date.now() < blockedUntil) return;
+    setIsBusy(true);
+    if (await onUnlock(passphrase, remember)) {
+      clearUnlockAttempts();
+      return;
+    }
+    setIsBusy(false);
+    setBlockedUntil(recordFailedUnlock(copy).blockedUntil);
+    setPassphrase('');
+    setError(copy.wrong);
+  };
+
+  return (
+    <main className="min-h-screen bg-gradient-to-br from-night-base via-night-mid to-night-high text-white font-body overflow-hidden relative flex items-center justify-center p-4">
+      <Starfield layer={config.visuals.stars} />
+      <motion.form
+        onSubmit={handleSubmit}
+        className="relative w-full max-w-md border-4 border-accent-500 rounded-3xl p-8 md:p-12 shadow-2xl backdrop-blur-sm bg-white bg-opacity-5 flex flex-col items-center gap-5 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 1 }}
+      >
+        <svg xmlns="http://www.w3.org/2000/svg" className="h-10 w-10 text-accent-300" fill="none" viewBox="0 0 24 24" stroke="currentColor" aria-hidden="true">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+        </svg>
+        <h1 className="text-3xl md:text-4xl font-heading text-accent-200 drop-shadow-md">{copy.title}</h1>
+        <label className="w-full font-hand text-xl text-accent-300">
+          {copy.label}
+          <input
+            type="password"
+            autoComplete="current-password"
+            autoFocus
+            value={passphrase}
+            onChange={(e) => {
+              setPassphrase(e.target.value);
+              setError('');
+            }}
+            aria-invalid={error !== ''}
+            className="w-full mt-2 px-3 py-2 rounded-lg bg-white bg-opacity-10 border border-accent-500 border-opacity-40 text-gray-100 font-body text-base focus:outline-none focus:ring-2 focus:ring-accent-500"
+          />
+        </label>
+        <label className="flex items-center gap-2 font-hand text-lg text-gray-300">
+          <input type="checkbox" checked={remember} onChange={(e) => setRemember(e.target.checked)} className="accent-accent-500" />
+          {copy.remember}
+        </label>
+        <button
+          type="submit"
+          disabled={isBusy || !passphrase || waitSeconds > 0}
+          aria-busy={isBusy}
+          className="px-6 py-2 rounded-full bg-accent-600 text-white font-hand text-xl shadow-lg hover:bg-accent-700 focus:outline-none focus:ring-2 focus:ring-accent-500 focus:ring-opacity-75 disabled:opacity-40 disabled:cursor-not-allowed transition-colors duration-300"
+        >
+          {copy.submit}
+        </button>
+        <p className="min-h-[1.75rem] font-hand text-lg text-accent-300" role="alert">
+          {waitSeconds > 0 ? copy.tooMany.replace('{n}', String(waitSeconds)) : error}
+        </p>
+      </motion.form>
+    </main>
+  );
+};
+
+export default UnlockScreen;
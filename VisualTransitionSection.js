@@ -0,0 +1,76 @@
+// --- Visual Transition ---
+// The moonrise under the stars, between the shayari and the pledge.
+
+import { motion, useTransform } from 'framer-motion';
+import { useConfig, useMusic } from './appContext.js';
+import { useNow } from './hooks.js';
+import { ParallaxLayer, Starfield } from './visualLayers.js';
+import { getMoonPhase, moonLitPath } from './moonPhase.js';
+
+const FULL_MOON = 0.5;
+
+/**
+ * VisualTransitionSection Component: Handles the moonrise and stars animation.
+ * The moon is full, unless the theme follows the time of day; then it shows today's real phase.
+ */
+const VisualTransitionSection = () => {
+  const config = useConfig();
+  const now = useNow(60 * 60 * 1000);
+  const phase = config.theme.mode === 'timeOfDay' ? getMoonPhase(now) : FULL_MOON;
+  // A soft halo around the moon that breathes with the music; no halo while it's quiet
+  const { energy } = useMusic();
+  const moonHalo = useTransform(energy, (level) => (
+    level > 0 ? `0 0 ${40 + 80 * level}px ${10 + 30 * level}px rgb(var(--accent-100) / ${0.6 * level})` : ''
+  ));
+  return (
+    <section className="relative min-h-screen flex flex-col items-center justify-center p-4 md:p-8 bg-gradient-to-b from-night-base to-night-void overflow-hidden">
+      <motion.div
+        className="absolute inset-0 flex items-center justify-center"
+        initial={{ opacity: 0 }}
+        whileInView={{ opacity: 1 }}
+        viewport={{ once: true, amount: 0.6 }}
+        transition={{ duration: 2, delay: 0.5 }}
+      >
+        {/* Stars, behind the moon */}
+        <Starfield layer={config.visuals.stars} />
+        {/* Moon */}
+        <ParallaxLayer strength={config.visuals.parallax.layers.moon} className="absolute inset-0 flex items-center justify-center">
+          <motion.div
+            className="moon absolute w-48 h-48 md:w-64 md:h-64 rounded-full shadow-lg"
+            style={{
+              filter: 'blur(2px)',
+              boxShadow: moonHalo
+            }}
+            initial={{ y: '100%', opacity: 0 }}
+            animate={{ y: '0%', opacity: 1 }}
+            transition={{ duration: 3, ease: "easeOut" }}
+          >
+            {/* Not every browser reads CSS variables in SVG presentation attributes, so the theme's colours go in style */}
+            <svg viewBox="0 0 100 100" className="w-full h-full" aria-hidden="true">
+              <defs>
+                <radialGradient id="moon-surface" gradientUnits="userSpaceOnUse" cx="30" cy="30" r="99">
+                  <stop offset="0%" style={{ stopColor: 'rgb(var(--moon-light))' }} />
+                  <stop offset="100%" style={{ stopColor: 'rgb(var(--moon-shade))' }} />
+                </radialGradient>
+              </defs>
+              {/* The dark side still shows faintly, lit by the earth */}
+              <circle cx="50" cy="50" r="50" style={{ fill: 'rgb(var(--moon-shade))' }} opacity="0.12" />
+              <path d={moonLitPath(phase)} fill="url(#moon-surface)" />
+            </svg>
+          </motion.div>
+        </ParallaxLayer>
+      </motion.div>
+      <motion.p
+        className="relative z-10 text-3xl md:text-5xl font-flourish text-accent-100 text-center px-4 leading-tight drop-shadow-xl"
+        initial={{ opacity: 0, y: 50 }}
+        whileInView={{ opacity: 1, y: 0 }}
+        viewport={{ once: true, amount: 0.7 }}
+        transition={{ duration: 1.5, delay: 1 }}
+      >
+        "{config.visualTransition.text}"
+      </motion.p>
+    </section>
+  );
+};
+
+export default VisualTransitionSection;
@@ -0,0 +1,424 @@
+// --- Configuration ---
+// This object centralizes all configurable text content for easy customization.
+// These are the defaults: a deployment can override any of them from a JSON file (see configLoader.js).
+export const appConfig = {
+  // Hero, shayari and pledge text can be plain Roman text, or an object with
+  // "roman", "devanagari" and "urdu" versions. Missing versions fall back to Roman.
+  script: {
+    default: "roman",
+    label: "Lipi",
+  },
+  // Colours and fonts (see theme.js). `preset` is "midnight" (pink on indigo) or "royal" (royal blue).
+  // On top of it, `accent` ("#rrggbb") replaces the accent colour, whose lighter and darker shades are
+  // mixed from it; `gradient` replaces any of the section colours (base, mid, high, ink, sea, ocean,
+  // slate, void) and `reunionGradient` the reunion ones (base, mid, high); `moon` sets the moon's
+  // `light` and `shade`; `fonts` picks the heading, body, hand and flourish fonts from playfair,
+  // cinzel, caveat, dancing, serif and sans.
+  // Run `npm run check:contrast` after changing colours.
+  theme: {
+    preset: "midnight",
+    // "fixed", or "timeOfDay": the gradients move from dusk to night to dawn with the visitor's clock,
+    // and the moon shows today's phase.
+    mode: "fixed",
+  },
+  // Animation: "system" follows the device's reduced-motion setting; visitors can switch it.
+  motion: {
+    default: "system",
+    label: "Animation",
+    options: {
+      system: "Auto",
+      reduce: "Kam",
+      full: "Poori",
+    },
+  },
+  hero: {
+    title: {
+      roman: "Intezaar Qabool Hai...",
+      devanagari: "इंतज़ार क़बूल है...",
+      urdu: "انتظار قبول ہے...",
+    },
+    subtext: {
+      roman: "Ek wada, 5 saal ka. Mohabbat se, rooh se.",
+      devanagari: "एक वादा, 5 साल का। मोहब्बत से, रूह से।",
+      urdu: "ایک وعدہ، 5 سال کا۔ محبت سے، روح سے۔",
+    },
+  },
+  countdown: {
+    title: "Tere lautne tak...",
+    // The promise itself. Dates without an offset are read in `timeZone`.
+    // Each can be overridden with the `start`, `end` and `tz` URL query parameters.
+    startDate: "2025-06-15T00:00:00",
+    endDate: "2030-06-15T00:00:00",
+    timeZone: "Asia/Kolkata",
+    errorTitle: "Yeh tareekh sahi nahi lagti...",
+    phrases: {
+      years: "saal,",
+      months: "mahine,",
+      days: "yaadon se bhare din,",
+      hours: "tanha raaton ke ghante,",
+      minutes: "khwabon ke lamhe,",
+      seconds: "be-saansein saans baaki hain...",
+    },
+    // "remaining" counts down to endDate, "elapsed" counts up from startDate.
+    mode: "remaining",
+    elapsed: {
+      title: "Wade ko guzre...",
+      phrases: {
+        years: "saal,",
+        months: "mahine,",
+        days: "din,",
+        hours: "ghante,",
+        minutes: "lamhe,",
+        seconds: "saansein beet chuki hain...",
+      },
+      toggleLabel: "Kitna guzar gaya?",
+    },
+    remainingToggleLabel: "Kitna baaki hai?",
+    progressLabel: "Wade ka safar",
+    // Seconds between screen reader announcements of the countdown (while it is on screen).
+    announceInterval: 60,
+    skipLinkLabel: "Seedha countdown par jaayein",
+  },
+  milestones: {
+    title: "Safar Ke Padaav...",
+    reachedLabel: "Guzar gaya",
+    nextLabel: "Agla padaav",
+    // Hand-written milestones. Dates without an offset are read in countdown.timeZone.
+    items: [
+      {
+        date: "2026-02-14",
+        title: "Pehla Valentine's, door se",
+        message: "Phool nahi bheje, bas dua bheji hai.",
+      },
+      {
+        date: "2026-09-21",
+        title: "Tera janamdin",
+        message: "Mombatti yahan jalegi, dua wahan pahunchegi.",
+      },
+    ],
+    // Milestones derived from the promise dates. Remove a key to turn that kind off.
+    auto: {
+      yearMarks: {
+        title: "{n} saal poore",
+        message: "{n} saal guzre, ek bhi din tere bina nahi.",
+      },
+      halfway: {
+        title: "Aadha safar",
+        message: "Jitna chale, utna hi baaki hai.",
+      },
+      daysLeft: {
+        days: [1000, 100],
+        title: "Sirf {n} din baaki",
+        message: "Ginti ab ulti chal rahi hai.",
+      },
+    },
+  },
+  shayari: {
+    title: "Dil Ki Awaaz...",
+    // Milliseconds each line stays before the next one comes in.
+    interval: 7000,
+    // Show every line once in a random order before any repeats.
+    shuffle: false,
+    // "fade" slides lines in and out, "typewriter" types them out.
+    transition: "fade",
+    controls: {
+      previous: "Pichhli shayari",
+      next: "Agli shayari",
+      favourite: "Pasandida",
+      favouritesOnly: "Sirf pasandida",
+      tags: "Mood",
+      allTags: "Sab",
+    },
+    // Badge shown on the line everyone sees first today.
+    ofTheDayLabel: "Aaj ki shayari",
+    // Optional URL of a plain text or Markdown file with more lines (see shayariLibrary.js);
+    // its entries are added after the ones below.
+    library: "",
+    // Each line is plain text, an object with versions per script, or an entry with metadata:
+    // { text, poet, tags, date }. A `date` ("MM-DD" every year, or "YYYY-MM-DD" once) makes that
+    // entry the shayari of the day on that date.
+    lines: [
+      {
+        text: {
+          roman: "Waqt badalta raha... par ek chehra tha jo ruk gaya.",
+          devanagari: "वक़्त बदलता रहा... पर एक चेहरा था जो रुक गया।",
+          urdu: "وقت بدلتا رہا... پر ایک چہرہ تھا جو رک گیا۔",
+        },
+        tags: ["intezaar"],
+      },
+      {
+        text: {
+          roman: "Kabhi tu yaad aaye, toh lagta hai waqt ruk gaya ho.",
+          devanagari: "कभी तू याद आए, तो लगता है वक़्त रुक गया हो।",
+          urdu: "کبھی تو یاد آئے، تو لگتا ہے وقت رک گیا ہو۔",
+        },
+        tags: ["yaad"],
+      },
+      {
+        text: {
+          roman: "Main nahi badla, bas din badal gaye... naam ab bhi tera hi hai.",
+          devanagari: "मैं नहीं बदला, बस दिन बदल गए... नाम अब भी तेरा ही है।",
+          urdu: "میں نہیں بدلا، بس دن بدل گئے... نام اب بھی تیرا ہی ہے۔",
+        },
+        tags: ["wafa"],
+      },
+      {
+        text: {
+          roman: "Har saans mein tera naam hai, har dhadkan mein tera ehsaas.",
+          devanagari: "हर साँस में तेरा नाम है, हर धड़कन में तेरा एहसास।",
+          urdu: "ہر سانس میں تیرا نام ہے، ہر دھڑکن میں تیرا احساس۔",
+        },
+        tags: ["mohabbat"],
+      },
+      {
+        text: {
+          roman: "Intezaar ki hadd nahi, bas teri aahat ka intezaar hai.",
+          devanagari: "इंतज़ार की हद नहीं, बस तेरी आहट का इंतज़ार है।",
+          urdu: "انتظار کی حد نہیں، بس تیری آہٹ کا انتظار ہے۔",
+        },
+        tags: ["intezaar"],
+      },
+      { text: "Teri yaadon mein khoya rehta hoon, jaise koi gehra raaz ho.", tags: ["yaad"] },
+      { text: "Yeh dil aaj bhi wahi hai, jahan tune chhod diya tha.", tags: ["wafa"] },
+      { text: "Har pal tera intezaar, har lamha teri talaash.", tags: ["intezaar"] },
+      { text: "Mohabbat ki gehraiyon mein, sirf tera hi aks hai.", tags: ["mohabbat"] },
+      { text: "Meri zindagi ki kitaab mein, har panna tere naam ka hai.", tags: ["mohabbat"] },
+    ],
+    // Optional new lines from Gemini, in the tone and moods of the lines above. New lines wait on this
+    // device until they are approved below the carousel; without an endpoint, or if a request fails,
+    // only the lines above are shown.
+    generator: {
+      enabled: false,
+      // The address of the shayari proxy (`npm run shayari-proxy`), which holds the Gemini key; the
+      // page itself never has it.
+      endpoint: "",
+      // How many lines to ask for at a time.
+      count: 5,
+      // Hours to wait before asking for more, once the last ones have been reviewed.
+      refreshHours: 24,
+      review: {
+        title: "Nayi shayari",
+        note: "Gemini ne likhi hain. Jo pasand aaye, woh carousel mein shamil ho jayegi.",
+        approve: "Shamil karein",
+        reject: "Hatayein",
+      },
+    },
+  },
+  // Everything the page switches to once the countdown reaches zero.
+  reunion: {
+    hero: {
+      title: "Tu Laut Aaya...",
+      subtext: "Intezaar poora hua. Wada nibhaya, rooh se.",
+    },
+    countdown: {
+      title: "Tere lautne ke baad...",
+      phrases: {
+        years: "saal,",
+        months: "mahine,",
+        days: "din,",
+        hours: "ghante,",
+        minutes: "lamhe,",
+        seconds: "saansein saath guzri hain...",
+      },
+    },
+    shayari: {
+      title: "Milan Ki Awaaz...",
+      lines: [
+        "Jis din ka intezaar tha, woh aaj saamne khada hai.",
+        "Waqt ruka tha tere liye, ab tere saath chalega.",
+        "Har lamha jo tanha guzra, aaj uska hisaab poora hua.",
+        "Tu aaya toh laga, saansein phir se lautin hain.",
+        "Intezaar qabool tha, aur aaj tu bhi qabool hai."
+      ],
+    },
+    celebration: {
+      hearts: 30,
+      // Seconds the celebration stays on screen after the switch.
+      duration: 8,
+    },
+  },
+  // The canvas layers behind the page. Density is points per 100,000 square pixels, drift is in
+  // pixels per second, sizes are radii in pixels, and shootingStars is an average per minute.
+  // The same seed always draws the same sky.
+  visuals: {
+    particles: {
+      seed: 1969,
+      density: 1.2,
+      colors: ["rgba(255, 255, 255, 0.35)", "rgba(255, 192, 203, 0.35)"],
+      drift: 6,
+      minSize: 10,
+      maxSize: 25,
+      glow: true,
+      twinkle: 0.3,
+      shootingStars: 0,
+    },
+    stars: {
+      seed: 2030,
+      density: 5,
+      colors: ["#ffffff", "#ffe4f1", "#dbeafe"],
+      drift: 1.5,
+      minSize: 0.5,
+      maxSize: 1.8,
+      glow: false,
+      twinkle: 0.8,
+      shootingStars: 4,
+    },
+    // How far each layer follows the mouse, a finger drag or the phone's tilt, in pixels.
+    // Negative values move against it, so the layer seems further away.
+    parallax: {
+      layers: {
+        title: 15,
+        subtext: 8,
+        particles: -25,
+        moon: -10,
+      },
+      tilt: true,
+      // Shown on phones (like iPhones) that ask before sharing their tilt
+      tiltLabel: "Jhuka kar dekhein",
+    },
+  },
+  visualTransition: {
+    text: "Agar tu laut ke aaye... toh main wahi milunga, waisa hi milunga.",
+  },
+  // Letters that stay sealed until their day. Their bodies are encrypted with a passphrase (make
+  // them with `npm run seal-letter`), so neither the page source nor config.json gives them away early.
+  // Visitors type the passphrase when they open the first letter.
+  letters: {
+    title: "Tere Naam Ke Khat...",
+    lockedLabel: "Khulega",
+    openLabel: "Khat kholein",
+    passphrase: {
+      label: "Raaz ka lafz",
+      submit: "Kholein",
+      wrong: "Yeh lafz is khat ko nahi kholta...",
+    },
+    // `unlock` sets when a letter opens, with one of: `date` (read in countdown.timeZone), `day` (the
+    // Nth day of the promise), `anniversary` (the Nth year) or `milestone` (the id of a milestone:
+    // "halfway", "year-2", "days-left-100", or "custom-0" for the first hand-written one).
+    // Each entry is printed by `npm run seal-letter`, sealed with a passphrase only you and the reader
+    // know. None ship with the page: a sample's passphrase would be public, and so would your letters.
+    items: [],
+  },
+  journal: {
+    // A journal for whoever waits, kept in their own browser (IndexedDB) and never sent anywhere.
+    enabled: true,
+    title: "Intezaar Ki Diary...",
+    dayLabel: "Din {n}",
+    // Follows the countdown's own unit phrases, e.g. "3 saal, 7 mahine, 25 yaadon se bhare din baaki"
+    leftSuffix: "baaki",
+    complete: "Intezaar poora hua",
+    placeholder: "Aaj ka haal likho...",
+    save: "Panna likh lein",
+    saved: "Aaj ka panna likh liya.",
+    failed: "Yeh panna sambhaala nahi ja saka...",
+    unavailable: "Yeh browser diary ko sambhaal nahi sakta.",
+    streak: "din lagaatar likha",
+    // How far back the heatmap of written days goes
+    heatmapWeeks: 26,
+    heatmapLabel: "Pichhle {weeks} hafton mein {n} din likhe",
+    entriesTitle: "Pichhle panne",
+    exportJson: "Export JSON",
+    exportMarkdown: "Export Markdown",
+    import: "Import",
+    imported: "{n} panne jode gaye.",
+    passphrase: {
+      label: "Diary ka lafz",
+      open: "Diary kholein",
+      wrong: "Yeh lafz is diary ko nahi kholta...",
+      set: "Taala lagayein",
+      remove: "Taala hatayein",
+      note: "Yeh lafz bhool gaye to panne wapas nahi milenge.",
+      added: "Diary par taala lag gaya.",
+      removed: "Diary ka taala hat gaya.",
+    },
+  },
+  commitmentPledge: {
+    quote: {
+      roman: "Na koi aur hoga, na kabhi tha.\nBas tu hi thi, tu hi hai, tu hi rahegi.",
+      devanagari: "न कोई और होगा, न कभी था।\nबस तू ही थी, तू ही है, तू ही रहेगी।",
+      urdu: "نہ کوئی اور ہوگا، نہ کبھی تھا۔\nبس تو ہی تھی، تو ہی ہے، تو ہی رہے گی۔",
+    },
+    signature: {
+      roman: "— Uska intezaar jo har saans mein tujhe jeeta hai.",
+      devanagari: "— उसका इंतज़ार जो हर साँस में तुझे जीता है।",
+      urdu: "— اس کا انتظار جو ہر سانس میں تجھے جیتا ہے۔",
+    },
+  },
+  footer: {
+    updateText: "Updated every second. Kyunki intezaar band nahi hota.",
+    credit: "Built with ❤️ by Skylord",
+  },
+  audio: {
+    // Played in order, starting over after the last one. A single track simply loops.
+    tracks: [
+      {
+        src: "https://cdn.pixabay.com/audio/2022/11/22/audio_2c22b62145.mp3",
+        title: "Intezaar ki dhun",
+        artist: "Pixabay",
+      },
+      {
+        src: "https://www.soundhelix.com/examples/mp3/SoundHelix-Song-1.mp3",
+        title: "Song 1",
+        artist: "SoundHelix",
+      },
+    ],
+    // Seconds the end of one track overlaps the start of the next; 0 switches straight over.
+    crossfade: 4,
+    // Volume between 0 and 1, until the visitor sets their own.
+    volume: 0.7,
+    // Let the music drive the particles, the countdown's pulse and the moon's halo. Off by default,
+    // because the tracks must then be served with CORS headers (or they play silently).
+    reactive: {
+      enabled: false,
+      // Higher values react more to quiet music and soft beats.
+      sensitivity: 1,
+    },
+    consoleMessage: "Tujhe yaad karne ka waqt nahi guzarta...",
+    labels: {
+      play: "Play background music",
+      pause: "Pause background music",
+      controls: "Music controls",
+      previous: "Previous track",
+      next: "Next track",
+      volume: "Volume",
+      mute: "Mute",
+      unmute: "Unmute",
+    },
+  },
+  // Share buttons on the countdown and the shayari. They draw an image card in the page's colours
+  // (see shareCard.js) and open the phone's share sheet, or download the image where there is none.
+  share: {
+    label: "Share karein",
+    formats: {
+      square: "Square",
+      story: "Story",
+    },
+    // Cards are saved as e.g. "intezaar-countdown.png"
+    fileName: "intezaar",
+    // The site's address, e.g. "https://example.com". Link previews need the full address of their
+    // image; without it only the path is given, which some apps don't follow.
+    siteUrl: "",
+  },
+  // The unlock screen of a config locked with a passphrase (see lockConfig.js). Locking leaves this
+  // section readable, so the screen can be worded from config.json like everything else.
+  lock: {
+    title: "Yeh intezaar sirf tere liye hai...",
+    label: "Raaz ka lafz",
+    submit: "Kholein",
+    remember: "Is device par yaad rakhein",
+    wrong: "Yeh lafz sahi nahi...",
+    // After this many wrong tries in a row, each further try waits `cooldown` seconds, twice as long every time.
+    maxAttempts: 5,
+    cooldown: 30,
+    tooMany: "Bahut koshishein ho gayin. {n} second ruk kar phir koshish karein.",
+    // Footer button on a remembered device, to ask for the passphrase again next time
+    forget: "Is device par band karein",
+  },
+  // Shown when a newer version of the page, the config or the shayari has been published since this
+  // copy was opened (e.g. from the home screen). Nothing changes until the visitor taps the action.
+  updatePrompt: {
+    message: "Kuch naya aaya hai.",
+    action: "Naya dekhein",
+    dismiss: "Baad mein",
+  },
+};
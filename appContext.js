@@ -0,0 +1,88 @@
+// --- App Context ---
+// Contexts shared by the page, its sections and the config editor, with the hooks that read them.
+
+import { createContext, useContext } from 'react';
+import { motionValue } from 'framer-motion';
+import { appConfig as defaultConfig } from './appConfig.js';
+import { SCRIPTS, localize, scriptAttributes } from './scripts.js';
+
+// --- Config Context ---
+// The loaded appConfig is shared through context so sections can be rendered with any config.
+export const ConfigContext = createContext(defaultConfig);
+
+/**
+ * useConfig: Reads the active config.
+ * @returns {Object} The config provided by the nearest ConfigContext.
+ */
+export const useConfig = () => useContext(ConfigContext);
+
+// When the HTML being hydrated was prerendered (a timestamp), or null for a page rendered in the browser.
+// The first render uses this time instead of the clock, so it matches that HTML exactly.
+export const PrerenderContext = createContext(null);
+
+// Makes a remembered device ask for the passphrase again (see configLock.js), or null when the page
+// wasn't opened with a remembered key.
+export const ForgetDeviceContext = createContext(null);
+
+// --- Script Context ---
+// The script (Roman, Devanagari or Urdu) the visitor chose for shayari, hero and pledge text.
+export const ScriptContext = createContext({ script: 'roman', setScript: () => {} });
+
+/**
+ * useScript: Reads the chosen script and the function to change it.
+ * @returns {Object} The current `script` key and `setScript`.
+ */
+export const useScript = () => useContext(ScriptContext);
+
+// The visitor's motion preference ("system", "reduce" or "full") and whether motion is reduced as a result.
+export const MotionPreferenceContext = createContext({ preference: 'system', setPreference: () => {}, reduceMotion: false });
+
+/**
+ * useReduceMotion: Tells components whether to leave out looping, moving and parallax effects.
+ * Prefer this over framer-motion's `useReducedMotion`, which only knows the system setting.
+ * @returns {boolean} True when motion should be reduced.
+ */
+export const useReduceMotion = () => useContext(MotionPreferenceContext).reduceMotion;
+
+// The background music player, and the energy and beat levels the visuals follow while it plays.
+// Without a provider (e.g. in the editor preview) there is no player and everything stays idle.
+export const MusicContext = createContext({
+  player: null,
+  audioState: null,
+  energy: motionValue(0),
+  beat: motionValue(0),
+  isReactive: false,
+});
+
+// Where the visitor is looking, from -1 to 1 on each axis, shared by every parallax layer.
+// Without a provider (e.g. in the editor preview) it stays centred.
+export const ParallaxContext = createContext({
+  x: motionValue(0),
+  y: motionValue(0),
+  canAskForTilt: false,
+  enableTilt: () => {},
+});
+
+/**
+ * useMusic: Reads the shared music player and its audio-reactive levels.
+ * @returns {Object} The `player`, its `audioState`, the `energy` and `beat` motion values (0 to 1)
+ *   and `isReactive`, which is false while visuals should use their idle animations.
+ */
+export const useMusic = () => useContext(MusicContext);
+
+/**
+ * useLocalized: Picks the version of a text for the chosen script, falling back to Roman.
+ * @param {string|Object} value - Plain text, or an object like `{ roman, devanagari, urdu }`.
+ * @returns {Object} The `text`, the `script` it is written in, the `attributes` (lang, dir) for its element
+ *   and the `fontClass` it needs.
+ */
+export const useLocalized = (value) => {
+  const { script } = useScript();
+  const localized = localize(value, script);
+  return {
+    text: localized.text,
+    script: localized.script,
+    attributes: scriptAttributes(localized.script),
+    fontClass: SCRIPTS[localized.script].fontClass,
+  };
+};
@@ -0,0 +1,58 @@
+// --- Audio Analyser ---
+// Turns the music's spectrum into smooth energy and beat levels that visuals can follow.
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+// Bass frequencies carry the beat in most music
+const BASS_CUTOFF_HZ = 250;
+// Milliseconds for a beat's glow to fade to about a third
+const BEAT_DECAY = 180;
+// Beats closer together than this are treated as one
+const MIN_BEAT_GAP = 250;
+
+/**
+ * createBeatDetector: Creates a sampler that reads an analyser once per animation frame.
+ * A beat is a jump in bass energy well above its recent average.
+ * @param {AnalyserNode} analyser - The analyser the music runs through (see audioPlayer.js).
+ * @param {number} [sensitivity=1] - Higher values react more to quiet music and soft beats.
+ * @returns {Function} `sample(time)`, taking a `requestAnimationFrame` timestamp and returning
+ *   the current `energy` (overall loudness) and `beat` (a pulse that decays after each beat), both 0 to 1.
+ */
+export const createBeatDetector = (analyser, sensitivity = 1) => {
+  const bins = new Uint8Array(analyser.frequencyBinCount);
+  const binWidth = analyser.context.sampleRate / analyser.fftSize;
+  const bassBins = clamp(Math.round(BASS_CUTOFF_HZ / binWidth), 1, bins.length);
+  const beatThreshold = 1 + 0.35 / sensitivity;
+
+  let bassAverage = 0;
+  let beat = 0;
+  let lastBeat = -Infinity;
+  let lastTime = null;
+
+  return (time) => {
+    analyser.getByteFrequencyData(bins);
+
+    let total = 0;
+    let bassTotal = 0;
+    for (let i = 0; i < bins.length; i++) {
+      total += bins[i];
+      if (i < bassBins) bassTotal += bins[i];
+    }
+    const energy = clamp((total / bins.length / 255) * 2.5 * sensitivity, 0, 1);
+    const bass = bassTotal / bassBins / 255;
+
+    // Start the average from the first frame, so the opening bars don't all count as beats
+    if (lastTime === null) bassAverage = bass;
+    const elapsed = lastTime === null ? 0 : time - lastTime;
+    lastTime = time;
+    beat *= Math.exp(-elapsed / BEAT_DECAY);
+
+    if (bass > 0.2 && bass > bassAverage * beatThreshold && time - lastBeat > MIN_BEAT_GAP) {
+      beat = 1;
+      lastBeat = time;
+    }
+    bassAverage = bassAverage * 0.95 + bass * 0.05;
+
+    return { energy, beat };
+  };
+};
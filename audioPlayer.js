@@ -0,0 +1,320 @@
+// --- Audio Player ---
+// Background music: a playlist with crossfades, volume and mute, remembered across visits and
+// controllable from the lock screen through the Media Session API.
+
+const AUDIO_STORAGE_KEY = 'intezaar.audio';
+// How often fades adjust the volume, in milliseconds
+const FADE_STEP = 50;
+
+const clamp = (value, min, max) => Math.min(max, Math.max(min, value));
+
+/**
+ * loadAudioState: Reads the player state saved on a previous visit.
+ * @returns {Object} The saved `trackIndex`, `volume`, `muted` and `playing` (any may be missing).
+ */
+export const loadAudioState = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(AUDIO_STORAGE_KEY));
+    return saved && typeof saved === 'object' ? saved : {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * saveAudioState: Remembers the player state for future visits.
+ * @param {Object} state - The `trackIndex`, `volume`, `muted`, and whether the visitor wants music `playing`.
+ */
+export const saveAudioState = ({ trackIndex, volume, muted, playing }) => {
+  try {
+    window.localStorage.setItem(AUDIO_STORAGE_KEY, JSON.stringify({ trackIndex, volume, muted, playing }));
+  } catch (e) {
+    console.warn("Could not save the audio settings:", e);
+  }
+};
+
+/**
+ * createAudioPlayer: Creates the background music player for a playlist.
+ * Playback state is only ever taken from the audio elements' own events, so a rejected `play()`
+ * (e.g. before the visitor has interacted with the page) never shows as playing.
+ * If music was playing on the last visit, it resumes, or waits for the first tap or key press
+ * when the browser blocks autoplay. Taps on elements marked `data-audio-control` are left to
+ * those controls.
+ * @param {Object} audioConfig - The `audio` section of appConfig.
+ * @param {Object[]} audioConfig.tracks - The playlist: `{ src, title, artist }` per track.
+ * @param {number} [audioConfig.crossfade=0] - Seconds to fade between tracks; 0 cuts straight over.
+ * @param {number} [audioConfig.volume=1] - The volume (0 to 1) before the visitor picks one.
+ * @param {Object} [audioConfig.reactive] - With `enabled`, the music is routed through a Web Audio
+ *   analyser (see `getAnalyser`). Tracks must then be served with CORS headers, or they play silently.
+ * @returns {Object} `getState`, `subscribe`, `play`, `pause`, `toggle`, `next`, `previous`,
+ *   `setVolume`, `setMuted`, `getAnalyser` and `destroy`.
+ */
+export const createAudioPlayer = ({ tracks, crossfade = 0, volume = 1, reactive }) => {
+  const saved = loadAudioState();
+  let state = {
+    trackIndex: Number.isInteger(saved.trackIndex) && saved.trackIndex >= 0 && saved.trackIndex < tracks.length
+      ? saved.trackIndex
+      : 0,
+    volume: typeof saved.volume === 'number' ? clamp(saved.volume, 0, 1) : volume,
+    muted: Boolean(saved.muted),
+    isPlaying: false,
+    isLoading: false,
+  };
+
+  const listeners = new Set();
+  // Two decks, so the next track can fade in while the current one fades out
+  const decks = [0, 1].map(() => ({ element: new Audio(), gain: 1, fadeTimer: null }));
+  let active = 0;
+  let isCrossfading = false;
+  let resumeOnInteraction = null;
+  // What the visitor asked for, as opposed to what the element is doing right now
+  let wantsToPlay = Boolean(saved.playing);
+  const hasMediaSession = typeof navigator !== 'undefined' && 'mediaSession' in navigator;
+  const analyse = Boolean(reactive?.enabled);
+  // Built on the first play, since browsers only let an AudioContext start after a gesture
+  let graph = null;
+
+  if (analyse) {
+    decks.forEach((deck) => {
+      deck.element.crossOrigin = 'anonymous';
+    });
+  }
+
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    saveAudioState({ ...state, playing: wantsToPlay });
+    if (hasMediaSession) {
+      navigator.mediaSession.playbackState = state.isPlaying ? 'playing' : 'paused';
+    }
+    listeners.forEach((listener) => listener(state));
+  };
+
+  const applyVolume = (deck) => {
+    deck.element.volume = clamp(state.volume * deck.gain, 0, 1);
+    deck.element.muted = state.muted;
+  };
+
+  const fade = (deck, to, seconds, onDone) => {
+    clearInterval(deck.fadeTimer);
+    const steps = Math.max(1, Math.round((seconds * 1000) / FADE_STEP));
+    const change = (to - deck.gain) / steps;
+    let step = 0;
+    deck.fadeTimer = setInterval(() => {
+      step++;
+      deck.gain = step >= steps ? to : deck.gain + change;
+      applyVolume(deck);
+      if (step >= steps) {
+        clearInterval(deck.fadeTimer);
+        onDone?.();
+      }
+    }, FADE_STEP);
+  };
+
+  const updateMetadata = () => {
+    if (!hasMediaSession || typeof MediaMetadata === 'undefined') return;
+    const track = tracks[state.trackIndex];
+    navigator.mediaSession.metadata = new MediaMetadata({
+      title: track.title || '',
+      artist: track.artist || '',
+      album: 'Intezaar',
+    });
+  };
+
+  const syncFromElement = () => {
+    const { element } = decks[active];
+    setState({ isPlaying: !element.paused, isLoading: !element.paused && element.readyState < 3 });
+  };
+
+  const connectAnalyser = () => {
+    if (!analyse || graph) return;
+    const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContextClass) return;
+    try {
+      const context = new AudioContextClass();
+      const analyser = context.createAnalyser();
+      analyser.fftSize = 512;
+      analyser.smoothingTimeConstant = 0.8;
+      decks.forEach((deck) => context.createMediaElementSource(deck.element).connect(analyser));
+      analyser.connect(context.destination);
+      graph = { context, analyser };
+    } catch (e) {
+      console.warn("Could not set up audio analysis:", e);
+    }
+  };
+
+  const playActive = () => {
+    const { element } = decks[active];
+    connectAnalyser();
+    graph?.context.resume().catch(() => {});
+    return element.play().then(() => true, (e) => {
+      console.info("Audio playback failed:", e);
+      syncFromElement();
+      return false;
+    });
+  };
+
+  const load = (deck, index) => {
+    deck.element.src = tracks[index].src;
+    // A single track just loops; longer playlists move on by themselves
+    deck.element.loop = tracks.length === 1;
+  };
+
+  const goTo = (index) => {
+    const from = decks[active];
+    const wasPlaying = !from.element.paused;
+    const nextIndex = (index + tracks.length) % tracks.length;
+
+    active = 1 - active;
+    const to = decks[active];
+    load(to, nextIndex);
+    setState({ trackIndex: nextIndex });
+    updateMetadata();
+
+    if (!wasPlaying) {
+      from.element.pause();
+      to.gain = 1;
+      applyVolume(to);
+      syncFromElement();
+      return;
+    }
+
+    if (crossfade > 0) {
+      isCrossfading = true;
+      to.gain = 0;
+      applyVolume(to);
+      playActive();
+      fade(to, 1, crossfade, () => {
+        isCrossfading = false;
+      });
+      fade(from, 0, crossfade, () => from.element.pause());
+    } else {
+      from.element.pause();
+      to.gain = 1;
+      applyVolume(to);
+      playActive();
+    }
+  };
+
+  const handlers = decks.map((deck, index) => {
+    const isActive = () => index === active;
+    const handleStateChange = () => {
+      if (isActive()) syncFromElement();
+    };
+    const handleTimeUpdate = () => {
+      const { element } = deck;
+      // Start the next track early, so the crossfade ends as this one does
+      if (isActive() && !isCrossfading && crossfade > 0 && tracks.length > 1 && Number.isFinite(element.duration)
+        && element.duration - element.currentTime <= crossfade) {
+        goTo(state.trackIndex + 1);
+      }
+    };
+    const handleEnded = () => {
+      if (!isActive()) return;
+      if (tracks.length > 1) {
+        goTo(state.trackIndex + 1);
+        // The ended track is already paused, so start the next one explicitly
+        if (decks[active].element.paused) playActive();
+      } else {
+        syncFromElement();
+      }
+    };
+    const events = {
+      play: handleStateChange,
+      playing: handleStateChange,
+      pause: handleStateChange,
+      waiting: handleStateChange,
+      error: handleStateChange,
+      emptied: handleStateChange,
+      timeupdate: handleTimeUpdate,
+      ended: handleEnded,
+    };
+    Object.entries(events).forEach(([event, handler]) => deck.element.addEventListener(event, handler));
+    return events;
+  });
+
+  const stopWaitingForInteraction = () => {
+    if (!resumeOnInteraction) return;
+    window.removeEventListener('pointerdown', resumeOnInteraction);
+    window.removeEventListener('keydown', resumeOnInteraction);
+    resumeOnInteraction = null;
+  };
+
+  const player = {
+    getState: () => state,
+    subscribe: (listener) => {
+      listeners.add(listener);
+      return () => listeners.delete(listener);
+    },
+    play: () => {
+      stopWaitingForInteraction();
+      wantsToPlay = true;
+      return playActive();
+    },
+    pause: () => {
+      stopWaitingForInteraction();
+      wantsToPlay = false;
+      decks.forEach((deck) => deck.element.pause());
+    },
+    toggle: () => (decks[active].element.paused ? player.play() : player.pause()),
+    next: () => goTo(state.trackIndex + 1),
+    previous: () => goTo(state.trackIndex - 1),
+    setVolume: (value) => {
+      setState({ volume: clamp(value, 0, 1), muted: value > 0 ? false : state.muted });
+      decks.forEach(applyVolume);
+    },
+    setMuted: (muted) => {
+      setState({ muted });
+      decks.forEach(applyVolume);
+    },
+    getAnalyser: () => graph?.analyser ?? null,
+    destroy: () => {
+      stopWaitingForInteraction();
+      decks.forEach((deck, index) => {
+        clearInterval(deck.fadeTimer);
+        Object.entries(handlers[index]).forEach(([event, handler]) => deck.element.removeEventListener(event, handler));
+        deck.element.pause();
+        deck.element.removeAttribute('src');
+      });
+      if (hasMediaSession) {
+        ['play', 'pause', 'previoustrack', 'nexttrack'].forEach((action) => navigator.mediaSession.setActionHandler(action, null));
+      }
+      graph?.context.close();
+      listeners.clear();
+    },
+  };
+
+  load(decks[active], state.trackIndex);
+  decks.forEach(applyVolume);
+  updateMetadata();
+
+  if (hasMediaSession) {
+    const actions = {
+      play: player.play,
+      pause: player.pause,
+      previoustrack: tracks.length > 1 ? player.previous : null,
+      nexttrack: tracks.length > 1 ? player.next : null,
+    };
+    Object.entries(actions).forEach(([action, handler]) => {
+      try {
+        navigator.mediaSession.setActionHandler(action, handler);
+      } catch {
+        // Older browsers don't know every action
+      }
+    });
+  }
+
+  // Pick up where the last visit left off; browsers usually want a gesture first
+  if (wantsToPlay) {
+    playActive().then((started) => {
+      if (started) return;
+      resumeOnInteraction = (e) => {
+        if (e.target instanceof Element && e.target.closest('[data-audio-control]')) return;
+        player.play();
+      };
+      window.addEventListener('pointerdown', resumeOnInteraction);
+      window.addEventListener('keydown', resumeOnInteraction);
+    });
+  }
+
+  return player;
+};
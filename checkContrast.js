@@ -0,0 +1,29 @@
+// Prints the contrast of every text colour on its section backgrounds, failing if any is too low.
+// Every theme preset is checked at night, dusk and dawn, and so is the theme in public/config.json
+// when it sets colours of its own.
+// Usage: npm run check:contrast
+
+import { readFile } from 'node:fs/promises';
+import { checkContrast } from './contrast.js';
+import { THEME_PRESETS, SKY_PHASES, resolveTheme, themeAtPhase } from './theme.js';
+
+const themes = Object.keys(THEME_PRESETS).map((preset) => [preset, { preset }]);
+try {
+  const { theme } = JSON.parse(await readFile('public/config.json', 'utf8'));
+  if (theme?.accent || theme?.gradient || theme?.reunionGradient) themes.push(['config.json', theme]);
+} catch {
+  // Without a readable config.json (a locked one has no `theme` either), the presets are all there is
+}
+
+const results = themes.flatMap(([name, themeConfig]) => SKY_PHASES.flatMap((phase) => (
+  checkContrast(themeAtPhase(resolveTheme(themeConfig), phase)).map((result) => ({ ...result, theme: `${name}, ${phase}` }))
+)));
+results.forEach(({ theme, section, text, background, ratio, passes }) => {
+  console.log(`${passes ? 'ok  ' : 'FAIL'}  ${ratio.toFixed(2).padStart(5)}:1  ${text} on ${background}  (${section}; ${theme})`);
+});
+
+const failures = results.filter((result) => !result.passes);
+if (failures.length > 0) {
+  console.error(`\n${failures.length} combination(s) are below the WCAG AA minimum.`);
+  process.exitCode = 1;
+}
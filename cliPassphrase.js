@@ -0,0 +1,59 @@
+// --- CLI Passphrase ---
+// Gets the passphrase for the command-line sealing scripts (sealLetter.js and lockConfig.js).
+
+/**
+ * askHidden: Asks for a line of input on the terminal without echoing it.
+ * @param {string} prompt - What to ask.
+ * @returns {Promise<string>} What was typed.
+ */
+const askHidden = (prompt) => new Promise((resolve) => {
+  const { stdin, stderr } = process;
+  let answer = '';
+  stderr.write(prompt);
+  stdin.setRawMode(true);
+  stdin.setEncoding('utf8');
+  const onData = (chunk) => {
+    for (const char of chunk) {
+      if (char === '\u0003') {
+        stderr.write('\n');
+        process.exit(130);
+      } else if (char === '\r' || char === '\n') {
+        stdin.setRawMode(false);
+        stdin.pause();
+        stdin.off('data', onData);
+        stderr.write('\n');
+        resolve(answer);
+        return;
+      } else if (char === '\u007f' || char === '\b') {
+        answer = answer.slice(0, -1);
+      } else {
+        answer += char;
+      }
+    }
+  };
+  stdin.on('data', onData);
+  stdin.resume();
+});
+
+/**
+ * readPassphrase: Reads the passphrase from an environment variable, or asks for it twice.
+ * Exits the process with a message if there is no way to get one, or the two don't match.
+ * @param {string} envName - The environment variable to read first, e.g. "LETTERS_PASSPHRASE".
+ * @returns {Promise<string>} The passphrase, never empty.
+ */
+export const readPassphrase = async (envName) => {
+  const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+  };
+
+  let passphrase = process.env[envName];
+  if (!passphrase) {
+    if (!process.stdin.isTTY) fail(`Set ${envName}, or run this in a terminal to be asked for the passphrase.`);
+    passphrase = await askHidden('Passphrase: ');
+    // A typo here would leave the text sealed for good
+    if (await askHidden('Passphrase again: ') !== passphrase) fail('The passphrases do not match.');
+  }
+  if (!passphrase) fail('The passphrase should not be empty.');
+  return passphrase;
+};
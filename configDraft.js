@@ -0,0 +1,99 @@
+// --- Config Draft ---
+// Storage, import and export helpers for the in-browser config editor.
+
+import { appConfig as defaultConfig } from './appConfig.js';
+import { validateConfig } from './configSchema.js';
+import { mergeConfig } from './configLoader.js';
+
+const DRAFT_STORAGE_KEY = 'intezaar.configDraft';
+
+/**
+ * isEditMode: Checks whether the page was opened as the hidden editor (`/edit` or `?edit`).
+ * @param {Location} location - Usually `window.location`.
+ * @returns {boolean} True if the editor should be shown instead of the page.
+ */
+export const isEditMode = (location) => (
+  /\/edit\/?$/.test(location.pathname) || new URLSearchParams(location.search).has('edit')
+);
+
+/**
+ * setIn: Returns a copy of an object with the value at a path replaced.
+ * @param {Object|Array} target - The object to copy.
+ * @param {Array<string|number>} path - Keys leading to the value.
+ * @param {*} value - The new value.
+ * @returns {Object|Array} The updated copy; `target` is left untouched.
+ */
+export const setIn = (target, path, value) => {
+  if (path.length === 0) return value;
+  const [key, ...rest] = path;
+  const copy = Array.isArray(target) ? [...target] : { ...target };
+  copy[key] = setIn(target?.[key] ?? (typeof rest[0] === 'number' ? [] : {}), rest, value);
+  return copy;
+};
+
+/**
+ * loadDraft: Reads the saved editor draft.
+ * @returns {Object|null} The saved config, or null if there is none or it can't be read.
+ */
+export const loadDraft = () => {
+  try {
+    const saved = window.localStorage.getItem(DRAFT_STORAGE_KEY);
+    return saved ? mergeConfig(defaultConfig, JSON.parse(saved)) : null;
+  } catch (e) {
+    console.warn("Could not read the saved config draft:", e);
+    return null;
+  }
+};
+
+/**
+ * saveDraft: Saves the editor draft so it survives reloads.
+ * @param {Object} draft - The config being edited.
+ */
+export const saveDraft = (draft) => {
+  try {
+    window.localStorage.setItem(DRAFT_STORAGE_KEY, JSON.stringify(draft));
+  } catch (e) {
+    console.warn("Could not save the config draft:", e);
+  }
+};
+
+/**
+ * clearDraft: Forgets the saved editor draft.
+ */
+export const clearDraft = () => {
+  window.localStorage.removeItem(DRAFT_STORAGE_KEY);
+};
+
+/**
+ * exportConfig: Downloads a config as a formatted JSON file.
+ * @param {Object} config - The config to export.
+ * @param {string} [filename='config.json'] - The name of the downloaded file.
+ */
+export const exportConfig = (config, filename = 'config.json') => {
+  const blob = new Blob([`${JSON.stringify(config, null, 2)}\n`], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * importConfig: Reads and validates a config JSON file chosen by the user.
+ * @param {File} file - The file from an `<input type="file">`.
+ * @returns {Promise<Object>} The merged `config` (or null) and any validation `errors`.
+ */
+export const importConfig = async (file) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(await file.text());
+  } catch (e) {
+    return { config: null, errors: [`"${file.name}" is not valid JSON: ${e.message}`] };
+  }
+
+  const errors = validateConfig(parsed);
+  return errors.length > 0
+    ? { config: null, errors }
+    : { config: mergeConfig(defaultConfig, parsed), errors: [] };
+};
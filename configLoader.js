@@ -0,0 +1,107 @@
+// --- Config Loader ---
+// Loads appConfig overrides from a JSON file at runtime, validates them and merges them over the defaults.
+
+import { appConfig as defaultConfig } from './appConfig.js';
+import { validateConfig, lockedConfigSchema } from './configSchema.js';
+import { loadShayariLibrary } from './shayariLibrary.js';
+import { isLockedConfig } from './configLock.js';
+
+export const DEFAULT_CONFIG_URL = '/config.json';
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * mergeConfig: Deep-merges overrides over a base config.
+ * Objects are merged key by key; arrays and plain values replace what was there.
+ * @param {Object} base - The config to start from.
+ * @param {Object} overrides - The values to lay over it.
+ * @returns {Object} A new merged config; neither input is modified.
+ */
+export const mergeConfig = (base, overrides) => {
+  const merged = { ...base };
+  Object.entries(overrides).forEach(([key, value]) => {
+    merged[key] = isPlainObject(value) && isPlainObject(base[key]) ? mergeConfig(base[key], value) : value;
+  });
+  return merged;
+};
+
+/**
+ * withShayariLibrary: Adds the entries from the config's shayari library file to its lines.
+ * A library that can't be loaded only costs its own lines, never the rest of the config.
+ * @param {Object} config - A merged config.
+ * @param {Function} fetchFile - Fetches the library file.
+ * @returns {Promise<Object>} The config, with library entries appended when there are any.
+ */
+const withShayariLibrary = async (config, fetchFile) => {
+  if (!config.shayari.library) return config;
+  const entries = await loadShayariLibrary(config.shayari.library, fetchFile);
+  return entries.length > 0
+    ? mergeConfig(config, { shayari: { lines: [...config.shayari.lines, ...entries] } })
+    : config;
+};
+
+/**
+ * resolveConfig: Validates config overrides and merges them over the defaults.
+ * @param {Object} overrides - The parsed config file (or, for a locked one, its unsealed contents).
+ * @param {Function} [fetchFile=fetch] - Fetches the shayari library file.
+ * @returns {Promise<Object>} The merged `config` and any `errors`, as for loadAppConfig.
+ */
+export const resolveConfig = async (overrides, fetchFile = fetch) => {
+  const errors = validateConfig(overrides);
+  if (errors.length > 0) {
+    return { config: defaultConfig, errors };
+  }
+  return { config: await withShayariLibrary(mergeConfig(defaultConfig, overrides), fetchFile), errors: [] };
+};
+
+/**
+ * loadAppConfig: Fetches and validates the config for this page.
+ * The file comes from the `config` URL query parameter, or `/config.json` by default.
+ * A missing default file is not an error; the built-in defaults are used as they are.
+ * @param {string} [search=''] - A URL query string such as `window.location.search`.
+ * @param {Function} [fetchFile=fetch] - Fetches the config and library files. The prerender step
+ *   passes one that reads them from public/ instead.
+ * @returns {Promise<Object>} The merged `config`, the `source` it came from and any `errors`.
+ *   When there are errors the defaults are returned unchanged.
+ *   Lines from `shayari.library`, if set, are appended to `shayari.lines`.
+ *   A locked file also gives its `sealed` contents, to be unsealed and passed to resolveConfig; until
+ *   then `config` is the defaults with only the file's `lock` text.
+ */
+export const loadAppConfig = async (search = '', fetchFile = fetch) => {
+  const requested = new URLSearchParams(search).get('config');
+  const source = requested || DEFAULT_CONFIG_URL;
+
+  let response;
+  try {
+    response = await fetchFile(source, { cache: 'no-cache' });
+  } catch (e) {
+    return { config: defaultConfig, source, errors: [`Could not load "${source}": ${e.message}`] };
+  }
+
+  // Dev servers and SPA hosts answer unknown paths with index.html instead of a 404
+  const isMissing = response.status === 404 || (response.headers.get('content-type') || '').includes('text/html');
+  if (!response.ok || isMissing) {
+    if (!requested && isMissing) {
+      return { config: defaultConfig, source: null, errors: [] };
+    }
+    return { config: defaultConfig, source, errors: [`Could not load "${source}" (HTTP ${response.status}).`] };
+  }
+
+  let overrides;
+  try {
+    overrides = await response.json();
+  } catch (e) {
+    return { config: defaultConfig, source, errors: [`"${source}" is not valid JSON: ${e.message}`] };
+  }
+
+  if (isLockedConfig(overrides)) {
+    const errors = validateConfig(overrides, lockedConfigSchema);
+    if (errors.length > 0) {
+      return { config: defaultConfig, source, errors };
+    }
+    return { config: mergeConfig(defaultConfig, { lock: overrides.lock || {} }), source, errors: [], sealed: overrides.sealed };
+  }
+
+  const { config, errors } = await resolveConfig(overrides, fetchFile);
+  return { config, source, errors };
+};
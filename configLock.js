@@ -0,0 +1,94 @@
+// --- Config Lock ---
+// Keeps track of a locked config (see lockConfig.js) on this device: wrong passphrase tries, and the
+// key for devices the visitor asked to remember.
+
+import { isDatabaseAvailable, withStore } from './localDatabase.js';
+
+const ATTEMPTS_STORAGE_KEY = 'intezaar.unlockAttempts';
+const KEY_STORE = 'configKeys';
+
+/**
+ * isLockedConfig: Tells a locked config file apart from a plain one.
+ * @param {*} json - The parsed config file.
+ * @returns {boolean} True if it holds a `sealed` config.
+ */
+export const isLockedConfig = (json) => json !== null && typeof json === 'object' && 'sealed' in json;
+
+// --- Wrong tries ---
+
+/**
+ * loadUnlockAttempts: Reads the wrong passphrase tries made so far on this device.
+ * @returns {Object} `failures` in a row, and `blockedUntil`, the time (in ms) before which no new try is taken.
+ */
+export const loadUnlockAttempts = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(ATTEMPTS_STORAGE_KEY));
+    return { failures: Number(saved?.failures) || 0, blockedUntil: Number(saved?.blockedUntil) || 0 };
+  } catch {
+    return { failures: 0, blockedUntil: 0 };
+  }
+};
+
+/**
+ * recordFailedUnlock: Counts a wrong passphrase and works out how long the next try has to wait.
+ * The first `maxAttempts` tries are free; after that each one waits `cooldown` seconds, doubling every time.
+ * Kept in localStorage, so reloading the page doesn't start the count over.
+ * @param {Object} lockConfig - The config's `lock` section.
+ * @param {number} [now=Date.now()] - The current time in ms.
+ * @returns {Object} The updated `failures` and `blockedUntil`.
+ */
+export const recordFailedUnlock = ({ maxAttempts, cooldown }, now = Date.now()) => {
+  const failures = loadUnlockAttempts().failures + 1;
+  const extra = failures - maxAttempts;
+  const attempts = { failures, blockedUntil: extra >= 0 ? now + cooldown * 1000 * 2 ** extra : 0 };
+  try {
+    window.localStorage.setItem(ATTEMPTS_STORAGE_KEY, JSON.stringify(attempts));
+  } catch (e) {
+    console.warn("Could not save the unlock attempts:", e);
+  }
+  return attempts;
+};
+
+/**
+ * clearUnlockAttempts: Forgets the wrong tries once the right passphrase is given.
+ */
+export const clearUnlockAttempts = () => {
+  try {
+    window.localStorage.removeItem(ATTEMPTS_STORAGE_KEY);
+  } catch {
+    // Nothing was saved then either
+  }
+};
+
+// --- Remembered keys ---
+
+/**
+ * rememberKey: Keeps the key that unlocked a config, so this device opens it without asking.
+ * The key is stored as a non-extractable CryptoKey: scripts on the page can use it, but nobody can
+ * read it out, and the passphrase itself is never stored.
+ * @param {string} source - The config file the key is for.
+ * @param {CryptoKey} key - The key from `deriveKey`.
+ * @returns {Promise} Resolves once stored (or once storing has failed, with a console warning).
+ */
+export const rememberKey = (source, key) => withStore(KEY_STORE, 'readwrite', (store) => store.put(key, source))
+  .catch((e) => console.warn("Could not remember this device:", e));
+
+/**
+ * loadRememberedKey: Reads the key remembered for a config, if any.
+ * @param {string} source - The config file.
+ * @returns {Promise<CryptoKey|null>} The key, or null.
+ */
+export const loadRememberedKey = (source) => {
+  if (!isDatabaseAvailable()) return Promise.resolve(null);
+  return withStore(KEY_STORE, 'readonly', (store) => store.get(source))
+    .then((key) => key || null)
+    .catch(() => null);
+};
+
+/**
+ * forgetKey: Stops this device from opening a config by itself.
+ * @param {string} source - The config file.
+ * @returns {Promise} Resolves once removed.
+ */
+export const forgetKey = (source) => withStore(KEY_STORE, 'readwrite', (store) => store.delete(source))
+  .catch((e) => console.warn("Could not forget this device:", e));
@@ -0,0 +1,575 @@
+// --- Config Schema ---
+// Describes the shape of appConfig so externally loaded JSON can be checked before it is used.
+// Every key is optional: anything left out falls back to the defaults in appConfig.js.
+
+const string = { type: 'string' };
+const nonEmptyString = { type: 'string', minLength: 1 };
+// Text that may come in several scripts (see scripts.js)
+const scriptVersions = {
+  type: 'object',
+  properties: {
+    roman: string,
+    devanagari: string,
+    urdu: string,
+  },
+  required: ['roman'],
+};
+const scriptedDescription = 'text, or an object with "roman", "devanagari" and "urdu" versions';
+const scriptedText = { anyOf: [string, scriptVersions], description: scriptedDescription };
+// A shayari line with metadata (see shayariLibrary.js)
+const shayariEntry = {
+  type: 'object',
+  properties: {
+    text: { anyOf: [nonEmptyString, scriptVersions], description: scriptedDescription },
+    poet: string,
+    tags: { type: 'array', items: nonEmptyString },
+    date: { type: 'string', pattern: /^(\d{4}-)?\d{2}-\d{2}$/, patternDescription: '"MM-DD" or "YYYY-MM-DD"' },
+  },
+  required: ['text'],
+};
+const scriptedLines = {
+  type: 'array',
+  items: {
+    anyOf: [nonEmptyString, scriptVersions, shayariEntry],
+    description: `${scriptedDescription}, or an entry with "text", "poet", "tags" and "date"`,
+  },
+  minItems: 1,
+};
+
+const unitPhrases = {
+  type: 'object',
+  properties: {
+    years: string,
+    months: string,
+    days: string,
+    hours: string,
+    minutes: string,
+    seconds: string,
+  },
+};
+
+const titleAndMessage = {
+  type: 'object',
+  properties: {
+    title: string,
+    message: string,
+  },
+};
+
+// Text encrypted by vault.js: a letter body, or a whole locked config
+const base64 = { type: 'string', pattern: /^[A-Za-z0-9+/]+={0,2}$/, patternDescription: 'base64 text (paste it from `npm run seal-letter`)' };
+const sealedText = {
+  type: 'object',
+  properties: {
+    salt: base64,
+    iv: base64,
+    data: base64,
+  },
+  required: ['salt', 'iv', 'data'],
+};
+
+// A theme colour (see theme.js); left empty, the preset's is used
+const hexColor = { type: 'string', pattern: /^(#[0-9a-fA-F]{6})?$/, patternDescription: 'a colour like "#ec4899"' };
+const colorSet = (names) => ({ type: 'object', properties: Object.fromEntries(names.map((name) => [name, hexColor])) });
+const fontChoice = { type: 'string', enum: ['playfair', 'cinzel', 'caveat', 'dancing', 'serif', 'sans'] };
+
+// One canvas layer drawn by starfield.js
+const starfieldLayer = {
+  type: 'object',
+  properties: {
+    seed: { type: 'number' },
+    density: { type: 'number', minimum: 0 },
+    colors: { type: 'array', items: nonEmptyString, minItems: 1 },
+    drift: { type: 'number', minimum: 0 },
+    minSize: { type: 'number', minimum: 0 },
+    maxSize: { type: 'number', minimum: 0 },
+    glow: { type: 'boolean' },
+    twinkle: { type: 'number', minimum: 0, maximum: 1 },
+    shootingStars: { type: 'number', minimum: 0 },
+  },
+};
+
+export const appConfigSchema = {
+  type: 'object',
+  properties: {
+    script: {
+      type: 'object',
+      properties: {
+        default: { type: 'string', enum: ['roman', 'devanagari', 'urdu'] },
+        label: string,
+      },
+    },
+    theme: {
+      type: 'object',
+      properties: {
+        preset: { type: 'string', enum: ['midnight', 'royal'] },
+        mode: { type: 'string', enum: ['fixed', 'timeOfDay'] },
+        accent: hexColor,
+        gradient: colorSet(['base', 'mid', 'high', 'ink', 'sea', 'ocean', 'slate', 'void']),
+        reunionGradient: colorSet(['base', 'mid', 'high']),
+        moon: colorSet(['light', 'shade']),
+        fonts: {
+          type: 'object',
+          properties: {
+            heading: fontChoice,
+            body: fontChoice,
+            hand: fontChoice,
+            flourish: fontChoice,
+          },
+        },
+      },
+    },
+    motion: {
+      type: 'object',
+      properties: {
+        default: { type: 'string', enum: ['system', 'reduce', 'full'] },
+        label: string,
+        options: {
+          type: 'object',
+          properties: {
+            system: string,
+            reduce: string,
+            full: string,
+          },
+        },
+      },
+    },
+    hero: {
+      type: 'object',
+      properties: {
+        title: scriptedText,
+        subtext: scriptedText,
+      },
+    },
+    countdown: {
+      type: 'object',
+      properties: {
+        title: string,
+        phrases: unitPhrases,
+        startDate: nonEmptyString,
+        endDate: nonEmptyString,
+        timeZone: nonEmptyString,
+        errorTitle: string,
+        mode: { type: 'string', enum: ['remaining', 'elapsed'] },
+        elapsed: {
+          type: 'object',
+          properties: {
+            title: string,
+            phrases: unitPhrases,
+            toggleLabel: string,
+          },
+        },
+        remainingToggleLabel: string,
+        progressLabel: string,
+        announceInterval: { type: 'number', minimum: 10 },
+        skipLinkLabel: string,
+      },
+    },
+    milestones: {
+      type: 'object',
+      properties: {
+        title: string,
+        reachedLabel: string,
+        nextLabel: string,
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              date: nonEmptyString,
+              title: string,
+              message: string,
+            },
+            required: ['date', 'title'],
+          },
+        },
+        auto: {
+          type: 'object',
+          properties: {
+            yearMarks: titleAndMessage,
+            halfway: titleAndMessage,
+            daysLeft: {
+              type: 'object',
+              properties: {
+                days: { type: 'array', items: { type: 'number', minimum: 1 } },
+                title: string,
+                message: string,
+              },
+            },
+          },
+        },
+      },
+    },
+    shayari: {
+      type: 'object',
+      properties: {
+        title: string,
+        interval: { type: 'number', minimum: 1000 },
+        shuffle: { type: 'boolean' },
+        transition: { type: 'string', enum: ['fade', 'typewriter'] },
+        controls: {
+          type: 'object',
+          properties: {
+            previous: string,
+            next: string,
+            favourite: string,
+            favouritesOnly: string,
+            tags: string,
+            allTags: string,
+          },
+        },
+        ofTheDayLabel: string,
+        library: string,
+        lines: scriptedLines,
+        generator: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            endpoint: { type: 'string', pattern: /^(https?:\/\/\S+)?$/, patternDescription: 'a full address such as "http://localhost:8787/generate"' },
+            count: { type: 'number', minimum: 1, maximum: 20 },
+            refreshHours: { type: 'number', minimum: 1 },
+            review: {
+              type: 'object',
+              properties: {
+                title: string,
+                note: string,
+                approve: string,
+                reject: string,
+              },
+            },
+          },
+        },
+      },
+    },
+    reunion: {
+      type: 'object',
+      properties: {
+        hero: {
+          type: 'object',
+          properties: {
+            title: scriptedText,
+            subtext: scriptedText,
+          },
+        },
+        countdown: {
+          type: 'object',
+          properties: {
+            title: string,
+            phrases: unitPhrases,
+          },
+        },
+        shayari: {
+          type: 'object',
+          properties: {
+            title: string,
+            lines: scriptedLines,
+          },
+        },
+        celebration: {
+          type: 'object',
+          properties: {
+            hearts: { type: 'number', minimum: 0 },
+            duration: { type: 'number', minimum: 0 },
+          },
+        },
+      },
+    },
+    visuals: {
+      type: 'object',
+      properties: {
+        particles: starfieldLayer,
+        stars: starfieldLayer,
+        parallax: {
+          type: 'object',
+          properties: {
+            layers: {
+              type: 'object',
+              properties: {
+                title: { type: 'number' },
+                subtext: { type: 'number' },
+                particles: { type: 'number' },
+                moon: { type: 'number' },
+              },
+            },
+            tilt: { type: 'boolean' },
+            tiltLabel: string,
+          },
+        },
+      },
+    },
+    visualTransition: {
+      type: 'object',
+      properties: {
+        text: string,
+      },
+    },
+    letters: {
+      type: 'object',
+      properties: {
+        title: string,
+        lockedLabel: string,
+        openLabel: nonEmptyString,
+        passphrase: {
+          type: 'object',
+          properties: {
+            label: nonEmptyString,
+            submit: nonEmptyString,
+            wrong: string,
+          },
+        },
+        items: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              title: nonEmptyString,
+              // One of these; see getUnlockDate in letters.js
+              unlock: {
+                type: 'object',
+                properties: {
+                  date: nonEmptyString,
+                  day: { type: 'number', minimum: 1 },
+                  anniversary: { type: 'number', minimum: 1 },
+                  milestone: nonEmptyString,
+                },
+              },
+              sealed: sealedText,
+            },
+            required: ['title', 'unlock', 'sealed'],
+          },
+        },
+      },
+    },
+    journal: {
+      type: 'object',
+      properties: {
+        enabled: { type: 'boolean' },
+        title: string,
+        dayLabel: string,
+        leftSuffix: string,
+        complete: string,
+        placeholder: string,
+        save: nonEmptyString,
+        saved: string,
+        failed: string,
+        unavailable: string,
+        streak: string,
+        heatmapWeeks: { type: 'number', minimum: 1, maximum: 104 },
+        heatmapLabel: string,
+        entriesTitle: string,
+        exportJson: nonEmptyString,
+        exportMarkdown: nonEmptyString,
+        import: nonEmptyString,
+        imported: string,
+        passphrase: {
+          type: 'object',
+          properties: {
+            label: nonEmptyString,
+            open: nonEmptyString,
+            wrong: string,
+            set: nonEmptyString,
+            remove: nonEmptyString,
+            note: string,
+            added: string,
+            removed: string,
+          },
+        },
+      },
+    },
+    commitmentPledge: {
+      type: 'object',
+      properties: {
+        quote: scriptedText,
+        signature: scriptedText,
+      },
+    },
+    footer: {
+      type: 'object',
+      properties: {
+        updateText: string,
+        credit: string,
+      },
+    },
+    audio: {
+      type: 'object',
+      properties: {
+        tracks: {
+          type: 'array',
+          items: {
+            type: 'object',
+            properties: {
+              src: nonEmptyString,
+              title: string,
+              artist: string,
+            },
+            required: ['src'],
+          },
+          minItems: 1,
+        },
+        crossfade: { type: 'number', minimum: 0 },
+        volume: { type: 'number', minimum: 0, maximum: 1 },
+        reactive: {
+          type: 'object',
+          properties: {
+            enabled: { type: 'boolean' },
+            sensitivity: { type: 'number', minimum: 0.1 },
+          },
+        },
+        consoleMessage: string,
+        labels: {
+          type: 'object',
+          properties: {
+            play: string,
+            pause: string,
+            controls: string,
+            previous: string,
+            next: string,
+            volume: string,
+            mute: string,
+            unmute: string,
+          },
+        },
+      },
+    },
+    share: {
+      type: 'object',
+      properties: {
+        label: nonEmptyString,
+        formats: {
+          type: 'object',
+          properties: {
+            square: nonEmptyString,
+            story: nonEmptyString,
+          },
+        },
+        fileName: { type: 'string', pattern: /^[\w.-]+$/, patternDescription: 'a file name made of letters, numbers, ".", "-" and "_"' },
+        siteUrl: { type: 'string', pattern: /^(https?:\/\/\S+)?$/, patternDescription: 'a full address such as "https://example.com"' },
+      },
+    },
+    lock: {
+      type: 'object',
+      properties: {
+        title: string,
+        label: nonEmptyString,
+        submit: nonEmptyString,
+        remember: nonEmptyString,
+        wrong: string,
+        maxAttempts: { type: 'number', minimum: 1 },
+        cooldown: { type: 'number', minimum: 1 },
+        tooMany: string,
+        forget: nonEmptyString,
+      },
+    },
+    updatePrompt: {
+      type: 'object',
+      properties: {
+        message: string,
+        action: string,
+        dismiss: string,
+      },
+    },
+  },
+};
+
+// A config file locked by lockConfig.js: the unlock screen's text, and everything else sealed
+export const lockedConfigSchema = {
+  type: 'object',
+  properties: {
+    lock: appConfigSchema.properties.lock,
+    sealed: sealedText,
+  },
+  required: ['sealed'],
+};
+
+const describe = (value) => {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'a list';
+  return `a ${typeof value}`;
+};
+
+const typeLabels = {
+  string: 'text',
+  number: 'a number',
+  boolean: 'true or false',
+  array: 'a list',
+  object: 'an object',
+};
+
+const matchesType = (value, type) => {
+  switch (type) {
+    case 'array':
+      return Array.isArray(value);
+    case 'object':
+      return value !== null && typeof value === 'object' && !Array.isArray(value);
+    case 'number':
+      return typeof value === 'number' && Number.isFinite(value);
+    default:
+      return typeof value === type;
+  }
+};
+
+/**
+ * validateConfig: Checks a value against a schema and collects readable errors.
+ * @param {*} value - The value to check, usually parsed JSON.
+ * @param {Object} [schema=appConfigSchema] - The schema to check against.
+ * @param {string} [path='config'] - Where `value` lives, used to prefix error messages.
+ * @returns {string[]} One message per problem found; empty when the value is valid.
+ */
+export const validateConfig = (value, schema = appConfigSchema, path = 'config') => {
+  if (schema.anyOf) {
+    const branchErrors = schema.anyOf.map((branch) => validateConfig(value, branch, path));
+    if (branchErrors.some((errors) => errors.length === 0)) return [];
+    // Report against the closest branch of the same type, since that's most likely what was meant
+    const sameType = schema.anyOf
+      .map((branch, index) => ({ branch, errors: branchErrors[index] }))
+      .filter(({ branch }) => matchesType(value, branch.type))
+      .sort((a, b) => a.errors.length - b.errors.length);
+    return sameType.length > 0 ? sameType[0].errors : [`${path} should be ${schema.description}.`];
+  }
+
+  if (!matchesType(value, schema.type)) {
+    return [`${path} should be ${typeLabels[schema.type]}, but it is ${describe(value)}.`];
+  }
+
+  const errors = [];
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path} should be one of ${schema.enum.map((option) => `"${option}"`).join(', ')}.`);
+  }
+  if (schema.minLength !== undefined && value.length < schema.minLength) {
+    errors.push(`${path} should not be empty.`);
+  }
+  if (schema.pattern && !schema.pattern.test(value)) {
+    errors.push(`${path} should look like ${schema.patternDescription}.`);
+  }
+  if (schema.minimum !== undefined && value < schema.minimum) {
+    errors.push(`${path} should be at least ${schema.minimum}.`);
+  }
+  if (schema.maximum !== undefined && value > schema.maximum) {
+    errors.push(`${path} should be at most ${schema.maximum}.`);
+  }
+
+  if (schema.type === 'array') {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path} should have at least ${schema.minItems} item${schema.minItems === 1 ? '' : 's'}.`);
+    }
+    value.forEach((item, index) => {
+      errors.push(...validateConfig(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (schema.type === 'object') {
+    (schema.required || []).forEach((key) => {
+      if (!(key in value)) errors.push(`${path}.${key} is required.`);
+    });
+    Object.entries(value).forEach(([key, child]) => {
+      if (!schema.properties[key]) {
+        errors.push(`${path}.${key} is not a known setting (check the spelling).`);
+        return;
+      }
+      errors.push(...validateConfig(child, schema.properties[key], `${path}.${key}`));
+    });
+  }
+
+  return errors;
+};
@@ -0,0 +1,139 @@
+// --- Contrast ---
+// WCAG contrast checks for the page's text colours against the section backgrounds behind them.
+// Run `npm run check:contrast` after changing any text colour, section gradient or theme.
+
+import { mixColors, resolveTheme } from './theme.js';
+
+// Normal text needs 4.5:1; large text (24px+, or 19px+ bold) needs 3:1
+export const MIN_CONTRAST = 4.5;
+export const MIN_CONTRAST_LARGE = 3;
+
+const channel = (value) => {
+  const c = value / 255;
+  return c <= 0.03928 ? c / 12.92 : ((c + 0.055) / 1.055) ** 2.4;
+};
+
+/**
+ * relativeLuminance: Computes a colour's WCAG relative luminance.
+ * @param {string} hex - A colour like "#f9a8d4".
+ * @returns {number} The luminance, 0 (black) to 1 (white).
+ */
+export const relativeLuminance = (hex) => {
+  const [r, g, b] = hex.replace('#', '').match(/.{2}/g).map((part) => parseInt(part, 16));
+  return 0.2126 * channel(r) + 0.7152 * channel(g) + 0.0722 * channel(b);
+};
+
+/**
+ * contrastRatio: Computes the WCAG contrast ratio between two colours.
+ * @param {string} foreground - The text colour, as "#rrggbb".
+ * @param {string} background - The background colour, as "#rrggbb".
+ * @returns {number} The ratio, from 1 (no contrast) to 21 (black on white).
+ */
+export const contrastRatio = (foreground, background) => {
+  const [lighter, darker] = [relativeLuminance(foreground), relativeLuminance(background)].sort((a, b) => b - a);
+  return (lighter + 0.05) / (darker + 0.05);
+};
+
+// Text colours that don't change with the theme
+const fixedColors = {
+  'gray-100': '#f3f4f6',
+  'gray-200': '#e5e7eb',
+  'gray-300': '#d1d5db',
+  'gray-400': '#9ca3af',
+  white: '#ffffff',
+};
+
+// Backgrounds that are a blend on the page rather than a theme colour
+const blends = {
+  // bg-black at 80% over the page gradient
+  footer: (theme) => mixColors(theme.night.base, '#000000', 0.8),
+};
+
+/**
+ * colorOf: Looks up a colour by its Tailwind name in a theme.
+ * @param {string} name - E.g. "accent-300", "night-base", "reunion-mid", "gray-300" or "footer".
+ * @param {Object} theme - A theme from `resolveTheme`.
+ * @returns {string} The colour, as "#rrggbb".
+ */
+const colorOf = (name, theme) => {
+  if (fixedColors[name]) return fixedColors[name];
+  if (blends[name]) return blends[name](theme);
+  const [, group, key] = name.match(/^(accent|night|reunion)-(\w+)$/);
+  return theme[group][key];
+};
+
+// Every stop of each section's gradient, since text can end up over any part of it
+export const TEXT_ON_BACKGROUNDS = [
+  {
+    section: 'Hero (page background, including reunion)',
+    backgrounds: ['night-base', 'night-mid', 'night-high', 'reunion-base', 'reunion-mid', 'reunion-high'],
+    text: [['accent-300', true], ['gray-300', false]],
+  },
+  {
+    section: 'Unlock screen',
+    backgrounds: ['night-base', 'night-mid', 'night-high'],
+    text: [['accent-200', true], ['accent-300', false], ['gray-100', false], ['gray-300', false]],
+  },
+  {
+    section: 'Countdown',
+    backgrounds: ['night-base', 'night-high'],
+    text: [['accent-200', true], ['accent-300', false], ['accent-400', true], ['gray-100', false]],
+  },
+  {
+    section: 'Milestones',
+    backgrounds: ['night-high', 'night-ink'],
+    text: [['accent-100', false], ['accent-200', false], ['accent-300', false], ['accent-400', false], ['gray-100', false], ['gray-300', false]],
+  },
+  {
+    section: 'Shayari',
+    backgrounds: ['night-ink', 'night-sea', 'night-ocean'],
+    text: [['accent-100', false], ['accent-200', false], ['accent-300', false], ['gray-200', false]],
+  },
+  {
+    section: 'Visual transition',
+    backgrounds: ['night-base', 'night-void'],
+    text: [['accent-100', true]],
+  },
+  {
+    section: 'Letters',
+    backgrounds: ['night-void', 'night-base', 'night-ink'],
+    text: [['accent-100', false], ['accent-200', true], ['accent-300', false], ['accent-400', false], ['gray-100', false], ['gray-200', false]],
+  },
+  {
+    section: 'Journal',
+    backgrounds: ['night-base', 'night-ink'],
+    text: [['accent-100', false], ['accent-200', false], ['accent-300', false], ['accent-400', false], ['gray-100', false], ['gray-200', false], ['gray-300', false]],
+  },
+  {
+    section: 'Pledge',
+    backgrounds: ['night-base', 'night-slate'],
+    text: [['accent-300', false], ['gray-300', false]],
+  },
+  {
+    section: 'Footer',
+    backgrounds: ['footer'],
+    text: [['gray-300', false], ['gray-400', false]],
+  },
+];
+
+/**
+ * checkContrast: Checks every text colour against every background it is shown on, in one theme.
+ * @param {Object} [theme=resolveTheme()] - A theme from `resolveTheme`; the default preset if left out.
+ * @param {Object[]} [pairs=TEXT_ON_BACKGROUNDS] - Sections with their `backgrounds` and `text` colours,
+ *   each text colour given as `[name, isLargeText]`.
+ * @returns {Object[]} One result per combination: `section`, `text`, `background` (the colour itself), `ratio`
+ *   and `passes`.
+ */
+export const checkContrast = (theme = resolveTheme(), pairs = TEXT_ON_BACKGROUNDS) => pairs.flatMap(({ section, backgrounds, text }) => (
+  text.flatMap(([name, isLarge]) => backgrounds.map((backgroundName) => {
+    const background = colorOf(backgroundName, theme);
+    const ratio = contrastRatio(colorOf(name, theme), background);
+    return {
+      section,
+      text: name,
+      background,
+      ratio,
+      passes: ratio >= (isLarge ? MIN_CONTRAST_LARGE : MIN_CONTRAST),
+    };
+  }))
+));
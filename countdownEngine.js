@@ -0,0 +1,128 @@
+// --- Countdown Engine ---
+// Calendar-accurate differences between two instants, measured on the wall clock of a timezone.
+
+import { getZonedParts, zonedTimeToDate } from './dateUtils.js';
+
+const MS_PER_SECOND = 1000;
+const MS_PER_MINUTE = 60 * MS_PER_SECOND;
+const MS_PER_HOUR = 60 * MS_PER_MINUTE;
+const MS_PER_DAY = 24 * MS_PER_HOUR;
+
+const daysInMonth = (year, month) => new Date(Date.UTC(year, month, 0)).getUTCDate();
+
+/**
+ * addCalendarTime: Adds whole months and days to wall-clock fields and returns the instant.
+ * Month arithmetic clamps to the end of shorter months, so 31 Jan + 1 month is 28/29 Feb
+ * and 29 Feb + 1 year is 28 Feb.
+ * @param {Object} parts - Wall-clock fields as returned by `getZonedParts`.
+ * @param {number} months - Whole months to add.
+ * @param {number} days - Whole days to add after the months.
+ * @param {string} timeZone - The timezone the fields belong to.
+ * @returns {Date} The resulting instant.
+ */
+const addCalendarTime = (parts, months, days, timeZone) => {
+  const totalMonths = parts.year * 12 + (parts.month - 1) + months;
+  const year = Math.floor(totalMonths / 12);
+  const month = (totalMonths % 12) + 1;
+  const day = Math.min(parts.day, daysInMonth(year, month));
+  const shifted = new Date(Date.UTC(year, month - 1, day + days));
+
+  return zonedTimeToDate({
+    year: shifted.getUTCFullYear(),
+    month: shifted.getUTCMonth() + 1,
+    day: shifted.getUTCDate(),
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  }, timeZone);
+};
+
+/**
+ * shiftDate: Moves an instant by whole calendar months and days in a timezone, keeping its wall-clock time.
+ * @param {Date} date - The instant to move.
+ * @param {Object} amount - The `months` and `days` to add (either may be negative).
+ * @param {string} timeZone - The timezone whose calendar is used.
+ * @returns {Date} The shifted instant.
+ */
+export const shiftDate = (date, { months = 0, days = 0 }, timeZone) => (
+  addCalendarTime(getZonedParts(date, timeZone), months, days, timeZone)
+);
+
+/**
+ * calendarDiff: Splits the time between two instants into calendar units.
+ * Years, months and days follow the calendar in `timeZone` (so leap days and DST
+ * days count as one day each); hours, minutes and seconds are real elapsed time.
+ * @param {Date} from - The earlier instant.
+ * @param {Date} to - The later instant. If it is before `from`, all units are zero.
+ * @param {string} timeZone - The timezone whose calendar is used.
+ * @returns {Object} The years, months, days, hours, minutes and seconds between the two.
+ */
+export const calendarDiff = (from, to, timeZone) => {
+  if (to.getTime() <= from.getTime()) {
+    return { years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+  }
+
+  const fromParts = getZonedParts(from, timeZone);
+  const toParts = getZonedParts(to, timeZone);
+
+  // Start from the difference in month numbers and step back until we don't overshoot.
+  let months = (toParts.year - fromParts.year) * 12 + (toParts.month - fromParts.month);
+  while (months > 0 && addCalendarTime(fromParts, months, 0, timeZone) > to) {
+    months -= 1;
+  }
+
+  const monthAnchor = addCalendarTime(fromParts, months, 0, timeZone);
+  let days = Math.max(0, Math.floor((to - monthAnchor) / MS_PER_DAY) - 1);
+  while (addCalendarTime(fromParts, months, days + 1, timeZone) <= to) {
+    days += 1;
+  }
+
+  const remainder = to - addCalendarTime(fromParts, months, days, timeZone);
+
+  return {
+    years: Math.floor(months / 12),
+    months: months % 12,
+    days,
+    hours: Math.floor(remainder / MS_PER_HOUR),
+    minutes: Math.floor((remainder % MS_PER_HOUR) / MS_PER_MINUTE),
+    seconds: Math.floor((remainder % MS_PER_MINUTE) / MS_PER_SECOND),
+  };
+};
+
+/**
+ * getProgress: Works out how much of the promise has passed.
+ * @param {Date} startDate - When the promise was made.
+ * @param {Date} endDate - When the wait ends.
+ * @param {Date} now - The current instant.
+ * @returns {number} The percentage complete, clamped between 0 and 100.
+ */
+export const getProgress = (startDate, endDate, now) => {
+  const total = endDate - startDate;
+  if (total <= 0) return 100;
+  return Math.min(100, Math.max(0, ((now - startDate) / total) * 100));
+};
+
+/**
+ * getCountdownState: Computes everything the countdown displays at a given instant.
+ * @param {Object} promiseDates - The resolved `startDate`, `endDate` and `timeZone`.
+ * @param {Date} now - The current instant.
+ * @param {'remaining'|'elapsed'|'reunion'} [mode='remaining'] - Count down to the end date, up from the
+ *   start date, or up from the end date once the wait is over.
+ * @returns {Object} The calendar units for the chosen mode, plus `progress` and `isComplete`.
+ */
+export const getCountdownState = ({ startDate, endDate, timeZone }, now, mode = 'remaining') => {
+  let units;
+  if (mode === 'elapsed') {
+    units = calendarDiff(startDate, now, timeZone);
+  } else if (mode === 'reunion') {
+    units = calendarDiff(endDate, now, timeZone);
+  } else {
+    units = calendarDiff(now, endDate, timeZone);
+  }
+
+  return {
+    ...units,
+    progress: getProgress(startDate, endDate, now),
+    isComplete: now.getTime() >= endDate.getTime(),
+  };
+};
@@ -0,0 +1,101 @@
+import { describe, expect, it } from 'vitest';
+import { calendarDiff, getCountdownState, shiftDate } from './countdownEngine.js';
+import { zonedTimeToDate } from './dateUtils.js';
+
+const utc = (value) => new Date(`${value}Z`);
+const inNewYork = (fields) => zonedTimeToDate(fields, 'America/New_York');
+const zero = { years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 0 };
+
+describe('calendarDiff', () => {
+  it('splits the difference into calendar units and clock time', () => {
+    expect(calendarDiff(utc('2024-01-01T00:00:00'), utc('2025-03-04T05:06:07'), 'UTC'))
+      .toEqual({ years: 1, months: 2, days: 3, hours: 5, minutes: 6, seconds: 7 });
+  });
+
+  it('is all zeros once the later instant has passed', () => {
+    expect(calendarDiff(utc('2024-01-02T00:00:00'), utc('2024-01-01T00:00:00'), 'UTC')).toEqual(zero);
+  });
+
+  it('counts a leap day as one day', () => {
+    expect(calendarDiff(utc('2024-02-28T00:00:00'), utc('2024-03-01T00:00:00'), 'UTC')).toMatchObject({ months: 0, days: 2 });
+  });
+
+  it('makes a year from 29 February end on 28 February', () => {
+    expect(calendarDiff(utc('2024-02-29T00:00:00'), utc('2025-02-28T00:00:00'), 'UTC')).toEqual({ ...zero, years: 1 });
+    expect(calendarDiff(utc('2024-02-29T00:00:00'), utc('2028-02-29T00:00:00'), 'UTC')).toEqual({ ...zero, years: 4 });
+  });
+
+  it('clamps months that start on a day the shorter month lacks', () => {
+    expect(calendarDiff(utc('2024-01-31T00:00:00'), utc('2024-02-29T00:00:00'), 'UTC')).toEqual({ ...zero, months: 1 });
+    expect(calendarDiff(utc('2023-01-31T00:00:00'), utc('2023-03-01T00:00:00'), 'UTC')).toEqual({ ...zero, months: 1, days: 1 });
+  });
+
+  it('counts the short and long days of a DST change as one day each', () => {
+    const springBefore = inNewYork({ year: 2024, month: 3, day: 9, hour: 12 });
+    const springAfter = inNewYork({ year: 2024, month: 3, day: 10, hour: 12 });
+    expect(springAfter - springBefore).toBe(23 * 60 * 60 * 1000);
+    expect(calendarDiff(springBefore, springAfter, 'America/New_York')).toEqual({ ...zero, days: 1 });
+
+    const fallBefore = inNewYork({ year: 2024, month: 11, day: 2, hour: 12 });
+    const fallAfter = inNewYork({ year: 2024, month: 11, day: 3, hour: 12 });
+    expect(fallAfter - fallBefore).toBe(25 * 60 * 60 * 1000);
+    expect(calendarDiff(fallBefore, fallAfter, 'America/New_York')).toEqual({ ...zero, days: 1 });
+  });
+});
+
+describe('shiftDate', () => {
+  it('keeps the wall-clock time across a DST change', () => {
+    const shifted = shiftDate(inNewYork({ year: 2024, month: 3, day: 9, hour: 9 }), { days: 1 }, 'America/New_York');
+    expect(shifted).toEqual(inNewYork({ year: 2024, month: 3, day: 10, hour: 9 }));
+    expect(shifted.toISOString()).toBe('2024-03-10T13:00:00.000Z');
+  });
+});
+
+describe('zonedTimeToDate', () => {
+  it('uses the offset in force on either side of the spring change', () => {
+    expect(inNewYork({ year: 2024, month: 3, day: 10, hour: 1, minute: 30 }).toISOString()).toBe('2024-03-10T06:30:00.000Z');
+    expect(inNewYork({ year: 2024, month: 3, day: 10, hour: 3, minute: 30 }).toISOString()).toBe('2024-03-10T07:30:00.000Z');
+  });
+
+  it('moves a time skipped by the spring change forward by the gap', () => {
+    expect(inNewYork({ year: 2024, month: 3, day: 10, hour: 2, minute: 30 }).toISOString()).toBe('2024-03-10T07:30:00.000Z');
+  });
+
+  it('takes the first of the two times repeated by the autumn change', () => {
+    expect(inNewYork({ year: 2024, month: 11, day: 3, hour: 1, minute: 30 }).toISOString()).toBe('2024-11-03T05:30:00.000Z');
+  });
+
+  it('handles timezones without DST', () => {
+    expect(zonedTimeToDate({ year: 2025, month: 6, day: 15 }, 'Asia/Kolkata').toISOString()).toBe('2025-06-14T18:30:00.000Z');
+  });
+});
+
+describe('getCountdownState', () => {
+  const promiseDates = {
+    startDate: zonedTimeToDate({ year: 2025, month: 6, day: 15 }, 'Asia/Kolkata'),
+    endDate: zonedTimeToDate({ year: 2030, month: 6, day: 15 }, 'Asia/Kolkata'),
+    timeZone: 'Asia/Kolkata',
+  };
+  const halfway = zonedTimeToDate({ year: 2027, month: 12, day: 15 }, 'Asia/Kolkata');
+
+  it('counts down to the end date by default', () => {
+    const state = getCountdownState(promiseDates, halfway);
+    expect(state).toMatchObject({ ...zero, years: 2, months: 6, isComplete: false });
+    expect(state.progress).toBeCloseTo(50, 0);
+  });
+
+  it('counts up from the start date in elapsed mode', () => {
+    expect(getCountdownState(promiseDates, halfway, 'elapsed')).toMatchObject({ ...zero, years: 2, months: 6 });
+  });
+
+  it('is complete, at 100%, from the end date on', () => {
+    const dayAfter = zonedTimeToDate({ year: 2030, month: 6, day: 16 }, 'Asia/Kolkata');
+    expect(getCountdownState(promiseDates, dayAfter)).toEqual({ ...zero, progress: 100, isComplete: true });
+    expect(getCountdownState(promiseDates, dayAfter, 'reunion')).toMatchObject({ ...zero, days: 1, isComplete: true });
+  });
+
+  it('is at 0% before the start date', () => {
+    const before = zonedTimeToDate({ year: 2025, month: 1, day: 1 }, 'Asia/Kolkata');
+    expect(getCountdownState(promiseDates, before).progress).toBe(0);
+  });
+});
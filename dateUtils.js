@@ -0,0 +1,168 @@
+// --- Date Utilities ---
+// Helpers for turning configured wall-clock dates into real instants in a given timezone.
+
+const ZONED_DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+
+// Intl formatters are expensive to create, so keep one per timezone.
+const formatterCache = new Map();
+
+const getFormatter = (timeZone) => {
+  if (!formatterCache.has(timeZone)) {
+    formatterCache.set(timeZone, new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    }));
+  }
+  return formatterCache.get(timeZone);
+};
+
+/**
+ * isValidTimeZone: Checks whether the runtime knows an IANA timezone name.
+ * @param {string} timeZone - The timezone name, e.g. "Asia/Kolkata".
+ * @returns {boolean} True if the timezone can be used with Intl.
+ */
+export const isValidTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    getFormatter(timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+/**
+ * getZonedParts: Reads the wall-clock fields of an instant as seen in a timezone.
+ * @param {Date} date - The instant to read.
+ * @param {string} timeZone - The timezone to read it in.
+ * @returns {Object} The year, month (1-12), day, hour, minute and second.
+ */
+export const getZonedParts = (date, timeZone) => {
+  const parts = {};
+  getFormatter(timeZone).formatToParts(date).forEach(({ type, value }) => {
+    if (type !== 'literal') parts[type] = Number(value);
+  });
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    hour: parts.hour,
+    minute: parts.minute,
+    second: parts.second,
+  };
+};
+
+/**
+ * getTimeZoneOffset: Computes how far a timezone is ahead of UTC at a given instant.
+ * @param {Date} date - The instant to check (the offset changes across DST).
+ * @param {string} timeZone - The timezone to check.
+ * @returns {number} The offset in milliseconds.
+ */
+export const getTimeZoneOffset = (date, timeZone) => {
+  const { year, month, day, hour, minute, second } = getZonedParts(date, timeZone);
+  const asUTC = Date.UTC(year, month - 1, day, hour, minute, second);
+  return asUTC - (date.getTime() - date.getUTCMilliseconds());
+};
+
+/**
+ * zonedTimeToDate: Converts wall-clock fields in a timezone into a real Date.
+ * Times that fall into a DST gap are moved forward by the size of the gap.
+ * @param {Object} fields - The year, month (1-12), day and optional hour, minute and second.
+ * @param {string} timeZone - The timezone the fields are written in.
+ * @returns {Date} The matching instant.
+ */
+export const zonedTimeToDate = ({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) => {
+  const guess = Date.UTC(year, month - 1, day, hour, minute, second);
+  const firstOffset = getTimeZoneOffset(new Date(guess), timeZone);
+  const firstTry = guess - firstOffset;
+  const secondOffset = getTimeZoneOffset(new Date(firstTry), timeZone);
+  if (firstOffset === secondOffset) return new Date(firstTry);
+
+  const secondTry = guess - secondOffset;
+  if (getTimeZoneOffset(new Date(secondTry), timeZone) === secondOffset) return new Date(secondTry);
+
+  // Neither offset round-trips, so the wall-clock time is skipped by DST: take the later instant.
+  return new Date(Math.max(firstTry, secondTry));
+};
+
+/**
+ * parseDateInTimeZone: Parses a configured date string.
+ * Plain "YYYY-MM-DD" or "YYYY-MM-DDTHH:mm[:ss]" values are read as wall-clock time in the
+ * given timezone; anything with an explicit offset or "Z" is parsed as an absolute instant.
+ * @param {string} value - The date string to parse.
+ * @param {string} timeZone - The timezone used for values without an offset.
+ * @returns {Date|null} The parsed date, or null if the value is not a real date.
+ */
+export const parseDateInTimeZone = (value, timeZone) => {
+  if (typeof value !== 'string' || !value.trim()) return null;
+
+  const match = value.trim().match(ZONED_DATE_PATTERN);
+  if (!match) {
+    // Only accept full ISO strings with an offset here, not whatever Date.parse guesses at.
+    if (!/^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2})$/.test(value.trim())) return null;
+    const date = new Date(value.trim());
+    return Number.isNaN(date.getTime()) ? null : date;
+  }
+
+  const [, year, month, day, hour = '0', minute = '0', second = '0'] = match;
+  const fields = {
+    year: Number(year),
+    month: Number(month),
+    day: Number(day),
+    hour: Number(hour),
+    minute: Number(minute),
+    second: Number(second),
+  };
+
+  // Reject dates like 2025-02-30 that Date.UTC would silently roll over.
+  const check = new Date(Date.UTC(fields.year, fields.month - 1, fields.day));
+  if (
+    check.getUTCFullYear() !== fields.year ||
+    check.getUTCMonth() !== fields.month - 1 ||
+    check.getUTCDate() !== fields.day ||
+    fields.hour > 23 || fields.minute > 59 || fields.second > 59
+  ) {
+    return null;
+  }
+
+  return zonedTimeToDate(fields, timeZone);
+};
+
+/**
+ * resolvePromiseDates: Resolves the promise start and end dates from config and URL overrides.
+ * Supported query parameters are `start`, `end` and `tz`, which replace the configured
+ * `startDate`, `endDate` and `timeZone` respectively.
+ * @param {Object} countdownConfig - The `appConfig.countdown` object.
+ * @param {string} [search=''] - A URL query string such as `window.location.search`.
+ * @returns {Object} The resolved `startDate`, `endDate`, `timeZone` and a list of `errors`.
+ */
+export const resolvePromiseDates = (countdownConfig, search = '') => {
+  const params = new URLSearchParams(search);
+  const errors = [];
+
+  const timeZone = params.get('tz') || countdownConfig.timeZone || 'UTC';
+  const startInput = params.get('start') || countdownConfig.startDate;
+  const endInput = params.get('end') || countdownConfig.endDate;
+
+  if (!isValidTimeZone(timeZone)) {
+    errors.push(`"${timeZone}" is not a known timezone.`);
+    return { startDate: null, endDate: null, timeZone, errors };
+  }
+
+  const startDate = parseDateInTimeZone(startInput, timeZone);
+  const endDate = parseDateInTimeZone(endInput, timeZone);
+
+  if (!startDate) errors.push(`The promise start date "${startInput ?? ''}" is not a valid date.`);
+  if (!endDate) errors.push(`The promise end date "${endInput ?? ''}" is not a valid date.`);
+  if (startDate && endDate && endDate.getTime() <= startDate.getTime()) {
+    errors.push('The promise end date must come after the start date.');
+  }
+
+  return { startDate, endDate, timeZone, errors };
+};
@@ -0,0 +1,107 @@
+// --- Shared Hooks ---
+// Small hooks used by more than one section.
+
+import { useState, useEffect, useContext } from 'react';
+import { PrerenderContext } from './appContext.js';
+import { getCountdownState } from './countdownEngine.js';
+
+/**
+ * useHydrated: Tells whether the first render is done.
+ * Prerendered HTML must match the first render exactly, so anything that depends on the visitor
+ * (saved settings, the URL, the system motion setting) should wait for this to turn true.
+ * It flips in an effect rather than synchronously, so React can finish hydrating the lazy sections
+ * before the re-render reaches them.
+ * @returns {boolean} False on the server and during the first render, true from then on.
+ */
+export const useHydrated = () => {
+  const [isHydrated, setIsHydrated] = useState(false);
+
+  useEffect(() => {
+    setIsHydrated(true);
+  }, []);
+
+  return isHydrated;
+};
+
+/**
+ * useRenderTime: The time a render should show.
+ * While hydrating that is when the HTML was prerendered; afterwards it is the current time.
+ * @returns {Date} The time to render with.
+ */
+export const useRenderTime = () => {
+  const renderedAt = useContext(PrerenderContext);
+  const isHydrated = useHydrated();
+  return renderedAt === null || isHydrated ? new Date() : new Date(renderedAt);
+};
+
+/**
+ * useNow: Re-renders on a fixed interval and returns the current time.
+ * @param {number} [interval=1000] - How often to tick, in milliseconds.
+ * @returns {Date} The current time as of the last tick.
+ */
+export const useNow = (interval = 1000) => {
+  const renderTime = useRenderTime();
+  const [now, setNow] = useState(renderTime);
+
+  useEffect(() => {
+    // Catch up straight away if the first render showed the prerendered time
+    setNow(new Date());
+    const timer = setInterval(() => setNow(new Date()), interval);
+
+    // Cleanup interval on component unmount
+    return () => clearInterval(timer);
+  }, [interval]);
+
+  return now;
+};
+
+/**
+ * useCountdown: Manages the live countdown logic.
+ * The time-locked letters count down to their unlock dates with it too, so they open on the same tick.
+ * @param {Object} promiseDates - The resolved `startDate`, `endDate` and `timeZone`.
+ * @param {'remaining'|'elapsed'|'reunion'} [mode='remaining'] - Count down to the end date, up from the start date,
+ *   or up from the end date once the wait is over.
+ * @returns {Object} The calendar years, months, days, hours, minutes and seconds, plus `progress` and `isComplete`.
+ */
+export const useCountdown = (promiseDates, mode = 'remaining') => {
+  const renderTime = useRenderTime();
+  const calculateTimeLeft = (now = new Date()) => {
+    if (!promiseDates.startDate || !promiseDates.endDate) {
+      return { years: 0, months: 0, days: 0, hours: 0, minutes: 0, seconds: 0, progress: 0, isComplete: false };
+    }
+    return getCountdownState(promiseDates, now, mode);
+  };
+
+  // Compute the first value during render so the initial paint never counts down to "now".
+  const [timeLeft, setTimeLeft] = useState(() => calculateTimeLeft(renderTime));
+
+  useEffect(() => {
+    setTimeLeft(calculateTimeLeft());
+    const timer = setInterval(() => {
+      setTimeLeft(calculateTimeLeft());
+    }, 1000);
+
+    // Cleanup interval on component unmount
+    return () => clearInterval(timer);
+  }, [promiseDates, mode]);
+
+  return timeLeft;
+};
+
+/**
+ * usePageVisible: Tracks whether the browser tab is currently visible.
+ * @returns {boolean} False while the tab is hidden or minimised.
+ */
+export const usePageVisible = () => {
+  const [isVisible, setIsVisible] = useState(() => typeof document === 'undefined' || document.visibilityState !== 'hidden');
+
+  useEffect(() => {
+    const handleVisibilityChange = () => setIsVisible(document.visibilityState !== 'hidden');
+    document.addEventListener('visibilitychange', handleVisibilityChange);
+
+    // Cleanup event listener on component unmount
+    return () => document.removeEventListener('visibilitychange', handleVisibilityChange);
+  }, []);
+
+  return isVisible;
+};
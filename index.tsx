@@ -0,0 +1,21 @@
+// --- Entry ---
+// Hydrates the page prerendered at build time (see prerender.js). With nothing to hydrate (the dev
+// server) or in the config editor, it renders from scratch instead.
+
+import { createRoot, hydrateRoot } from 'react-dom/client';
+import App, { preloadSections } from './App.js';
+import { isEditMode } from './configDraft.js';
+
+const container = document.getElementById('root') as HTMLElement;
+// Written into index.html by prerenderPlugin.js
+const stateElement = document.getElementById('prerendered-state');
+
+if (stateElement && !isEditMode(window.location)) {
+  const { config, sealed, renderedAt } = JSON.parse(stateElement.textContent || '{}');
+  // The prerendered HTML stays on screen meanwhile, so waiting for the sections costs nothing visible
+  preloadSections().then(() => {
+    hydrateRoot(container, <App prerenderedConfig={config} prerenderedSealed={sealed} renderedAt={renderedAt} />);
+  });
+} else {
+  createRoot(container).render(<App />);
+}
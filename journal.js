@@ -0,0 +1,184 @@
+// --- Journal ---
+// The calendar side of the waiting journal: which day an entry belongs to, the writing streak, the
+// heatmap, and turning entries into (and back out of) JSON and Markdown files.
+
+import { getZonedParts, zonedTimeToDate } from './dateUtils.js';
+import { calendarDiff } from './countdownEngine.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+const DAY_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const EXPORT_FORMAT = 'intezaar-journal';
+// A Markdown export has one "## YYYY-MM-DD ..." heading per entry
+const MARKDOWN_HEADING = /^## (\d{4}-\d{2}-\d{2})\b.*$/gm;
+
+// Day keys are plain calendar dates, so they are counted on UTC midnights, with no timezone in the way
+const keyToTime = (key) => {
+  const [, year, month, day] = key.match(DAY_KEY_PATTERN);
+  return Date.UTC(Number(year), Number(month) - 1, Number(day));
+};
+const timeToKey = (time) => new Date(time).toISOString().slice(0, 10);
+const addDays = (key, days) => timeToKey(keyToTime(key) + days * MS_PER_DAY);
+
+/**
+ * isDayKey: Checks for a real "YYYY-MM-DD" date.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True for e.g. "2026-10-19", false for "2026-02-30".
+ */
+export const isDayKey = (value) => typeof value === 'string' && DAY_KEY_PATTERN.test(value) && timeToKey(keyToTime(value)) === value;
+
+/**
+ * dayKey: Gets the calendar day an instant falls on in the promise's timezone.
+ * Entries are filed under it, so a day ends at midnight where the promise was made, wherever the writer is.
+ * @param {Date} date - The instant.
+ * @param {string} timeZone - The promise's timezone.
+ * @returns {string} The day as "YYYY-MM-DD".
+ */
+export const dayKey = (date, timeZone) => {
+  const { year, month, day } = getZonedParts(date, timeZone);
+  return [year, month, day].map((value, i) => String(value).padStart(i === 0 ? 4 : 2, '0')).join('-');
+};
+
+/**
+ * dayNumber: Counts which day of the promise a day is.
+ * @param {string} key - The day, from `dayKey`.
+ * @param {Object} promiseDates - The resolved `startDate` and `timeZone`.
+ * @returns {number} 1 on the day the promise was made, 2 the day after, and so on.
+ */
+export const dayNumber = (key, { startDate, timeZone }) => (
+  Math.round((keyToTime(key) - keyToTime(dayKey(startDate, timeZone))) / MS_PER_DAY) + 1
+);
+
+/**
+ * describeDay: Works out the labels of an entry written on some earlier day.
+ * Entries written here take them from the live countdown instead; this fills them in for imported ones.
+ * @param {string} key - The day, from `dayKey`.
+ * @param {Object} promiseDates - The resolved `startDate`, `endDate` and `timeZone`.
+ * @returns {Object} The `day` number, and the calendar `years`, `months` and `days` `left` as that day began.
+ */
+export const describeDay = (key, promiseDates) => {
+  const [year, month, day] = key.split('-').map(Number);
+  const startOfDay = zonedTimeToDate({ year, month, day }, promiseDates.timeZone);
+  const { years, months, days } = calendarDiff(startOfDay, promiseDates.endDate, promiseDates.timeZone);
+  return { day: dayNumber(key, promiseDates), left: { years, months, days } };
+};
+
+/**
+ * getStreak: Counts the days in a row with an entry, up to today.
+ * Today counts as kept until it is over, so a streak doesn't break in the morning before anything is written.
+ * @param {string[]} keys - The days that have entries.
+ * @param {string} todayKey - Today, from `dayKey`.
+ * @returns {number} The length of the current streak.
+ */
+export const getStreak = (keys, todayKey) => {
+  const written = new Set(keys);
+  let day = written.has(todayKey) ? todayKey : addDays(todayKey, -1);
+  let streak = 0;
+  while (written.has(day)) {
+    streak += 1;
+    day = addDays(day, -1);
+  }
+  return streak;
+};
+
+/**
+ * buildHeatmap: Lays out the last few weeks as columns of seven days, Monday first, ending with this week.
+ * @param {string[]} keys - The days that have entries.
+ * @param {Object} options - `todayKey`, `startKey` (the day the promise was made) and the number of `weeks`.
+ * @returns {Object[][]} One array per week, of `{ date, isWritten, isCounted }`; `isCounted` is false for days
+ *   before the promise or after today, which have nothing to show.
+ */
+export const buildHeatmap = (keys, { todayKey, startKey, weeks }) => {
+  const written = new Set(keys);
+  const weekday = (new Date(keyToTime(todayKey)).getUTCDay() + 6) % 7;
+  const firstDay = addDays(todayKey, -weekday - (weeks - 1) * 7);
+
+  return Array.from({ length: weeks }, (_, week) => Array.from({ length: 7 }, (_, day) => {
+    const date = addDays(firstDay, week * 7 + day);
+    return { date, isWritten: written.has(date), isCounted: date >= startKey && date <= todayKey };
+  }));
+};
+
+/**
+ * mergeEntries: Adds imported entries to the journal, one per day.
+ * Where both have the same day, the one edited last wins; a Markdown entry has no edit time, so it only
+ * fills days that are still empty.
+ * @param {Object[]} current - The journal's entries.
+ * @param {Object[]} imported - Entries from `parseJournalFile`.
+ * @returns {Object[]} The imported entries that were new or newer, to be saved.
+ */
+export const mergeEntries = (current, imported) => {
+  const byDate = new Map(current.map((entry) => [entry.date, entry]));
+  return imported.filter((entry) => {
+    const existing = byDate.get(entry.date);
+    return !existing || (entry.updatedAt || 0) > (existing.updatedAt || 0);
+  });
+};
+
+/**
+ * toJournalJson: Writes the entries out as a JSON backup that `parseJournalFile` reads back.
+ * @param {Object[]} entries - The entries, with their text opened.
+ * @returns {string} The file's text.
+ */
+export const toJournalJson = (entries) => `${JSON.stringify({
+  format: EXPORT_FORMAT,
+  version: 1,
+  entries: entries.map(({ date, day, left, text, updatedAt }) => ({ date, day, left, text, updatedAt })),
+}, null, 2)}\n`;
+
+/**
+ * toJournalMarkdown: Writes the entries out as a Markdown file to read, oldest first.
+ * @param {Object[]} entries - The entries, with their text opened.
+ * @param {Object} journalConfig - The config's `journal` section, for the title and day labels.
+ * @returns {string} The file's text.
+ */
+export const toJournalMarkdown = (entries, { title, dayLabel }) => [
+  `# ${title}\n`,
+  ...[...entries]
+    .sort((a, b) => a.date.localeCompare(b.date))
+    .map(({ date, day, text }) => `## ${date} · ${dayLabel.replace('{n}', String(day))}\n\n${text.trim()}\n`),
+].join('\n');
+
+const readEntry = (entry, index) => {
+  if (!entry || !isDayKey(entry.date)) return { error: `entries[${index}] needs a "date" like "2026-10-19".` };
+  if (typeof entry.text !== 'string' || !entry.text.trim()) return { error: `entries[${index}] (${entry.date}) has no "text".` };
+  const { date, day, left, text, updatedAt } = entry;
+  return {
+    entry: {
+      date,
+      text: text.trim(),
+      ...(Number.isInteger(day) ? { day } : {}),
+      ...(left && typeof left === 'object' ? { left } : {}),
+      ...(Number.isFinite(updatedAt) ? { updatedAt } : {}),
+    },
+  };
+};
+
+/**
+ * parseJournalFile: Reads entries back from a file written by `toJournalJson` or `toJournalMarkdown`.
+ * Imported entries may lack the `day` and `left` labels (Markdown never has `left`); see `describeDay`.
+ * @param {string} text - The file's text.
+ * @returns {Object} The `entries` that could be read, and `errors` for the rest.
+ */
+export const parseJournalFile = (text) => {
+  if (text.trimStart().startsWith('{')) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch (e) {
+      return { entries: [], errors: [`Not valid JSON: ${e.message}`] };
+    }
+    if (parsed?.format !== EXPORT_FORMAT || !Array.isArray(parsed.entries)) {
+      return { entries: [], errors: ['Not a journal export: it should have "format": "intezaar-journal" and a list of "entries".'] };
+    }
+    const results = parsed.entries.map(readEntry);
+    return { entries: results.flatMap((result) => result.entry || []), errors: results.flatMap((result) => result.error || []) };
+  }
+
+  const headings = [...text.matchAll(MARKDOWN_HEADING)];
+  if (headings.length === 0) return { entries: [], errors: ['No entries found: each should start with a "## YYYY-MM-DD" heading.'] };
+  const results = headings.map((heading, i) => readEntry({
+    date: heading[1],
+    text: text.slice(heading.index + heading[0].length, headings[i + 1]?.index ?? text.length),
+  }, i));
+  return { entries: results.flatMap((result) => result.entry || []), errors: results.flatMap((result) => result.error || []) };
+};
@@ -0,0 +1,124 @@
+import { describe, expect, it } from 'vitest';
+import { buildHeatmap, getStreak, mergeEntries, parseJournalFile, toJournalJson, toJournalMarkdown } from './journal.js';
+
+describe('getStreak', () => {
+  it('counts the days in a row up to today', () => {
+    expect(getStreak(['2026-10-17', '2026-10-18', '2026-10-19'], '2026-10-19')).toBe(3);
+  });
+
+  it('keeps yesterday\'s streak while today is still unwritten', () => {
+    expect(getStreak(['2026-10-17', '2026-10-18'], '2026-10-19')).toBe(2);
+  });
+
+  it('is broken by a missed day', () => {
+    expect(getStreak(['2026-10-15', '2026-10-16', '2026-10-18', '2026-10-19'], '2026-10-19')).toBe(2);
+    expect(getStreak(['2026-10-16', '2026-10-17'], '2026-10-19')).toBe(0);
+  });
+
+  it('ignores days after today and the order of the keys', () => {
+    expect(getStreak(['2026-10-20', '2026-10-19', '2026-10-18'], '2026-10-19')).toBe(2);
+  });
+
+  it('runs across months and leap days', () => {
+    expect(getStreak(['2028-02-28', '2028-02-29', '2028-03-01'], '2028-03-01')).toBe(3);
+  });
+
+  it('is zero without entries', () => {
+    expect(getStreak([], '2026-10-19')).toBe(0);
+  });
+});
+
+describe('buildHeatmap', () => {
+  // A Wednesday
+  const todayKey = '2026-10-21';
+
+  it('lays out whole weeks from Monday, ending with this week', () => {
+    const heatmap = buildHeatmap([], { todayKey, startKey: '2026-01-01', weeks: 3 });
+    expect(heatmap).toHaveLength(3);
+    expect(heatmap.every((week) => week.length === 7)).toBe(true);
+    expect(heatmap[0][0].date).toBe('2026-10-05');
+    expect(new Date(`${heatmap[0][0].date}T00:00:00Z`).getUTCDay()).toBe(1);
+    expect(heatmap[2][2].date).toBe(todayKey);
+    expect(heatmap[2][6].date).toBe('2026-10-25');
+  });
+
+  it('marks the written days, and counts only the days from the promise to today', () => {
+    const heatmap = buildHeatmap(['2026-10-13', todayKey, '2026-10-30'], { todayKey, startKey: '2026-10-14', weeks: 2 });
+    const [lastWeek, thisWeek] = heatmap;
+    expect(lastWeek[1]).toEqual({ date: '2026-10-13', isWritten: true, isCounted: false });
+    expect(lastWeek[2]).toEqual({ date: '2026-10-14', isWritten: false, isCounted: true });
+    expect(thisWeek[2]).toEqual({ date: todayKey, isWritten: true, isCounted: true });
+    expect(thisWeek[3]).toEqual({ date: '2026-10-22', isWritten: false, isCounted: false });
+  });
+});
+
+describe('mergeEntries', () => {
+  const current = [
+    { date: '2026-10-18', text: 'Purana', updatedAt: 200 },
+    { date: '2026-10-19', text: 'Bina waqt ka' },
+  ];
+
+  it('adds entries for days that have none', () => {
+    const imported = [{ date: '2026-10-17', text: 'Naya' }];
+    expect(mergeEntries(current, imported)).toEqual(imported);
+  });
+
+  it('keeps whichever of two entries for a day was edited last', () => {
+    const newer = { date: '2026-10-18', text: 'Badla hua', updatedAt: 300 };
+    expect(mergeEntries(current, [newer])).toEqual([newer]);
+    expect(mergeEntries(current, [{ date: '2026-10-18', text: 'Aur purana', updatedAt: 100 }])).toEqual([]);
+    expect(mergeEntries(current, [{ date: '2026-10-18', text: 'Utna hi', updatedAt: 200 }])).toEqual([]);
+  });
+
+  it('never lets an entry without an edit time replace one', () => {
+    expect(mergeEntries(current, [{ date: '2026-10-18', text: 'Markdown se' }])).toEqual([]);
+    expect(mergeEntries(current, [{ date: '2026-10-19', text: 'Markdown se' }])).toEqual([]);
+  });
+
+  it('lets a timed entry fill in over one without an edit time', () => {
+    const timed = { date: '2026-10-19', text: 'Backup se', updatedAt: 1 };
+    expect(mergeEntries(current, [timed])).toEqual([timed]);
+  });
+});
+
+describe('parseJournalFile', () => {
+  const entries = [
+    { date: '2026-10-19', day: 492, left: { years: 3, months: 7, days: 27 }, text: 'Aaj bhi', updatedAt: 1760832000000 },
+    { date: '2026-10-18', day: 491, left: { years: 3, months: 7, days: 28 }, text: 'Kal ki\nbaat', updatedAt: 1760745600000 },
+  ];
+
+  it('reads back a JSON export', () => {
+    expect(parseJournalFile(toJournalJson(entries))).toEqual({ entries, errors: [] });
+  });
+
+  it('reads back a Markdown export, oldest first and without edit times', () => {
+    const markdown = toJournalMarkdown(entries, { title: 'Diary', dayLabel: 'Din {n}' });
+    expect(parseJournalFile(markdown)).toEqual({
+      entries: [{ date: '2026-10-18', text: 'Kal ki\nbaat' }, { date: '2026-10-19', text: 'Aaj bhi' }],
+      errors: [],
+    });
+  });
+
+  it('keeps the readable entries and names the rest', () => {
+    const file = JSON.stringify({
+      format: 'intezaar-journal',
+      entries: [{ date: '2026-02-30', text: 'x' }, { date: '2026-10-19', text: '  ' }, { date: '2026-10-18', text: 'Theek', day: 1.5 }],
+    });
+    expect(parseJournalFile(file)).toEqual({
+      entries: [{ date: '2026-10-18', text: 'Theek' }],
+      errors: ['entries[0] needs a "date" like "2026-10-19".', 'entries[1] (2026-10-19) has no "text".'],
+    });
+  });
+
+  it('turns away files that are not journal exports', () => {
+    expect(parseJournalFile('{ not json').errors[0]).toMatch(/^Not valid JSON/);
+    expect(parseJournalFile('{"entries": []}').errors[0]).toMatch(/^Not a journal export/);
+    expect(parseJournalFile('Just some notes').errors[0]).toMatch(/^No entries found/);
+  });
+
+  it('skips empty Markdown days', () => {
+    const { entries: read, errors } = parseJournalFile('# Diary\n\n## 2026-10-18 · Din 1\n\n## 2026-10-19 · Din 2\n\nLikha\n');
+    expect(read).toEqual([{ date: '2026-10-19', text: 'Likha' }]);
+    expect(errors).toEqual(['entries[0] (2026-10-18) has no "text".']);
+  });
+});
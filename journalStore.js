@@ -0,0 +1,103 @@
+// --- Journal Store ---
+// Keeps the journal's entries in IndexedDB, on this device only. Once a passphrase is set, each entry's
+// text is sealed with a key derived from it; the days and their labels stay readable.
+
+import { isDatabaseAvailable, withStore } from './localDatabase.js';
+import { createSalt, deriveKey, sealWithKey, unsealWithKey } from './vault.js';
+
+const ENTRY_STORE = 'journal';
+const LOCK_STORE = 'journalLock';
+const LOCK_KEY = 'lock';
+// Sealed with the journal's key, so a passphrase can be checked even before anything is written
+const LOCK_CHECK = 'intezaar';
+
+const toRecord = async (entry, key) => {
+  if (!key) return entry;
+  const { text, ...labels } = entry;
+  return { ...labels, sealed: await sealWithKey(text, key) };
+};
+
+/**
+ * loadJournalLock: Reads the journal's passphrase lock, if one is set.
+ * @returns {Promise<Object|null>} The lock's `salt` and sealed `check`, or null if the journal is open to anyone
+ *   using this device.
+ */
+export const loadJournalLock = async () => {
+  if (!isDatabaseAvailable()) return null;
+  return (await withStore(LOCK_STORE, 'readonly', (store) => store.get(LOCK_KEY))) || null;
+};
+
+/**
+ * unlockJournal: Turns a passphrase into the journal's key, if it is the right one.
+ * @param {Object} lock - The lock from `loadJournalLock`.
+ * @param {string} passphrase - The passphrase to try.
+ * @returns {Promise<CryptoKey|null>} The key, or null if the passphrase is wrong.
+ */
+export const unlockJournal = async (lock, passphrase) => {
+  const key = await deriveKey(passphrase, lock);
+  return (await unsealWithKey(lock.check, key)) === LOCK_CHECK ? key : null;
+};
+
+/**
+ * loadEntries: Reads every entry, opening the sealed ones.
+ * @param {CryptoKey|null} [key=null] - The journal's key, if it has a passphrase.
+ * @returns {Promise<Object[]>} The entries, newest first: `date`, `day`, `left`, `text` and `updatedAt`.
+ */
+export const loadEntries = async (key = null) => {
+  if (!isDatabaseAvailable()) return [];
+  const records = await withStore(ENTRY_STORE, 'readonly', (store) => store.getAll());
+  const entries = await Promise.all(records.map(async ({ sealed, ...entry }) => {
+    if (!sealed) return entry;
+    const text = key && await unsealWithKey(sealed, key);
+    if (text) return { ...entry, text };
+    console.warn(`Could not open the journal entry for ${entry.date}.`);
+    return null;
+  }));
+  return entries.filter(Boolean).sort((a, b) => b.date.localeCompare(a.date));
+};
+
+/**
+ * saveEntries: Writes entries, replacing any already kept for the same days.
+ * @param {Object[]} entries - The entries, with their text.
+ * @param {CryptoKey|null} [key=null] - The journal's key, if it has a passphrase.
+ * @returns {Promise} Resolves once stored.
+ */
+export const saveEntries = async (entries, key = null) => {
+  // Sealed up front: a transaction closes by itself if it is left waiting on anything else
+  const records = await Promise.all(entries.map((entry) => toRecord(entry, key)));
+  return withStore(ENTRY_STORE, 'readwrite', (store) => {
+    records.forEach((record) => store.put(record));
+  });
+};
+
+/**
+ * deleteEntry: Removes the entry for a day.
+ * @param {string} date - The day, as "YYYY-MM-DD".
+ * @returns {Promise} Resolves once removed.
+ */
+export const deleteEntry = (date) => withStore(ENTRY_STORE, 'readwrite', (store) => store.delete(date));
+
+/**
+ * setJournalPassphrase: Seals every entry under a new passphrase, or opens them all up again.
+ * The entries and the lock are rewritten together, so they can never end up out of step.
+ * @param {Object[]} entries - Every entry, with its text opened.
+ * @param {string|null} passphrase - The new passphrase, or null to remove it.
+ * @returns {Promise<CryptoKey|null>} The journal's new key, or null without a passphrase.
+ */
+export const setJournalPassphrase = async (entries, passphrase) => {
+  const salt = createSalt();
+  const key = passphrase ? await deriveKey(passphrase, { salt }) : null;
+  const lock = key && { salt, check: await sealWithKey(LOCK_CHECK, key) };
+  const records = await Promise.all(entries.map((entry) => toRecord(entry, key)));
+
+  await withStore([ENTRY_STORE, LOCK_STORE], 'readwrite', (entryStore, lockStore) => {
+    entryStore.clear();
+    records.forEach((record) => entryStore.put(record));
+    if (lock) {
+      lockStore.put(lock, LOCK_KEY);
+    } else {
+      lockStore.delete(LOCK_KEY);
+    }
+  });
+  return key;
+};
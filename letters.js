@@ -0,0 +1,46 @@
+// --- Letters ---
+// Works out when each time-locked letter opens, from a date or from the promise and its milestones.
+
+import { parseDateInTimeZone } from './dateUtils.js';
+import { shiftDate } from './countdownEngine.js';
+import { buildMilestones } from './milestones.js';
+
+/**
+ * getUnlockDate: Resolves a letter's `unlock` setting to the instant it opens.
+ * Only the first of `date`, `day`, `anniversary` and `milestone` that is set is used.
+ * @param {Object} unlock - The letter's `unlock` object.
+ * @param {Object} promiseDates - The resolved `startDate`, `endDate` and `timeZone`.
+ * @param {Object[]} milestones - The timeline from `buildMilestones`.
+ * @returns {Date|null} When the letter opens, or null if it can't be worked out.
+ */
+const getUnlockDate = (unlock, { startDate, timeZone }, milestones) => {
+  if (unlock.date) return parseDateInTimeZone(unlock.date, timeZone);
+  // Day 1 is the day the promise was made, so the 100th day begins 99 days after it
+  if (unlock.day) return shiftDate(startDate, { days: unlock.day - 1 }, timeZone);
+  if (unlock.anniversary) return shiftDate(startDate, { months: unlock.anniversary * 12 }, timeZone);
+  if (unlock.milestone) {
+    return milestones.find((milestone) => milestone.id === unlock.milestone)?.date ?? null;
+  }
+  return null;
+};
+
+/**
+ * buildLetters: Builds the list of letters with the instant each one opens.
+ * Letters whose unlock date can't be worked out are skipped with a console warning.
+ * @param {Object} config - The whole config, since `milestone` unlocks need the milestone settings.
+ * @param {Object} promiseDates - The resolved `startDate`, `endDate` and `timeZone`.
+ * @returns {Object[]} Letters with `id`, `title`, `unlockDate` and `sealed`, earliest first.
+ */
+export const buildLetters = (config, promiseDates) => {
+  if (!promiseDates.startDate || !promiseDates.endDate) return [];
+
+  const milestones = buildMilestones(config.milestones, promiseDates);
+  return config.letters.items.flatMap((item, index) => {
+    const unlockDate = getUnlockDate(item.unlock, promiseDates, milestones);
+    if (!unlockDate) {
+      console.warn(`Skipping letter "${item.title}": its unlock date ${JSON.stringify(item.unlock)} can't be worked out.`);
+      return [];
+    }
+    return [{ id: `letter-${index}`, title: item.title, unlockDate, sealed: item.sealed }];
+  }).sort((a, b) => a.unlockDate - b.unlockDate);
+};
@@ -0,0 +1,57 @@
+// --- Local Database ---
+// The page's IndexedDB database, shared by the remembered config keys (configLock.js) and the
+// journal (journalStore.js).
+
+const DATABASE_NAME = 'intezaar';
+// Version 1 only had the config keys; version 2 added the journal
+const DATABASE_VERSION = 2;
+const STORES = {
+  configKeys: {},
+  // Entries are keyed by their "YYYY-MM-DD" day
+  journal: { keyPath: 'date' },
+  // The salt and check text of a journal passphrase, under the key "lock"
+  journalLock: {},
+};
+
+/**
+ * isDatabaseAvailable: Tells whether this browser (or prerender) has IndexedDB at all.
+ * @returns {boolean} True if stores can be opened.
+ */
+export const isDatabaseAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * withStore: Runs requests against one or more stores in a single transaction, so they all happen or none do.
+ * @param {string|string[]} storeNames - One of the stores above, or several.
+ * @param {'readonly'|'readwrite'} mode - The transaction mode.
+ * @param {Function} makeRequest - Called with the object stores, in the order named; returns the request whose
+ *   result is wanted (or nothing, e.g. after several puts).
+ * @returns {Promise} Resolves with that request's result once the transaction has completed.
+ */
+export const withStore = (storeNames, mode, makeRequest) => new Promise((resolve, reject) => {
+  const opening = indexedDB.open(DATABASE_NAME, DATABASE_VERSION);
+  opening.onupgradeneeded = () => {
+    const database = opening.result;
+    Object.entries(STORES).forEach(([name, options]) => {
+      if (!database.objectStoreNames.contains(name)) database.createObjectStore(name, options);
+    });
+  };
+  opening.onerror = () => reject(opening.error);
+  opening.onsuccess = () => {
+    const database = opening.result;
+    const names = [].concat(storeNames);
+    const transaction = database.transaction(names, mode);
+    const request = makeRequest(...names.map((name) => transaction.objectStore(name)));
+    transaction.oncomplete = () => {
+      resolve(request?.result);
+      database.close();
+    };
+    transaction.onerror = () => {
+      reject(transaction.error);
+      database.close();
+    };
+    transaction.onabort = () => {
+      reject(transaction.error);
+      database.close();
+    };
+  };
+});
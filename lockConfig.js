@@ -0,0 +1,52 @@
+// Locks a config file with a passphrase, so the page asks for it before showing anything.
+// Usage: npm run lock-config -- private.json --out public/config.json
+// Only the `lock` section (the unlock screen's text) stays readable. Without --out the locked file
+// is printed. The passphrase is read from CONFIG_PASSPHRASE, or asked for (twice) when that isn't set.
+
+import { readFile, writeFile } from 'node:fs/promises';
+import path from 'node:path';
+import { parseArgs } from 'node:util';
+import { validateConfig } from './configSchema.js';
+import { isLockedConfig } from './configLock.js';
+import { sealText } from './vault.js';
+import { readPassphrase } from './cliPassphrase.js';
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    out: { type: 'string' },
+  },
+});
+
+if (positionals.length !== 1) fail('Usage: npm run lock-config -- private.json --out public/config.json');
+const [input] = positionals;
+// The readable file is the only way back to the content if the passphrase is ever lost
+if (values.out && path.resolve(values.out) === path.resolve(input)) {
+  fail('--out should be a different file: keep the readable config somewhere safe, outside public/.');
+}
+
+let config;
+try {
+  config = JSON.parse(await readFile(input, 'utf8'));
+} catch (e) {
+  fail(`Could not read ${input}: ${e.message}`);
+}
+if (isLockedConfig(config)) fail(`${input} is already locked.`);
+const errors = validateConfig(config);
+if (errors.length > 0) fail(`${input} has mistakes, so the page would not use it:\n${errors.join('\n')}`);
+
+const passphrase = await readPassphrase('CONFIG_PASSPHRASE');
+const locked = { ...(config.lock ? { lock: config.lock } : {}), sealed: await sealText(JSON.stringify(config), passphrase) };
+const json = `${JSON.stringify(locked, null, 2)}\n`;
+
+if (values.out) {
+  await writeFile(values.out, json);
+  console.error(`Locked ${input} into ${values.out}.`);
+} else {
+  process.stdout.write(json);
+}
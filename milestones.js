@@ -0,0 +1,80 @@
+// --- Milestones ---
+// Builds the timeline of dated milestones, mixing hand-written entries with ones derived from the promise dates.
+
+import { parseDateInTimeZone } from './dateUtils.js';
+import { shiftDate } from './countdownEngine.js';
+
+const fillTemplate = (template, n) => template.replace('{n}', String(n));
+
+/**
+ * getAutoMilestones: Derives milestones from the promise dates.
+ * @param {Object} autoConfig - Which milestones to derive (`yearMarks`, `halfway`, `daysLeft`) and their copy.
+ * @param {Object} promiseDates - The resolved `startDate`, `endDate` and `timeZone`.
+ * @returns {Object[]} The derived milestones, unsorted.
+ */
+const getAutoMilestones = (autoConfig, { startDate, endDate, timeZone }) => {
+  const milestones = [];
+
+  if (autoConfig.yearMarks) {
+    for (let year = 1; ; year++) {
+      const date = shiftDate(startDate, { months: year * 12 }, timeZone);
+      if (date >= endDate) break;
+      milestones.push({
+        id: `year-${year}`,
+        kind: 'year',
+        date,
+        title: fillTemplate(autoConfig.yearMarks.title, year),
+        message: fillTemplate(autoConfig.yearMarks.message, year),
+      });
+    }
+  }
+
+  if (autoConfig.halfway) {
+    milestones.push({
+      id: 'halfway',
+      kind: 'halfway',
+      date: new Date(startDate.getTime() + (endDate - startDate) / 2),
+      title: autoConfig.halfway.title,
+      message: autoConfig.halfway.message,
+    });
+  }
+
+  if (autoConfig.daysLeft) {
+    autoConfig.daysLeft.days.forEach((days) => {
+      const date = shiftDate(endDate, { days: -days }, timeZone);
+      if (date <= startDate) return;
+      milestones.push({
+        id: `days-left-${days}`,
+        kind: 'daysLeft',
+        date,
+        title: fillTemplate(autoConfig.daysLeft.title, days),
+        message: fillTemplate(autoConfig.daysLeft.message, days),
+      });
+    });
+  }
+
+  return milestones;
+};
+
+/**
+ * buildMilestones: Builds the full, sorted milestone timeline.
+ * Hand-written entries with dates that can't be parsed are skipped with a console warning.
+ * @param {Object} milestonesConfig - The `appConfig.milestones` object.
+ * @param {Object} promiseDates - The resolved `startDate`, `endDate` and `timeZone`.
+ * @returns {Object[]} Milestones with `id`, `kind`, `date`, `title` and `message`, earliest first.
+ */
+export const buildMilestones = (milestonesConfig, promiseDates) => {
+  if (!promiseDates.startDate || !promiseDates.endDate) return [];
+
+  const custom = milestonesConfig.items.flatMap((item, index) => {
+    const date = parseDateInTimeZone(item.date, promiseDates.timeZone);
+    if (!date) {
+      console.warn(`Skipping milestone "${item.title}": "${item.date}" is not a valid date.`);
+      return [];
+    }
+    return [{ id: `custom-${index}`, kind: 'custom', date, title: item.title, message: item.message }];
+  });
+
+  return [...custom, ...getAutoMilestones(milestonesConfig.auto, promiseDates)]
+    .sort((a, b) => a.date - b.date);
+};
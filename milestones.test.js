@@ -0,0 +1,69 @@
+import { afterEach, describe, expect, it, vi } from 'vitest';
+import { buildMilestones } from './milestones.js';
+import { zonedTimeToDate } from './dateUtils.js';
+
+const inKolkata = (year, month, day) => zonedTimeToDate({ year, month, day }, 'Asia/Kolkata');
+const promiseDates = (start, end) => ({ startDate: inKolkata(...start), endDate: inKolkata(...end), timeZone: 'Asia/Kolkata' });
+const auto = {
+  yearMarks: { title: '{n} saal', message: '{n} saal guzre' },
+  halfway: { title: 'Aadha safar', message: '' },
+  daysLeft: { days: [1000, 100], title: '{n} din', message: '' },
+};
+const ids = (milestones) => milestones.map((milestone) => milestone.id);
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('buildMilestones', () => {
+  it('is empty without promise dates', () => {
+    expect(buildMilestones({ items: [], auto }, { startDate: null, endDate: null, timeZone: 'UTC' })).toEqual([]);
+  });
+
+  it('skips hand-written milestones whose dates are not real, with a warning', () => {
+    const warn = vi.spyOn(console, 'warn').mockImplementation(() => {});
+    const items = [
+      { date: '2026-02-30', title: 'No such day' },
+      { date: 'soon', title: 'Not a date' },
+      { date: '2026-09-21', title: 'Tera janamdin' },
+    ];
+    const milestones = buildMilestones({ items, auto: {} }, promiseDates([2025, 6, 15], [2030, 6, 15]));
+    expect(milestones).toHaveLength(1);
+    expect(milestones[0]).toMatchObject({ id: 'custom-2', kind: 'custom', title: 'Tera janamdin', date: inKolkata(2026, 9, 21) });
+    expect(warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('reads hand-written dates in the promise timezone', () => {
+    const [milestone] = buildMilestones({ items: [{ date: '2026-01-01T09:00', title: '' }], auto: {} }, promiseDates([2025, 6, 15], [2030, 6, 15]));
+    expect(milestone.date.toISOString()).toBe('2026-01-01T03:30:00.000Z');
+  });
+
+  it('marks the years from 29 February on 28 February, and on 29 February in leap years', () => {
+    const milestones = buildMilestones({ items: [], auto: { yearMarks: auto.yearMarks } }, promiseDates([2024, 2, 29], [2029, 1, 1]));
+    expect(milestones.map((milestone) => milestone.date)).toEqual([
+      inKolkata(2025, 2, 28),
+      inKolkata(2026, 2, 28),
+      inKolkata(2027, 2, 28),
+      inKolkata(2028, 2, 29),
+    ]);
+    expect(milestones[3]).toMatchObject({ id: 'year-4', title: '4 saal', message: '4 saal guzre' });
+  });
+
+  it('leaves out year marks on or after the end date, and days-left marks before the start', () => {
+    const milestones = buildMilestones({ items: [], auto }, promiseDates([2025, 6, 15], [2027, 6, 15]));
+    expect(ids(milestones)).toEqual(['year-1', 'halfway', 'days-left-100']);
+  });
+
+  it('puts hand-written and derived milestones in date order', () => {
+    const items = [
+      { date: '2030-01-01', title: 'Late' },
+      { date: '2025-07-01', title: 'Early' },
+    ];
+    const milestones = buildMilestones({ items, auto }, promiseDates([2025, 6, 15], [2030, 6, 15]));
+    expect(ids(milestones)).toEqual([
+      'custom-1', 'year-1', 'year-2', 'days-left-1000', 'halfway', 'year-3', 'year-4', 'custom-0', 'days-left-100',
+    ]);
+    const dates = milestones.map((milestone) => milestone.date.getTime());
+    expect(dates).toEqual([...dates].sort((a, b) => a - b));
+  });
+});
@@ -0,0 +1,46 @@
+// --- Moon Phase ---
+// Where the moon is in its cycle on a given date, and the outline of its lit part for drawing.
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+// The average time from one new moon to the next, in days
+const SYNODIC_MONTH = 29.530588853;
+// A known new moon to count from: 6 January 2000, 18:14 UTC
+const REFERENCE_NEW_MOON = Date.UTC(2000, 0, 6, 18, 14);
+
+/**
+ * getMoonPhase: Works out how far through its cycle the moon is.
+ * Counting average months drifts from the real moon by up to about a day, which doesn't show in a drawing.
+ * @param {Date} date - The moment.
+ * @returns {number} 0 at new moon, 0.25 at first quarter, 0.5 at full moon, 0.75 at last quarter.
+ */
+export const getMoonPhase = (date) => {
+  const days = (date.getTime() - REFERENCE_NEW_MOON) / MS_PER_DAY;
+  return (((days % SYNODIC_MONTH) + SYNODIC_MONTH) % SYNODIC_MONTH) / SYNODIC_MONTH;
+};
+
+/**
+ * moonIllumination: How much of the moon's face is lit.
+ * @param {number} phase - The phase, from `getMoonPhase`.
+ * @returns {number} 0 (new) to 1 (full).
+ */
+export const moonIllumination = (phase) => (1 - Math.cos(2 * Math.PI * phase)) / 2;
+
+/**
+ * moonLitPath: Outlines the lit part of the moon, as seen from the northern hemisphere.
+ * The outline runs down the lit edge of the disc and back up the terminator, a half-ellipse whose
+ * width shrinks to nothing at the quarters.
+ * @param {number} phase - The phase, from `getMoonPhase`.
+ * @param {number} [radius=50] - The moon's radius; the disc is centred on (radius, radius).
+ * @returns {string} An SVG path.
+ */
+export const moonLitPath = (phase, radius = 50) => {
+  const isWaxing = phase < 0.5;
+  const isCrescent = Math.cos(2 * Math.PI * phase) > 0;
+  const terminator = Math.abs(Math.cos(2 * Math.PI * phase)) * radius;
+  // Waxing moons are lit on the right; the terminator bulges towards the lit side while it is a crescent
+  const edgeSweep = isWaxing ? 1 : 0;
+  const terminatorSweep = isWaxing === isCrescent ? 0 : 1;
+  const top = `${radius} 0`;
+  const bottom = `${radius} ${2 * radius}`;
+  return `M ${top} A ${radius} ${radius} 0 0 ${edgeSweep} ${bottom} A ${terminator.toFixed(2)} ${radius} 0 0 ${terminatorSweep} ${top} Z`;
+};
@@ -0,0 +1,70 @@
+import { describe, expect, it } from 'vitest';
+import { getMoonPhase, moonIllumination, moonLitPath } from './moonPhase.js';
+
+// Average months drift from the real moon by up to about a day
+const DAY_OF_PHASE = 1 / 29.53;
+// How far apart two phases are around the cycle, so 0.99 is close to 0.01
+const phaseDistance = (a, b) => Math.min(Math.abs(a - b), 1 - Math.abs(a - b));
+
+describe('getMoonPhase', () => {
+  it.each([
+    ['2024-04-08T18:21:00Z'],
+    ['2025-09-21T19:54:00Z'],
+    ['1999-12-07T22:32:00Z'],
+  ])('is a new moon on %s', (date) => {
+    expect(phaseDistance(getMoonPhase(new Date(date)), 0)).toBeLessThan(DAY_OF_PHASE);
+  });
+
+  it.each([
+    ['2024-04-23T23:49:00Z'],
+    ['2025-10-07T03:48:00Z'],
+    ['2030-06-15T18:41:00Z'],
+  ])('is a full moon on %s', (date) => {
+    expect(phaseDistance(getMoonPhase(new Date(date)), 0.5)).toBeLessThan(DAY_OF_PHASE);
+  });
+
+  it('is a first quarter a week after a new moon', () => {
+    expect(phaseDistance(getMoonPhase(new Date('2025-09-29T23:54:00Z')), 0.25)).toBeLessThan(DAY_OF_PHASE);
+  });
+
+  it('stays between 0 and 1', () => {
+    for (let day = -400; day < 400; day += 7) {
+      const phase = getMoonPhase(new Date(Date.UTC(2000, 0, 1 + day)));
+      expect(phase).toBeGreaterThanOrEqual(0);
+      expect(phase).toBeLessThan(1);
+    }
+  });
+});
+
+describe('moonIllumination', () => {
+  it('is dark at new moon, half lit at the quarters and whole at full moon', () => {
+    expect(moonIllumination(0)).toBeCloseTo(0);
+    expect(moonIllumination(0.25)).toBeCloseTo(0.5);
+    expect(moonIllumination(0.5)).toBeCloseTo(1);
+    expect(moonIllumination(0.75)).toBeCloseTo(0.5);
+  });
+});
+
+describe('moonLitPath', () => {
+  it('outlines the whole disc at full moon', () => {
+    expect(moonLitPath(0.5)).toBe('M 50 0 A 50 50 0 0 0 50 100 A 50.00 50 0 0 0 50 0 Z');
+  });
+
+  it('closes up to nothing at new moon', () => {
+    expect(moonLitPath(0)).toBe('M 50 0 A 50 50 0 0 1 50 100 A 50.00 50 0 0 0 50 0 Z');
+  });
+
+  it('lights the right half at first quarter and the left half at last quarter', () => {
+    expect(moonLitPath(0.25)).toMatch(/^M 50 0 A 50 50 0 0 1 50 100 A 0\.00 50 /);
+    expect(moonLitPath(0.75)).toMatch(/^M 50 0 A 50 50 0 0 0 50 100 A 0\.00 50 /);
+  });
+
+  it('bulges the terminator towards the lit side only while it is a crescent', () => {
+    const sweep = (phase) => moonLitPath(phase).split(' ').at(-4);
+    expect([0.1, 0.4, 0.6, 0.9].map(sweep)).toEqual(['0', '1', '0', '1']);
+  });
+
+  it('scales to the radius', () => {
+    expect(moonLitPath(0.5, 10)).toBe('M 10 0 A 10 10 0 0 0 10 20 A 10.00 10 0 0 0 10 0 Z');
+  });
+});
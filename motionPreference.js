@@ -0,0 +1,43 @@
+// --- Motion Preference ---
+// Whether the page animates: follow the operating system's reduced-motion setting, or the visitor's own choice.
+
+const MOTION_STORAGE_KEY = 'intezaar.motion';
+
+// "system" follows prefers-reduced-motion; "reduce" and "full" override it
+export const MOTION_PREFERENCES = ['system', 'reduce', 'full'];
+
+/**
+ * shouldReduceMotion: Resolves a motion preference against the system setting.
+ * @param {string} preference - One of MOTION_PREFERENCES.
+ * @param {boolean} systemPrefersReduced - Whether the OS asks for reduced motion.
+ * @returns {boolean} True if looping, moving and parallax effects should be left out.
+ */
+export const shouldReduceMotion = (preference, systemPrefersReduced) => (
+  preference === 'reduce' || (preference === 'system' && systemPrefersReduced)
+);
+
+/**
+ * loadMotionPreference: Reads the motion preference chosen on a previous visit.
+ * @param {string} fallback - The preference to use when nothing valid was saved.
+ * @returns {string} One of MOTION_PREFERENCES.
+ */
+export const loadMotionPreference = (fallback) => {
+  try {
+    const saved = window.localStorage.getItem(MOTION_STORAGE_KEY);
+    return MOTION_PREFERENCES.includes(saved) ? saved : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * saveMotionPreference: Remembers the motion preference for future visits.
+ * @param {string} preference - One of MOTION_PREFERENCES.
+ */
+export const saveMotionPreference = (preference) => {
+  try {
+    window.localStorage.setItem(MOTION_STORAGE_KEY, preference);
+  } catch (e) {
+    console.warn("Could not save the motion preference:", e);
+  }
+};
@@ -0,0 +1,64 @@
+// --- Offline ---
+// Registers the service worker (see serviceWorker.js), asks it to keep the music for offline use,
+// and reports when a newer build or config is waiting.
+
+const canUseServiceWorker = () => import.meta.env.PROD && typeof navigator !== 'undefined' && 'serviceWorker' in navigator;
+
+/**
+ * registerServiceWorker: Installs the service worker in production builds.
+ * Nothing updates behind the visitor's back: `onUpdate` is called with an `apply` function, and the
+ * page only reloads into the new version once that is called (e.g. from an "update" button).
+ * @param {Function} onUpdate - Called with `apply` when a new build is installed and waiting, or when
+ *   the config or shayari file changed since this page loaded.
+ */
+export const registerServiceWorker = (onUpdate) => {
+  if (!canUseServiceWorker()) return;
+  let isApplying = false;
+
+  navigator.serviceWorker.register('/sw.js').then((registration) => {
+    const offer = (worker) => onUpdate(() => {
+      isApplying = true;
+      worker.postMessage({ type: 'skip-waiting' });
+    });
+
+    // The very first install has nothing to replace, so only later installs count as updates
+    if (registration.waiting && navigator.serviceWorker.controller) offer(registration.waiting);
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      worker?.addEventListener('statechange', () => {
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) offer(worker);
+      });
+    });
+
+    // A home-screen copy can stay open for days, so look for a new build whenever it comes back
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') registration.update().catch(() => {});
+    });
+  }).catch((e) => {
+    console.warn("Could not register the service worker:", e);
+  });
+
+  // The new worker has taken over, so reload into the files it serves
+  navigator.serviceWorker.addEventListener('controllerchange', () => {
+    if (isApplying) window.location.reload();
+  });
+  navigator.serviceWorker.addEventListener('message', (e) => {
+    if (e.data?.type === 'content-updated') onUpdate(() => window.location.reload());
+  });
+};
+
+/**
+ * cacheAudioTracks: Asks the service worker to keep the playlist for offline listening.
+ * Tracks that left the playlist are dropped from the cache.
+ * @param {Object} audioConfig - The `audio` section of the config.
+ */
+export const cacheAudioTracks = ({ tracks, reactive }) => {
+  if (!canUseServiceWorker()) return;
+  navigator.serviceWorker.ready.then((registration) => {
+    registration.active?.postMessage({
+      type: 'cache-audio',
+      urls: tracks.map((track) => new URL(track.src, window.location.href).href),
+      cors: Boolean(reactive?.enabled),
+    });
+  });
+};
@@ -0,0 +1,124 @@
+// --- Parallax ---
+// Where the visitor is "looking": the mouse, a finger dragged across the screen, or a tilted phone,
+// reduced to one point from -1 to 1 on each axis and reported at most once per animation frame.
+
+// Degrees of tilt that count as fully tilted
+const MAX_TILT = 30;
+
+const clamp = (value) => Math.min(1, Math.max(-1, value));
+
+/**
+ * needsTiltPermission: Tells whether the browser only shares device orientation after asking.
+ * iOS Safari does, and the request has to come from a tap.
+ * @returns {boolean} True if `requestTiltPermission` must be called before tilt works.
+ */
+export const needsTiltPermission = () => (
+  typeof DeviceOrientationEvent !== 'undefined' && typeof DeviceOrientationEvent.requestPermission === 'function'
+);
+
+/**
+ * requestTiltPermission: Asks to use the device orientation. Call it from a tap or click handler.
+ * @returns {Promise<boolean>} True if tilt may be used.
+ */
+export const requestTiltPermission = async () => {
+  if (!needsTiltPermission()) return true;
+  try {
+    return (await DeviceOrientationEvent.requestPermission()) === 'granted';
+  } catch (e) {
+    console.warn("Could not get permission to use the device orientation:", e);
+    return false;
+  }
+};
+
+/**
+ * createParallaxInput: Follows the mouse, touch drags and (optionally) device tilt.
+ * The mouse is measured from the centre of the screen; a drag moves the point by how far the
+ * finger travels and lets go back to the centre; tilt is measured from how the phone was held
+ * when the first reading came in. While a finger is down, the drag wins over tilt.
+ * @param {Function} onChange - Called with `{ x, y }` (each -1 to 1), at most once per frame.
+ * @param {Object} [options] - Options.
+ * @param {boolean} [options.tilt=false] - Also follow the device orientation. Where the browser asks
+ *   first, call `enableTilt()` after `requestTiltPermission` succeeds.
+ * @returns {Object} `enableTilt()` and `destroy()`.
+ */
+export const createParallaxInput = (onChange, { tilt = false } = {}) => {
+  let point = { x: 0, y: 0 };
+  let frame = null;
+  let drag = null;
+  let tiltOrigin = null;
+  let isTiltEnabled = false;
+
+  // However many events arrive in a frame, only the latest point is reported
+  const moveTo = (x, y) => {
+    point = { x: clamp(x), y: clamp(y) };
+    if (frame === null) {
+      frame = requestAnimationFrame(() => {
+        frame = null;
+        onChange(point);
+      });
+    }
+  };
+
+  const handleMouseMove = (e) => {
+    // Touches are handled as drags below; pen and touch pointers would otherwise jump to the tap
+    if (e.pointerType !== 'mouse') return;
+    const centerX = window.innerWidth / 2;
+    const centerY = window.innerHeight / 2;
+    moveTo((e.clientX - centerX) / centerX, (e.clientY - centerY) / centerY);
+  };
+
+  const handleTouchStart = (e) => {
+    const [touch] = e.touches;
+    drag = { startX: touch.clientX, startY: touch.clientY, fromX: point.x, fromY: point.y };
+  };
+
+  const handleTouchMove = (e) => {
+    if (!drag) return;
+    const [touch] = e.touches;
+    moveTo(
+      drag.fromX + (touch.clientX - drag.startX) / (window.innerWidth / 2),
+      drag.fromY + (touch.clientY - drag.startY) / (window.innerHeight / 2)
+    );
+  };
+
+  const handleTouchEnd = (e) => {
+    if (e.touches.length > 0) return;
+    drag = null;
+    if (!isTiltEnabled) moveTo(0, 0);
+  };
+
+  const handleOrientation = (e) => {
+    if (e.beta === null || e.gamma === null || drag) return;
+    if (!tiltOrigin) {
+      tiltOrigin = { beta: e.beta, gamma: e.gamma };
+    }
+    moveTo((e.gamma - tiltOrigin.gamma) / MAX_TILT, (e.beta - tiltOrigin.beta) / MAX_TILT);
+  };
+
+  const enableTilt = () => {
+    if (isTiltEnabled || typeof DeviceOrientationEvent === 'undefined') return;
+    isTiltEnabled = true;
+    window.addEventListener('deviceorientation', handleOrientation);
+  };
+
+  window.addEventListener('pointermove', handleMouseMove);
+  window.addEventListener('touchstart', handleTouchStart, { passive: true });
+  window.addEventListener('touchmove', handleTouchMove, { passive: true });
+  window.addEventListener('touchend', handleTouchEnd, { passive: true });
+  window.addEventListener('touchcancel', handleTouchEnd, { passive: true });
+  if (tilt && !needsTiltPermission()) enableTilt();
+
+  return {
+    enableTilt,
+    destroy: () => {
+      cancelAnimationFrame(frame);
+      frame = null;
+      window.removeEventListener('pointermove', handleMouseMove);
+      window.removeEventListener('touchstart', handleTouchStart);
+      window.removeEventListener('touchmove', handleTouchMove);
+      window.removeEventListener('touchend', handleTouchEnd);
+      window.removeEventListener('touchcancel', handleTouchEnd);
+      window.removeEventListener('deviceorientation', handleOrientation);
+    },
+  };
+};
@@ -0,0 +1,68 @@
+// --- Prerender ---
+// Renders the page to static HTML at build time (see prerenderPlugin.js). The HTML shows the real
+// content before any script runs, to visitors without JavaScript and to link-preview crawlers,
+// and index.tsx then hydrates it into the animated app.
+
+import { Writable } from 'node:stream';
+import { readFile } from 'node:fs/promises';
+import path from 'node:path';
+import { renderToPipeableStream } from 'react-dom/server';
+import App from './App.js';
+import { loadAppConfig } from './configLoader.js';
+
+const CONTENT_TYPES = { '.json': 'application/json', '.md': 'text/markdown', '.txt': 'text/plain' };
+
+/**
+ * readPublicFile: A stand-in for `fetch` that answers site paths from the public directory.
+ * Other sites (e.g. a shayari library hosted elsewhere) are still fetched.
+ * @param {string} publicDir - The public directory.
+ * @returns {Function} The fetch function.
+ */
+const readPublicFile = (publicDir) => async (url) => {
+  if (/^https?:\/\//.test(url)) return fetch(url);
+  const { pathname } = new URL(url, 'http://localhost');
+  try {
+    const body = await readFile(path.join(publicDir, decodeURIComponent(pathname)));
+    const contentType = CONTENT_TYPES[path.extname(pathname)] || 'application/octet-stream';
+    return new Response(body, { headers: { 'content-type': contentType } });
+  } catch {
+    return new Response(null, { status: 404 });
+  }
+};
+
+/**
+ * renderComplete: Renders an element to HTML once everything in it is ready.
+ * Waiting for all of it (rather than streaming) puts the lazily loaded sections in the HTML too.
+ * @param {React.ReactElement} element - What to render.
+ * @returns {Promise<string>} The HTML.
+ */
+const renderComplete = (element) => new Promise((resolve, reject) => {
+  const chunks = [];
+  const sink = new Writable({
+    write(chunk, encoding, callback) {
+      chunks.push(Buffer.from(chunk));
+      callback();
+    },
+  });
+  sink.on('finish', () => resolve(Buffer.concat(chunks).toString('utf8')));
+
+  const { pipe } = renderToPipeableStream(element, {
+    onAllReady: () => pipe(sink),
+    onShellError: reject,
+    onError: reject,
+  });
+});
+
+/**
+ * prerender: Renders the page with the config the site would load right now.
+ * A locked config.json renders only the unlock screen, so nothing it protects reaches the HTML.
+ * @param {string} publicDir - The public directory, where config.json and the shayari file live.
+ * @returns {Promise<Object>} The `html` for the root element, the `state` that index.tsx hydrates
+ *   with (`config`, `sealed` and `renderedAt`), and any config `errors`.
+ */
+export const prerender = async (publicDir) => {
+  const { config, errors, sealed = null } = await loadAppConfig('', readPublicFile(publicDir));
+  const renderedAt = Date.now();
+  const html = await renderComplete(<App prerenderedConfig={config} prerenderedSealed={sealed} renderedAt={renderedAt} />);
+  return { html, state: { config, sealed, renderedAt }, errors };
+};
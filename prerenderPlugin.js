@@ -0,0 +1,137 @@
+// --- Prerender Plugin ---
+// A Vite build plugin that fills index.html with the page rendered by prerender.js, and gives it a
+// link-preview image and the tags that point to it.
+
+import { createRequire } from 'node:module';
+import { createServer } from 'vite';
+import { createCanvas, GlobalFonts } from '@napi-rs/canvas';
+import { CARD_FORMATS, drawCard } from './shareCard.js';
+import { resolvePromiseDates } from './dateUtils.js';
+import { localize } from './scripts.js';
+import { resolveTheme } from './theme.js';
+
+// Where index.html wants the rendered page, the state index.tsx hydrates it with, and the preview tags
+const HTML_PLACEHOLDER = '<!--app-html-->';
+const STATE_PLACEHOLDER = '<!--app-state-->';
+const HEAD_PLACEHOLDER = '<!--app-head-->';
+export const PREVIEW_IMAGE = 'og-image.png';
+
+// The fonts the preview card may be drawn in, whichever the theme picks; previews are always in Roman script
+const PREVIEW_FONTS = [
+  ['Cinzel', '@fontsource/cinzel/files/cinzel-latin-700-normal.woff2'],
+  ['Playfair Display', '@fontsource/playfair-display/files/playfair-display-latin-400-normal.woff2'],
+  ['Playfair Display', '@fontsource/playfair-display/files/playfair-display-latin-700-normal.woff2'],
+  ['Caveat', '@fontsource/caveat/files/caveat-latin-400-normal.woff2'],
+  ['Dancing Script', '@fontsource/dancing-script/files/dancing-script-latin-400-normal.woff2'],
+];
+
+/**
+ * serializeState: Writes the hydration state as JSON that is safe inside a script element.
+ * @param {Object} state - The state from prerender().
+ * @returns {string} The script element.
+ */
+const serializeState = (state) => {
+  // A "</script>" in any config text would otherwise end the element early
+  const json = JSON.stringify(state).replace(/</g, '\\u003c');
+  return `<script id="prerendered-state" type="application/json">${json}</script>`;
+};
+
+const escapeAttribute = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/"/g, '&quot;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;');
+
+/**
+ * drawPreviewImage: Draws the link-preview card: the hero title and subtext, and the end date.
+ * @param {Object} config - The config the page was prerendered with.
+ * @returns {Buffer} The PNG image.
+ */
+const drawPreviewImage = (config) => {
+  const require = createRequire(import.meta.url);
+  PREVIEW_FONTS.forEach(([family, file]) => GlobalFonts.registerFromPath(require.resolve(file), family));
+
+  const { endDate, timeZone } = resolvePromiseDates(config.countdown, '');
+  const { width, height } = CARD_FORMATS.preview;
+  const canvas = createCanvas(width, height);
+  drawCard(canvas.getContext('2d'), width, height, {
+    theme: resolveTheme(config.theme),
+    title: localize(config.hero.title, 'roman').text,
+    quote: { text: localize(config.hero.subtext, 'roman').text },
+    note: endDate ? new Intl.DateTimeFormat('en-IN', { dateStyle: 'long', timeZone }).format(endDate) : '',
+  });
+  return canvas.toBuffer('image/png');
+};
+
+/**
+ * previewTags: The meta tags link previews are made from.
+ * @param {Object} config - The config the page was prerendered with.
+ * @returns {string} The tags, for the head of index.html.
+ */
+const previewTags = (config) => {
+  const { siteUrl } = config.share;
+  const title = localize(config.hero.title, 'roman').text;
+  const description = localize(config.hero.subtext, 'roman').text;
+  const image = siteUrl ? new URL(PREVIEW_IMAGE, siteUrl).href : `/${PREVIEW_IMAGE}`;
+  return [
+    ['name', 'description', description],
+    ['property', 'og:type', 'website'],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ...(siteUrl ? [['property', 'og:url', siteUrl]] : []),
+    ['property', 'og:image', image],
+    ['property', 'og:image:width', String(CARD_FORMATS.preview.width)],
+    ['property', 'og:image:height', String(CARD_FORMATS.preview.height)],
+    ['name', 'twitter:card', 'summary_large_image'],
+  ].map(([attribute, key, content]) => `<meta ${attribute}="${key}" content="${escapeAttribute(content)}" />`).join('\n    ');
+};
+
+/**
+ * prerenderPage: Renders the page into index.html during the build, and adds its preview image.
+ * prerender.js is loaded through a throwaway Vite server in SSR mode, so it is compiled exactly
+ * like the app (JSX in .js files, CSS imports, the same aliases).
+ * @returns {import('vite').Plugin} The Vite plugin.
+ */
+export const prerenderPage = () => {
+  let resolved = null;
+  let rendered = null;
+
+  return {
+    name: 'intezaar-prerender',
+    apply: 'build',
+    configResolved(config) {
+      resolved = config;
+    },
+    async buildStart() {
+      const server = await createServer({
+        configFile: resolved.configFile,
+        root: resolved.root,
+        mode: resolved.mode,
+        logLevel: 'error',
+        appType: 'custom',
+        server: { middlewareMode: true, hmr: false, ws: false },
+        optimizeDeps: { noDiscovery: true, include: [] },
+      });
+
+      try {
+        const { prerender } = await server.ssrLoadModule('/prerender.js');
+        rendered = await prerender(resolved.publicDir);
+      } finally {
+        await server.close();
+      }
+      if (rendered.errors.length > 0) {
+        this.warn(`The page was prerendered with the default config, because config.json has errors:\n${rendered.errors.join('\n')}`);
+      }
+    },
+    transformIndexHtml: {
+      order: 'post',
+      handler: (html) => html
+        .replace(HEAD_PLACEHOLDER, () => previewTags(rendered.state.config))
+        .replace(HTML_PLACEHOLDER, () => rendered.html)
+        .replace(STATE_PLACEHOLDER, () => serializeState(rendered.state)),
+    },
+    generateBundle() {
+      this.emitFile({ type: 'asset', fileName: PREVIEW_IMAGE, source: drawPreviewImage(rendered.state.config) });
+    },
+  };
+};
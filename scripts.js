@@ -0,0 +1,56 @@
+// --- Scripts ---
+// Shayari, hero and pledge text can be written in several scripts; these helpers pick the right one.
+
+const SCRIPT_STORAGE_KEY = 'intezaar.script';
+
+// Every supported script, with the layout and font it needs
+export const SCRIPTS = {
+  roman: { label: 'Roman', lang: 'hi-Latn', dir: 'ltr', fontClass: '' },
+  devanagari: { label: 'देवनागरी', lang: 'hi-Deva', dir: 'ltr', fontClass: 'font-devanagari' },
+  urdu: { label: 'اردو', lang: 'ur', dir: 'rtl', fontClass: 'font-nastaliq' },
+};
+
+/**
+ * localize: Picks the version of a text for a script, falling back to Roman.
+ * @param {string|Object} value - Plain text, or an object like `{ roman, devanagari, urdu }`.
+ * @param {string} script - The preferred script key from SCRIPTS.
+ * @returns {Object} The `text` to show and the `script` it is actually written in.
+ */
+export const localize = (value, script) => {
+  if (typeof value === 'string') return { text: value, script: 'roman' };
+  if (value && value[script]) return { text: value[script], script };
+  return { text: value?.roman ?? '', script: 'roman' };
+};
+
+/**
+ * scriptAttributes: Builds the element attributes that make a script render correctly.
+ * @param {string} script - The script key the text is written in.
+ * @returns {Object} The `lang` and `dir` attributes for the element.
+ */
+export const scriptAttributes = (script) => ({ lang: SCRIPTS[script].lang, dir: SCRIPTS[script].dir });
+
+/**
+ * loadScript: Reads the script chosen on a previous visit.
+ * @param {string} fallback - The script to use when nothing valid was saved.
+ * @returns {string} A script key from SCRIPTS.
+ */
+export const loadScript = (fallback) => {
+  try {
+    const saved = window.localStorage.getItem(SCRIPT_STORAGE_KEY);
+    return SCRIPTS[saved] ? saved : fallback;
+  } catch {
+    return fallback;
+  }
+};
+
+/**
+ * saveScript: Remembers the chosen script for future visits.
+ * @param {string} script - A script key from SCRIPTS.
+ */
+export const saveScript = (script) => {
+  try {
+    window.localStorage.setItem(SCRIPT_STORAGE_KEY, script);
+  } catch (e) {
+    console.warn("Could not save the script choice:", e);
+  }
+};
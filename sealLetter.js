@@ -0,0 +1,54 @@
+// Seals a letter for `letters.items` in config.json and prints the entry to paste in.
+// Usage: npm run seal-letter -- letter.txt --title "Aadhe raaste par" --unlock milestone:halfway
+//   --unlock takes date:2027-06-15, day:100, anniversary:2 or milestone:<id> (see letters.js).
+// The passphrase is read from LETTERS_PASSPHRASE, or asked for (twice) when that isn't set.
+
+import { readFile } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { sealText } from './vault.js';
+import { readPassphrase } from './cliPassphrase.js';
+
+const UNLOCK_KINDS = {
+  date: (value) => value,
+  day: Number,
+  anniversary: Number,
+  milestone: (value) => value,
+};
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+/**
+ * parseUnlock: Turns the --unlock argument into the letter's `unlock` object.
+ * @param {string} argument - E.g. "day:100".
+ * @returns {Object} E.g. `{ day: 100 }`.
+ */
+const parseUnlock = (argument) => {
+  const [, kind, value] = argument.match(/^(\w+):(.+)$/) || [];
+  if (!UNLOCK_KINDS[kind]) fail(`--unlock should be one of ${Object.keys(UNLOCK_KINDS).map((name) => `${name}:...`).join(', ')}.`);
+  const parsed = UNLOCK_KINDS[kind](value);
+  if (typeof parsed === 'number' && !(Number.isInteger(parsed) && parsed >= 1)) fail(`--unlock ${kind} should be a whole number of at least 1.`);
+  return { [kind]: parsed };
+};
+
+const { values, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    title: { type: 'string' },
+    unlock: { type: 'string' },
+  },
+});
+
+if (positionals.length !== 1 || !values.title || !values.unlock) {
+  fail('Usage: npm run seal-letter -- letter.txt --title "..." --unlock day:100');
+}
+
+const unlock = parseUnlock(values.unlock);
+const text = (await readFile(positionals[0], 'utf8')).trim();
+if (!text) fail(`${positionals[0]} is empty.`);
+
+const passphrase = await readPassphrase('LETTERS_PASSPHRASE');
+const entry = { title: values.title, unlock, sealed: await sealText(text, passphrase) };
+console.log(JSON.stringify(entry, null, 2));
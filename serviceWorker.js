@@ -0,0 +1,136 @@
+// --- Service Worker ---
+// Keeps the page working offline: the built app shell, fonts, icons, config and music are cached.
+// Built into /sw.js by serviceWorkerPlugin.js, which defines VERSION, PRECACHE_URLS and CONTENT_URLS
+// above this file. A new build changes VERSION, which is what makes browsers install a new worker.
+
+const SHELL_CACHE = `intezaar-shell-${VERSION}`;
+// Music is large and rarely changes, so it outlives app versions
+const AUDIO_CACHE = 'intezaar-audio';
+// Config and shayari files are edited without a rebuild, so they are checked on every load
+const CONTENT_PATTERN = /\.(json|md|txt)$/;
+
+self.addEventListener('install', (event) => {
+  event.waitUntil((async () => {
+    const cache = await caches.open(SHELL_CACHE);
+    await cache.addAll(PRECACHE_URLS.map((url) => new Request(url, { cache: 'reload' })));
+    // A site without a config or shayari file is fine, so those may fail
+    await Promise.all(CONTENT_URLS.map((url) => cache.add(new Request(url, { cache: 'reload' })).catch(() => {})));
+  })());
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil((async () => {
+    const names = await caches.keys();
+    await Promise.all(names
+      .filter((name) => name.startsWith('intezaar-shell-') && name !== SHELL_CACHE)
+      .map((name) => caches.delete(name)));
+    await self.clients.claim();
+  })());
+});
+
+const notifyClients = async (message) => {
+  const clients = await self.clients.matchAll({ type: 'window' });
+  clients.forEach((client) => client.postMessage(message));
+};
+
+// Caches the playlist the page asked for and drops tracks that are no longer in it
+const cacheAudio = async (urls, cors) => {
+  const cache = await caches.open(AUDIO_CACHE);
+  const cached = await cache.keys();
+  await Promise.all(cached
+    .filter((request) => !urls.includes(request.url))
+    .map((request) => cache.delete(request)));
+
+  for (const url of urls) {
+    if (await cache.match(url)) continue;
+    try {
+      // Tracks played through the audio analyser are requested with CORS, so they must be cached that way too
+      const response = await fetch(url, { mode: cors ? 'cors' : 'no-cors' });
+      if (response.ok || response.type === 'opaque') await cache.put(url, response);
+    } catch (e) {
+      console.warn(`Could not cache "${url}" for offline use:`, e);
+    }
+  }
+};
+
+self.addEventListener('message', (event) => {
+  const { type } = event.data || {};
+  if (type === 'skip-waiting') {
+    self.skipWaiting();
+  } else if (type === 'cache-audio') {
+    event.waitUntil(cacheAudio(event.data.urls, event.data.cors));
+  }
+});
+
+// Audio elements ask for byte ranges; Safari won't play a cached track unless it gets one back
+const rangeResponse = async (request, response) => {
+  const range = /^bytes=(\d*)-(\d*)$/.exec(request.headers.get('range') || '');
+  if (!range || (!range[1] && !range[2]) || response.type === 'opaque') return response;
+
+  const body = await response.arrayBuffer();
+  const start = range[1] ? Number(range[1]) : Math.max(0, body.byteLength - Number(range[2]));
+  const end = range[1] && range[2] ? Math.min(Number(range[2]), body.byteLength - 1) : body.byteLength - 1;
+  return new Response(body.slice(start, end + 1), {
+    status: 206,
+    statusText: 'Partial Content',
+    headers: {
+      'Content-Type': response.headers.get('content-type') || 'audio/mpeg',
+      'Content-Range': `bytes ${start}-${end}/${body.byteLength}`,
+      'Content-Length': String(end - start + 1),
+    },
+  });
+};
+
+const handleAudio = async (request) => {
+  const cached = await caches.match(request.url, { cacheName: AUDIO_CACHE });
+  return cached ? rangeResponse(request, cached) : fetch(request);
+};
+
+// Answer from the cache straight away, then check the network and tell the page if the file changed
+const handleContent = async (event) => {
+  const { request } = event;
+  const cache = await caches.open(SHELL_CACHE);
+  const cached = await cache.match(request, { ignoreSearch: true });
+
+  const refresh = (async () => {
+    const response = await fetch(request);
+    if (!response.ok) return response;
+    const hasChanged = cached && (await cached.clone().text()) !== (await response.clone().text());
+    await cache.put(request, response.clone());
+    if (hasChanged) await notifyClients({ type: 'content-updated', url: request.url });
+    return response;
+  })();
+
+  if (!cached) return refresh;
+  event.waitUntil(refresh.catch(() => {}));
+  return cached;
+};
+
+const handleShell = async (request) => {
+  // Every page is the same index.html; the query string only changes what it loads
+  const cached = request.mode === 'navigate'
+    ? await caches.match('/index.html', { cacheName: SHELL_CACHE })
+    : await caches.match(request, { cacheName: SHELL_CACHE });
+  if (cached) return cached;
+  try {
+    return await fetch(request);
+  } catch (e) {
+    const fallback = await caches.match(request);
+    if (fallback) return fallback;
+    throw e;
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+  const url = new URL(request.url);
+
+  if (request.destination === 'audio' || request.destination === 'video') {
+    event.respondWith(handleAudio(request));
+  } else if (url.origin === self.location.origin && CONTENT_PATTERN.test(url.pathname)) {
+    event.respondWith(handleContent(event));
+  } else if (url.origin === self.location.origin) {
+    event.respondWith(handleShell(request));
+  }
+});
@@ -0,0 +1,70 @@
+// --- Service Worker Plugin ---
+// A Vite build plugin that turns serviceWorker.js into /sw.js, with the list of files to precache.
+
+import { readFileSync, existsSync } from 'node:fs';
+import { createHash } from 'node:crypto';
+import path from 'node:path';
+import { PREVIEW_IMAGE } from './prerenderPlugin.js';
+
+// Files from public/ that belong to the app shell, next to the built HTML, scripts, styles and fonts
+const PUBLIC_SHELL = [
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
+  '/icons/apple-touch-icon.png',
+];
+// Font subsets for scripts the page never shows; browsers fetch them on demand if they are ever needed
+const UNUSED_FONT_SUBSETS = /-(cyrillic|cyrillic-ext|greek|vietnamese)-\d+-/;
+// Content files are cached too, but also re-checked on every load (see serviceWorker.js)
+const PUBLIC_CONTENT = ['/config.json', '/shayari.md'];
+
+/**
+ * serviceWorker: Emits /sw.js at the end of the build.
+ * Its VERSION is a hash of everything it precaches, so any change to the build or to those public
+ * files produces a new worker, and with it the "update available" prompt.
+ * @returns {import('vite').Plugin} The Vite plugin.
+ */
+export const serviceWorker = () => {
+  let publicDir = '';
+
+  return {
+    name: 'intezaar-service-worker',
+    apply: 'build',
+    // Run after Vite has added index.html to the bundle
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir;
+    },
+    generateBundle(options, bundle) {
+      const hash = createHash('sha256');
+      const built = Object.values(bundle)
+        // Browsers that can run a service worker all read woff2, so the .woff fallbacks can stay uncached
+        .filter((file) => !file.fileName.endsWith('.woff') && !UNUSED_FONT_SUBSETS.test(file.fileName))
+        // The link-preview image is only ever fetched by other apps
+        .filter((file) => file.fileName !== PREVIEW_IMAGE)
+        .map((file) => {
+          hash.update(file.fileName);
+          hash.update(file.type === 'chunk' ? file.code : file.source);
+          return `/${file.fileName}`;
+        });
+
+      [...PUBLIC_SHELL, ...PUBLIC_CONTENT].forEach((url) => {
+        const file = path.join(publicDir, url);
+        if (existsSync(file)) hash.update(readFileSync(file));
+      });
+
+      const source = readFileSync(new URL('./serviceWorker.js', import.meta.url), 'utf8');
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: [
+          `const VERSION = ${JSON.stringify(hash.digest('hex').slice(0, 12))};`,
+          `const PRECACHE_URLS = ${JSON.stringify([...built, ...PUBLIC_SHELL])};`,
+          `const CONTENT_URLS = ${JSON.stringify(PUBLIC_CONTENT)};`,
+          '',
+          source,
+        ].join('\n'),
+      });
+    },
+  };
+};
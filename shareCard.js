@@ -0,0 +1,299 @@
+// --- Share Card ---
+// Image cards of the countdown or a shayari, drawn on a canvas in the page's colours and fonts.
+// drawCard works with any 2D canvas context, so the build draws the link-preview image with it too.
+
+import { createRandom } from './starfield.js';
+import { resolveTheme } from './theme.js';
+
+// Pixel sizes of each card format: a square post, a phone-screen story, and a link preview
+export const CARD_FORMATS = {
+  square: { width: 1080, height: 1080 },
+  story: { width: 1080, height: 1920 },
+  preview: { width: 1200, height: 630 },
+};
+
+/**
+ * cardStyle: Picks a card's colours and fonts from the theme, matching the parts of the page they stand for.
+ * @param {Object} [theme] - A theme from `resolveTheme`; the default preset if left out.
+ * @param {'waiting'|'reunion'} [mood='waiting'] - Which of the page's background gradients to use.
+ * @returns {Object} The `background` gradient stops, the text colours and the `fonts`.
+ */
+const cardStyle = (theme = resolveTheme(), mood = 'waiting') => {
+  const sky = mood === 'reunion' ? theme.reunion : theme.night;
+  return {
+    background: [sky.base, sky.mid, sky.high],
+    frame: theme.accent[500],
+    title: theme.accent[200],
+    number: theme.accent[400],
+    label: '#f3f4f6',
+    quote: '#e5e7eb',
+    poet: theme.accent[300],
+    footer: '#d1d5db',
+    fonts: theme.fonts,
+  };
+};
+
+// Roman text uses the font of the matching part of the page; the other scripts need their own
+const SCRIPT_FONTS = {
+  devanagari: "'Noto Serif Devanagari', serif",
+  urdu: "'Noto Nastaliq Urdu', serif",
+};
+const fontFor = (script, romanFont) => SCRIPT_FONTS[script] || romanFont;
+
+/**
+ * wrapText: Breaks text into lines that fit a width, keeping its own line breaks.
+ * @param {CanvasRenderingContext2D} context - A context with the font already set.
+ * @param {string} text - The text.
+ * @param {number} maxWidth - The widest a line may be, in pixels.
+ * @returns {string[]} The lines.
+ */
+const wrapText = (context, text, maxWidth) => text.split('\n').flatMap((paragraph) => {
+  const lines = [];
+  let line = '';
+  paragraph.split(/\s+/).filter(Boolean).forEach((word) => {
+    const candidate = line ? `${line} ${word}` : word;
+    if (line && context.measureText(candidate).width > maxWidth) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = candidate;
+    }
+  });
+  return [...lines, line];
+});
+
+// The frame's outline; context.roundRect would do, but older Safari versions don't have it
+const roundedRect = (context, x, y, width, height, radius) => {
+  context.beginPath();
+  context.moveTo(x + radius, y);
+  context.arcTo(x + width, y, x + width, y + height, radius);
+  context.arcTo(x + width, y + height, x, y + height, radius);
+  context.arcTo(x, y + height, x, y, radius);
+  context.arcTo(x, y, x + width, y, radius);
+  context.closePath();
+};
+
+/**
+ * cardFonts: Lists the fonts a card is drawn with, and the text each one draws.
+ * Browsers only fetch a web font (or the part of it for a script) once it is asked for,
+ * so these are loaded before drawing.
+ * @param {Object} card - The card, as for drawCard.
+ * @returns {Array<Array<string>>} Pairs of a CSS font and sample text.
+ */
+export const cardFonts = (card) => {
+  const { heading, hand, flourish } = cardStyle(card.theme, card.mood).fonts;
+  return [
+    [`700 10px ${heading}`, card.title],
+    ...(card.rows ? [[`700 10px ${hand}`, '0123456789'], [`400 10px ${hand}`, card.rows.map((row) => row.label).join(' ')]] : []),
+    ...(card.quote ? [[`400 10px ${fontFor(card.quote.script, flourish)}`, card.quote.text]] : []),
+    ...(card.note || card.quote?.poet ? [[`400 10px ${hand}`, `${card.note || ''} ${card.quote?.poet || ''}`]] : []),
+    ...(card.footer ? [[`400 10px ${fontFor(card.footer.script, hand)}`, card.footer.text]] : []),
+  ];
+};
+
+/**
+ * drawCard: Draws a share card.
+ * The content is laid out as one centred column, inside a frame like the countdown's box.
+ * @param {CanvasRenderingContext2D} context - The canvas context to draw on.
+ * @param {number} width - The canvas width in pixels.
+ * @param {number} height - The canvas height in pixels.
+ * @param {Object} card - What the card shows.
+ * @param {Object} [card.theme] - The page's theme, from `resolveTheme`; the default preset if left out.
+ * @param {'waiting'|'reunion'} [card.mood='waiting'] - Whether to use the reunion gradient.
+ * @param {string} card.title - The heading.
+ * @param {Object[]} [card.rows] - Countdown numbers, each `{ value, label }`.
+ * @param {Object} [card.quote] - A shayari: its `text`, the `script` it is written in, and the `poet` if known.
+ * @param {string} [card.note] - A small line under the rows or quote.
+ * @param {Object} [card.footer] - `{ text, script }` for the line along the bottom.
+ */
+export const drawCard = (context, width, height, card) => {
+  // Landscape cards (link previews) have room to go a little larger than their height alone allows
+  const unit = Math.min(width, height * 1.4) / 1080;
+  const inset = 40 * unit;
+  const contentWidth = width - 2 * (inset + 60 * unit);
+  const centerX = width / 2;
+  const style = cardStyle(card.theme, card.mood);
+  const { heading, hand, flourish } = style.fonts;
+
+  // Background, with a scattering of stars
+  const [from, via, to] = style.background;
+  const gradient = context.createLinearGradient(0, 0, width, height);
+  gradient.addColorStop(0, from);
+  gradient.addColorStop(0.5, via);
+  gradient.addColorStop(1, to);
+  context.fillStyle = gradient;
+  context.fillRect(0, 0, width, height);
+
+  const random = createRandom(1969);
+  for (let i = 0; i < (width * height) / 6000; i++) {
+    context.globalAlpha = 0.2 + random() * 0.6;
+    context.fillStyle = '#ffffff';
+    context.beginPath();
+    context.arc(random() * width, random() * height, (0.5 + random() * 1.5) * unit, 0, Math.PI * 2);
+    context.fill();
+  }
+  context.globalAlpha = 1;
+
+  roundedRect(context, inset, inset, width - 2 * inset, height - 2 * inset, 48 * unit);
+  context.fillStyle = 'rgba(255, 255, 255, 0.05)';
+  context.fill();
+  context.lineWidth = 6 * unit;
+  context.strokeStyle = style.frame;
+  context.stroke();
+
+  context.textAlign = 'center';
+  context.textBaseline = 'top';
+
+  // Each block knows its height up front, so the column can be centred before anything is drawn
+  const blocks = [];
+  const addText = (lines, font, size, color, { lineHeight = 1.3, script = 'roman' } = {}) => {
+    blocks.push({
+      height: lines.length * size * lineHeight,
+      draw: (top) => {
+        context.font = font;
+        context.fillStyle = color;
+        context.direction = script === 'urdu' ? 'rtl' : 'ltr';
+        lines.forEach((line, index) => context.fillText(line, centerX, top + index * size * lineHeight));
+        context.direction = 'ltr';
+      },
+    });
+  };
+
+  const titleSize = 60 * unit;
+  const titleFont = `700 ${titleSize}px ${heading}`;
+  context.font = titleFont;
+  addText(wrapText(context, card.title, contentWidth), titleFont, titleSize, style.title);
+
+  if (card.rows) {
+    // Two columns fit a square; a tall story has room for one
+    const columns = height > width * 1.5 ? 1 : 2;
+    const cellWidth = contentWidth / columns;
+    const numberSize = 120 * unit;
+    const labelSize = 40 * unit;
+    const labelFont = `400 ${labelSize}px ${hand}`;
+    context.font = labelFont;
+    const cells = card.rows.map((row) => ({
+      value: row.value,
+      // The page's phrases run on into each other ("saal,"), which reads oddly on its own
+      labels: wrapText(context, row.label.replace(/,$/, ''), cellWidth - 20 * unit),
+    }));
+    const gridRows = [];
+    for (let i = 0; i < cells.length; i += columns) gridRows.push(cells.slice(i, i + columns));
+
+    gridRows.forEach((gridRow) => {
+      const labelLines = Math.max(...gridRow.map((cell) => cell.labels.length));
+      blocks.push({
+        height: numberSize + labelLines * labelSize * 1.2,
+        draw: (top) => {
+          gridRow.forEach((cell, column) => {
+            const x = centerX - contentWidth / 2 + cellWidth * (column + 0.5) + (cellWidth * (columns - gridRow.length)) / 2;
+            context.font = `700 ${numberSize}px ${hand}`;
+            context.fillStyle = style.number;
+            context.fillText(cell.value, x, top);
+            context.font = labelFont;
+            context.fillStyle = style.label;
+            cell.labels.forEach((line, index) => context.fillText(line, x, top + numberSize + index * labelSize * 1.2));
+          });
+        },
+      });
+    });
+  }
+
+  if (card.quote) {
+    const { text, script = 'roman', poet } = card.quote;
+    const family = fontFor(script, flourish);
+    // Nastaliq needs extra line height, as on the page
+    const lineHeight = script === 'urdu' ? 2.2 : 1.5;
+    // Long shayari shrink until they take up no more than about half the card
+    const wrapAt = (fontSize) => {
+      context.font = `400 ${fontSize}px ${family}`;
+      return wrapText(context, `"${text}"`, contentWidth);
+    };
+    let size = 64 * unit;
+    let lines = wrapAt(size);
+    while (lines.length * size * lineHeight > height * 0.5 && size > 32 * unit) {
+      size -= 4 * unit;
+      lines = wrapAt(size);
+    }
+    addText(lines, `400 ${size}px ${family}`, size, style.quote, { lineHeight, script });
+
+    if (poet) {
+      const poetSize = 44 * unit;
+      addText([`— ${poet}`], `400 ${poetSize}px ${hand}`, poetSize, style.poet);
+    }
+  }
+
+  if (card.note) {
+    const noteSize = 40 * unit;
+    addText([card.note], `400 ${noteSize}px ${hand}`, noteSize, style.title);
+  }
+
+  const gap = 48 * unit;
+  const footerSize = 44 * unit;
+  const footerSpace = card.footer ? footerSize * 2 : 0;
+  const total = blocks.reduce((sum, block) => sum + block.height, 0) + gap * (blocks.length - 1);
+  let top = (height - footerSpace - total) / 2;
+  blocks.forEach((block) => {
+    block.draw(top);
+    top += block.height + gap;
+  });
+
+  if (card.footer) {
+    const { text, script = 'roman' } = card.footer;
+    context.font = `400 ${footerSize}px ${fontFor(script, hand)}`;
+    context.fillStyle = style.footer;
+    context.direction = script === 'urdu' ? 'rtl' : 'ltr';
+    context.fillText(text, centerX, height - inset - 40 * unit - footerSize);
+    context.direction = 'ltr';
+  }
+};
+
+/**
+ * renderCard: Draws a card in the browser and returns it as a PNG.
+ * @param {Object} card - What the card shows, as for drawCard.
+ * @param {string} format - One of the keys of CARD_FORMATS.
+ * @returns {Promise<Blob>} The PNG image.
+ */
+export const renderCard = async (card, format) => {
+  const { width, height } = CARD_FORMATS[format];
+  // A font that fails to load only means a fallback font on the card
+  await Promise.all(cardFonts(card).map(([font, text]) => document.fonts.load(font, text).catch(() => {})));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  drawCard(canvas.getContext('2d'), width, height, card);
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("The card could not be drawn."))), 'image/png');
+  });
+};
+
+/**
+ * shareImage: Opens the system share sheet for an image, or downloads it where there is none.
+ * Browsers that can share text but not files (most desktop browsers) download it too.
+ * @param {Blob} image - The PNG image.
+ * @param {Object} details - About the image.
+ * @param {string} details.fileName - The file name, without ".png".
+ * @param {string} [details.text] - Text to share along with it.
+ * @returns {Promise<string>} 'shared', 'cancelled' or 'downloaded'.
+ */
+export const shareImage = async (image, { fileName, text }) => {
+  const file = new File([image], `${fileName}.png`, { type: 'image/png' });
+  if (navigator.canShare?.({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], text });
+      return 'shared';
+    } catch (e) {
+      if (e.name === 'AbortError') return 'cancelled';
+      console.warn("Could not open the share sheet, downloading the card instead:", e);
+    }
+  }
+
+  const url = URL.createObjectURL(image);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = file.name;
+  link.click();
+  URL.revokeObjectURL(url);
+  return 'downloaded';
+};
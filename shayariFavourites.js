@@ -0,0 +1,39 @@
+// --- Shayari Favourites ---
+// Lines the visitor has hearted, kept in localStorage and keyed by their Roman text.
+
+import { localize } from './scripts.js';
+import { normalizeShayari } from './shayariLibrary.js';
+
+const FAVOURITES_STORAGE_KEY = 'intezaar.favouriteShayari';
+
+/**
+ * favouriteKey: Gets the stable key a shayari line is saved under.
+ * @param {string|Object} line - A shayari line in any format `normalizeShayari` accepts.
+ * @returns {string} The line's Roman text, so adding metadata later keeps it hearted.
+ */
+export const favouriteKey = (line) => localize(normalizeShayari(line).text, 'roman').text;
+
+/**
+ * loadFavourites: Reads the saved favourite keys.
+ * @returns {string[]} Keys as produced by `favouriteKey`.
+ */
+export const loadFavourites = () => {
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(FAVOURITES_STORAGE_KEY));
+    return Array.isArray(saved) ? saved : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * saveFavourites: Stores the favourite keys for future visits.
+ * @param {string[]} keys - Keys as produced by `favouriteKey`.
+ */
+export const saveFavourites = (keys) => {
+  try {
+    window.localStorage.setItem(FAVOURITES_STORAGE_KEY, JSON.stringify(keys));
+  } catch (e) {
+    console.warn("Could not save favourite shayari:", e);
+  }
+};
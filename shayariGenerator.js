@@ -0,0 +1,191 @@
+// --- Shayari Generator ---
+// New shayari from Gemini, written in the tone and moods of the config's own lines. The page never
+// holds the Gemini key: it asks a shayari proxy (shayariProxy.js, or anything that answers the same
+// way), which writes the prompt and calls Gemini. Generated lines are kept in localStorage, waiting
+// for review; only approved ones join the carousel.
+
+import { localize } from './scripts.js';
+import { favouriteKey } from './shayariFavourites.js';
+
+const GENERATED_STORAGE_KEY = 'intezaar.generatedShayari';
+const MS_PER_HOUR = 60 * 60 * 1000;
+// Enough of the config's lines to set the tone, without sending the whole library every time
+export const EXAMPLE_COUNT = 12;
+export const MAX_COUNT = 20;
+// A line wrapped whole in double quotes; the carousel adds its own
+const QUOTED_LINE = /^["“”„«»]([\s\S]*)["“”„«»]$/;
+
+/**
+ * buildShayariRequest: Describes the lines wanted, for the proxy.
+ * @param {Object[]} entries - The config's lines, from `normalizeShayari`.
+ * @param {number} count - How many new lines to ask for.
+ * @returns {Object} The `count`, the `tags` the lines may use, and a few `examples` (`{ text, tags }`, in Roman).
+ */
+export const buildShayariRequest = (entries, count) => ({
+  count,
+  tags: [...new Set(entries.flatMap((entry) => entry.tags))],
+  examples: entries.slice(0, EXAMPLE_COUNT).map((entry) => ({ text: localize(entry.text, 'roman').text, tags: entry.tags })),
+});
+
+/**
+ * buildShayariPrompt: Writes the prompt for Gemini from a request.
+ * @param {Object} request - A request from `buildShayariRequest`.
+ * @returns {string} The prompt.
+ */
+export const buildShayariPrompt = ({ count, tags, examples }) => [
+  `Write ${count} new, original shayari in Roman Hindustani, in the same tone as these:`,
+  ...examples.map((example) => `- ${example.text}${example.tags.length > 0 ? ` (${example.tags.join(', ')})` : ''}`),
+  '',
+  'Each should be one or two lines about waiting for someone you love. Don\'t repeat or reword the examples.',
+  tags.length > 0 ? `Give each one or two mood tags, chosen only from: ${tags.join(', ')}.` : 'Leave the tags empty.',
+  'Reply with only a JSON array of objects like {"text": "...", "tags": ["..."]}.',
+].join('\n');
+
+/**
+ * cleanShayari: Keeps the usable lines of a generated list.
+ * Lines without text are dropped, and so are tags the config doesn't use, so the mood filter stays the same.
+ * Quotes around a whole line are taken off.
+ * @param {*} lines - The list, as it came in.
+ * @param {string[]} tags - The tags the config's lines use.
+ * @returns {Object[]} Entries in the config's `{ text, tags }` format.
+ * @throws {Error} If `lines` is not a list.
+ */
+export const cleanShayari = (lines, tags) => {
+  if (!Array.isArray(lines)) throw new Error('The reply was not a list of shayari.');
+  return lines.flatMap((line) => {
+    const text = typeof line?.text === 'string' ? line.text.trim().replace(QUOTED_LINE, '$1').trim() : '';
+    if (!text) return [];
+    return [{
+      text,
+      tags: (Array.isArray(line.tags) ? line.tags : [])
+        .map((tag) => String(tag).trim().toLowerCase())
+        .filter((tag) => tags.includes(tag)),
+    }];
+  });
+};
+
+/**
+ * readGeminiReply: Picks the new lines out of a Gemini `generateContent` response.
+ * @param {Object} response - The parsed response.
+ * @param {string[]} tags - The tags the lines may use.
+ * @returns {Object[]} The lines, from `cleanShayari`.
+ * @throws {Error} If Gemini declined or gave no reply, or the reply is not a JSON list.
+ */
+export const readGeminiReply = (response, tags) => {
+  const blockReason = response?.promptFeedback?.blockReason;
+  if (blockReason) throw new Error(`Gemini declined the request (${blockReason}).`);
+  const candidate = response?.candidates?.[0];
+  const reply = candidate?.content?.parts?.map((part) => part.text || '').join('') || '';
+  // A candidate stopped by its safety settings comes back with a finishReason and no text
+  if (!reply.trim()) throw new Error(`Gemini gave no reply${candidate?.finishReason ? ` (${candidate.finishReason})` : ''}.`);
+  // Models sometimes wrap JSON in a Markdown code block even when asked not to
+  const json = reply.replace(/^\s*```(?:json)?\s*|\s*```\s*$/g, '');
+  let lines;
+  try {
+    lines = JSON.parse(json);
+  } catch {
+    throw new Error('The reply was not JSON.');
+  }
+  return cleanShayari(lines, tags);
+};
+
+/**
+ * generateShayari: Asks the shayari proxy for new lines like the config's.
+ * @param {Object[]} entries - The config's lines, from `normalizeShayari`.
+ * @param {Object} options - The generator's `endpoint` and `count`.
+ * @param {Function} [fetchReply=fetch] - Sends the request.
+ * @returns {Promise<Object[]>} The new lines, from `cleanShayari`.
+ * @throws {Error} If there is no endpoint, or the request or its reply fails.
+ */
+export const generateShayari = async (entries, { endpoint, count }, fetchReply = fetch) => {
+  if (!endpoint) throw new Error('No shayari.generator.endpoint is set.');
+  const request = buildShayariRequest(entries, count);
+  const response = await fetchReply(endpoint, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(request),
+  });
+  if (!response.ok) throw new Error(`The request failed with status ${response.status}.`);
+  return cleanShayari((await response.json())?.shayari, request.tags);
+};
+
+/**
+ * addPending: Queues new lines for review, skipping any already seen.
+ * @param {Object} cache - The cache from `loadGeneratedShayari`.
+ * @param {Object[]} lines - The new lines.
+ * @param {Object[]} entries - The config's lines, which generated ones shouldn't repeat.
+ * @param {number} now - When the lines came in, in milliseconds.
+ * @returns {Object} The updated cache.
+ */
+export const addPending = (cache, lines, entries, now) => {
+  const seen = new Set([
+    ...[...entries, ...cache.pending, ...cache.approved].map(favouriteKey),
+    ...cache.rejected,
+  ]);
+  const fresh = lines.filter((line) => {
+    const key = favouriteKey(line);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  return { ...cache, pending: [...cache.pending, ...fresh], fetchedAt: now };
+};
+
+/**
+ * reviewLine: Approves a waiting line into the carousel, or rejects it for good.
+ * @param {Object} cache - The cache from `loadGeneratedShayari`.
+ * @param {Object} line - One of the cache's `pending` lines.
+ * @param {boolean} isApproved - Whether the line joins the carousel.
+ * @returns {Object} The updated cache.
+ */
+export const reviewLine = (cache, line, isApproved) => ({
+  ...cache,
+  pending: cache.pending.filter((pending) => pending !== line),
+  // Rejected lines are remembered by key only, so the same line isn't offered again
+  approved: isApproved ? [...cache.approved, line] : cache.approved,
+  rejected: isApproved ? cache.rejected : [...cache.rejected, favouriteKey(line)],
+});
+
+/**
+ * isDueForMore: Checks whether it is time to ask for more lines.
+ * Nothing is asked for while lines are still waiting for review.
+ * @param {Object} cache - The cache from `loadGeneratedShayari`.
+ * @param {number} refreshHours - The hours between requests.
+ * @param {number} now - The current time, in milliseconds.
+ * @returns {boolean} True if a request should be made.
+ */
+export const isDueForMore = (cache, refreshHours, now) => (
+  cache.pending.length === 0 && now - cache.fetchedAt >= refreshHours * MS_PER_HOUR
+);
+
+/**
+ * loadGeneratedShayari: Reads the generated lines kept on this device.
+ * @returns {Object} The `pending`, `approved` and `rejected` lines, and when lines were last `fetchedAt`.
+ */
+export const loadGeneratedShayari = () => {
+  const empty = { pending: [], approved: [], rejected: [], fetchedAt: 0 };
+  try {
+    const saved = JSON.parse(window.localStorage.getItem(GENERATED_STORAGE_KEY));
+    if (!saved || typeof saved !== 'object') return empty;
+    return {
+      pending: Array.isArray(saved.pending) ? saved.pending : [],
+      approved: Array.isArray(saved.approved) ? saved.approved : [],
+      rejected: Array.isArray(saved.rejected) ? saved.rejected : [],
+      fetchedAt: Number.isFinite(saved.fetchedAt) ? saved.fetchedAt : 0,
+    };
+  } catch {
+    return empty;
+  }
+};
+
+/**
+ * saveGeneratedShayari: Stores the generated lines for future visits.
+ * @param {Object} cache - The cache from `loadGeneratedShayari`.
+ */
+export const saveGeneratedShayari = (cache) => {
+  try {
+    window.localStorage.setItem(GENERATED_STORAGE_KEY, JSON.stringify(cache));
+  } catch (e) {
+    console.warn("Could not save generated shayari:", e);
+  }
+};
@@ -0,0 +1,62 @@
+import { describe, expect, it } from 'vitest';
+import { cleanShayari, readGeminiReply } from './shayariGenerator.js';
+
+const tags = ['yaad', 'intezaar'];
+// A Gemini `generateContent` response whose text is split over parts, as it can be
+const reply = (...parts) => ({ candidates: [{ content: { parts: parts.map((text) => ({ text })) }, finishReason: 'STOP' }] });
+
+describe('cleanShayari', () => {
+  it('keeps the text and the known tags of each line', () => {
+    const lines = [{ text: '  Raat bhar\nteri baatein  ', tags: [' Yaad', 'udaasi', 'INTEZAAR'] }];
+    expect(cleanShayari(lines, tags)).toEqual([{ text: 'Raat bhar\nteri baatein', tags: ['yaad', 'intezaar'] }]);
+  });
+
+  it('drops lines without text', () => {
+    const lines = [null, 'Sirf text', { text: '   ' }, { text: 42 }, { tags: ['yaad'] }, { text: 'Bacha hua' }];
+    expect(cleanShayari(lines, tags)).toEqual([{ text: 'Bacha hua', tags: [] }]);
+  });
+
+  it('takes the quotes off lines wrapped in them', () => {
+    const lines = [{ text: '"Tu door sahi"' }, { text: ' “Yaad paas hai” ' }, { text: '"Kaha tha" usne' }];
+    expect(cleanShayari(lines, []).map((line) => line.text)).toEqual(['Tu door sahi', 'Yaad paas hai', '"Kaha tha" usne']);
+  });
+
+  it('drops a line that was only quotes', () => {
+    expect(cleanShayari([{ text: '""' }], [])).toEqual([]);
+  });
+
+  it('turns away anything but a list', () => {
+    expect(() => cleanShayari({ text: 'Ek' }, tags)).toThrow('not a list');
+    expect(() => cleanShayari(undefined, tags)).toThrow('not a list');
+  });
+});
+
+describe('readGeminiReply', () => {
+  it('reads the JSON list in the reply, across its parts', () => {
+    expect(readGeminiReply(reply('[{"text": "Ek", "tags": ["yaad"]},', ' {"text": "Do"}]'), tags)).toEqual([
+      { text: 'Ek', tags: ['yaad'] },
+      { text: 'Do', tags: [] },
+    ]);
+  });
+
+  it('takes the JSON out of a Markdown code block', () => {
+    expect(readGeminiReply(reply('```json\n[{"text": "\\"Ek\\""}]\n```\n'), tags)).toEqual([{ text: 'Ek', tags: [] }]);
+    expect(readGeminiReply(reply('```\n[]\n```'), tags)).toEqual([]);
+  });
+
+  it('fails on an empty reply', () => {
+    expect(() => readGeminiReply({}, tags)).toThrow('Gemini gave no reply.');
+    expect(() => readGeminiReply({ candidates: [] }, tags)).toThrow('Gemini gave no reply.');
+    expect(() => readGeminiReply(reply('  '), tags)).toThrow('Gemini gave no reply (STOP).');
+  });
+
+  it('fails on a blocked prompt or candidate, naming the reason', () => {
+    expect(() => readGeminiReply({ promptFeedback: { blockReason: 'SAFETY' } }, tags)).toThrow('Gemini declined the request (SAFETY).');
+    expect(() => readGeminiReply({ candidates: [{ finishReason: 'SAFETY' }] }, tags)).toThrow('Gemini gave no reply (SAFETY).');
+  });
+
+  it('fails on a reply that is not a JSON list', () => {
+    expect(() => readGeminiReply(reply('Yeh rahi shayari: Ek'), tags)).toThrow('not JSON');
+    expect(() => readGeminiReply(reply('{"text": "Ek"}'), tags)).toThrow('not a list');
+  });
+});
@@ -0,0 +1,147 @@
+// --- Shayari Library ---
+// Shayari entries with metadata: parsing from text files, normalising, tags and the shayari of the day.
+
+import { getZonedParts, isValidTimeZone } from './dateUtils.js';
+
+const METADATA_PATTERN = /^(poet|author|tags|mood|date|roman|devanagari|urdu)\s*:\s*(.*)$/i;
+const POET_PATTERN = /^[—–-]{1,2}\s*(.+)$/;
+
+/**
+ * normalizeShayari: Brings any supported line format into one shape.
+ * Accepts plain text, an object with versions per script, or a full entry with `text`.
+ * @param {string|Object} line - A shayari line or entry from the config.
+ * @returns {Object} The `text` (plain or per script), `poet`, `tags` and `date` (or null).
+ */
+export const normalizeShayari = (line) => {
+  if (line && typeof line === 'object' && 'text' in line) {
+    return {
+      text: line.text,
+      poet: line.poet || null,
+      tags: line.tags || [],
+      date: line.date || null,
+    };
+  }
+  return { text: line, poet: null, tags: [], date: null };
+};
+
+/**
+ * parseShayariText: Parses a plain text or Markdown file into shayari entries.
+ * Entries are separated by blank lines (or `---`). Inside an entry, the text lines come first;
+ * a line starting with "—" names the poet, and `tags:`, `date:`, `devanagari:` and `urdu:` lines
+ * add metadata. Markdown headings and blockquote markers are ignored.
+ * @param {string} source - The file contents.
+ * @returns {Object[]} Entries in the config's `{ text, poet, tags, date }` format.
+ */
+export const parseShayariText = (source) => source
+  .replace(/\r\n/g, '\n')
+  .split(/\n\s*(?:---+\s*)?\n/)
+  .map((block) => {
+    const entry = { roman: [], poet: null, tags: [], date: null, devanagari: [], urdu: [] };
+
+    block.split('\n').forEach((rawLine) => {
+      const line = rawLine.replace(/^\s*>\s?/, '').trim();
+      if (!line || line.startsWith('#') || /^-{3,}$/.test(line)) return;
+
+      const metadata = line.match(METADATA_PATTERN);
+      const poet = line.match(POET_PATTERN);
+      if (metadata) {
+        const [, key, value] = metadata;
+        switch (key.toLowerCase()) {
+          case 'poet':
+          case 'author':
+            entry.poet = value.trim();
+            break;
+          case 'tags':
+          case 'mood':
+            entry.tags.push(...value.split(',').map((tag) => tag.trim().toLowerCase()).filter(Boolean));
+            break;
+          case 'date':
+            entry.date = value.trim();
+            break;
+          default:
+            entry[key.toLowerCase()].push(value.trim());
+        }
+      } else if (poet && entry.roman.length > 0) {
+        entry.poet = poet[1].trim();
+      } else {
+        entry.roman.push(line);
+      }
+    });
+
+    if (entry.roman.length === 0) return null;
+
+    const roman = entry.roman.join('\n');
+    const hasScripts = entry.devanagari.length > 0 || entry.urdu.length > 0;
+    const text = hasScripts
+      ? {
+        roman,
+        ...(entry.devanagari.length > 0 && { devanagari: entry.devanagari.join('\n') }),
+        ...(entry.urdu.length > 0 && { urdu: entry.urdu.join('\n') }),
+      }
+      : roman;
+
+    return {
+      text,
+      ...(entry.poet && { poet: entry.poet }),
+      ...(entry.tags.length > 0 && { tags: entry.tags }),
+      ...(entry.date && { date: entry.date }),
+    };
+  })
+  .filter(Boolean);
+
+/**
+ * collectTags: Lists every tag used by a set of entries.
+ * @param {Object[]} entries - Normalised entries.
+ * @returns {string[]} The unique tags, in the order they first appear.
+ */
+export const collectTags = (entries) => [...new Set(entries.flatMap((entry) => entry.tags))];
+
+// FNV-1a: a small, stable string hash, so the same day always picks the same line
+const hashString = (value) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < value.length; i++) {
+    hash ^= value.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+/**
+ * shayariOfTheDay: Picks the same entry for everyone on a given day.
+ * Entries dated for the day ("YYYY-MM-DD", or "MM-DD" for every year) win; otherwise the pick is a
+ * hash of the date, so it changes daily but never depends on who is looking.
+ * @param {Object[]} entries - Normalised entries.
+ * @param {Date} now - The current instant.
+ * @param {string} timeZone - The timezone whose calendar decides what "today" is (UTC if it isn't valid).
+ * @returns {number} The index of today's entry, or -1 if there are no entries.
+ */
+export const shayariOfTheDay = (entries, now, timeZone) => {
+  if (entries.length === 0) return -1;
+  const { year, month, day } = getZonedParts(now, isValidTimeZone(timeZone) ? timeZone : 'UTC');
+  const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+  const today = `${year}-${monthDay}`;
+
+  const exact = entries.findIndex((entry) => entry.date === today);
+  if (exact >= 0) return exact;
+  const yearly = entries.findIndex((entry) => entry.date === monthDay);
+  if (yearly >= 0) return yearly;
+
+  return hashString(today) % entries.length;
+};
+
+/**
+ * loadShayariLibrary: Fetches and parses a plain text or Markdown shayari file.
+ * @param {string} url - Where the file lives.
+ * @param {Function} [fetchFile=fetch] - Fetches the file; the build swaps in one that reads public/.
+ * @returns {Promise<Object[]>} The parsed entries; empty (with a console warning) if it can't be loaded.
+ */
+export const loadShayariLibrary = async (url, fetchFile = fetch) => {
+  try {
+    const response = await fetchFile(url, { cache: 'no-cache' });
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+    return parseShayariText(await response.text());
+  } catch (e) {
+    console.warn(`Could not load the shayari library "${url}":`, e);
+    return [];
+  }
+};
@@ -0,0 +1,116 @@
+import { afterEach, describe, expect, it } from 'vitest';
+import { normalizeShayari, parseShayariText, shayariOfTheDay } from './shayariLibrary.js';
+import { validateConfig } from './configSchema.js';
+
+describe('parseShayariText', () => {
+  it('splits entries on blank lines and "---", however many', () => {
+    const source = 'Pehli\nshayari\n\n\n\nDoosri\n  \t\n---\nTeesri\n\n---\n\nChauthi\n';
+    expect(parseShayariText(source)).toEqual([
+      { text: 'Pehli\nshayari' },
+      { text: 'Doosri' },
+      { text: 'Teesri' },
+      { text: 'Chauthi' },
+    ]);
+  });
+
+  it('reads Windows line endings', () => {
+    expect(parseShayariText('Ek\r\nDo\r\n\r\nTeen')).toEqual([{ text: 'Ek\nDo' }, { text: 'Teen' }]);
+  });
+
+  it('ignores Markdown headings and blockquote markers, and drops blocks with no text', () => {
+    const source = '# Mere sher\n\n> Raat bhar\n> chaand se baatein\n\ntags: yaad\n';
+    expect(parseShayariText(source)).toEqual([{ text: 'Raat bhar\nchaand se baatein' }]);
+  });
+
+  it('reads the poet, tags and date', () => {
+    const source = [
+      'Hazaaron khwahishen aisi',
+      '— Ghalib',
+      'Tags: Yaad, intezaar ,, ',
+      'mood: Wafa',
+      'date: 02-14',
+      '',
+      'Dil hi toh hai',
+      'Author: Mirza Ghalib',
+      '',
+      'Patta patta',
+      '-- Mir',
+    ].join('\n');
+    expect(parseShayariText(source)).toEqual([
+      { text: 'Hazaaron khwahishen aisi', poet: 'Ghalib', tags: ['yaad', 'intezaar', 'wafa'], date: '02-14' },
+      { text: 'Dil hi toh hai', poet: 'Mirza Ghalib' },
+      { text: 'Patta patta', poet: 'Mir' },
+    ]);
+  });
+
+  it('only takes a dash line as the poet once there is text', () => {
+    expect(parseShayariText('- Pehli line\n- doosri')).toEqual([{ text: '- Pehli line', poet: 'doosri' }]);
+  });
+
+  it('collects versions in other scripts', () => {
+    const source = 'Tera intezaar\nhai\ndevanagari: तेरा इंतज़ार\ndevanagari: है\nurdu: تیرا انتظار ہے';
+    expect(parseShayariText(source)).toEqual([
+      { text: { roman: 'Tera intezaar\nhai', devanagari: 'तेरा इंतज़ार\nहै', urdu: 'تیرا انتظار ہے' } },
+    ]);
+  });
+});
+
+describe('shayariOfTheDay', () => {
+  const entries = ['Ek', 'Do', 'Teen', 'Chaar', 'Paanch', 'Chhe', 'Saat'].map(normalizeShayari);
+  const savedTimeZone = process.env.TZ;
+
+  afterEach(() => {
+    process.env.TZ = savedTimeZone;
+  });
+
+  it('is -1 without entries', () => {
+    expect(shayariOfTheDay([], new Date(), 'Asia/Kolkata')).toBe(-1);
+  });
+
+  it('gives the same entry all day in the promise timezone', () => {
+    // 00:30 and 23:30 on 16 June in Kolkata
+    const morning = shayariOfTheDay(entries, new Date('2025-06-15T19:00:00Z'), 'Asia/Kolkata');
+    const night = shayariOfTheDay(entries, new Date('2025-06-16T18:00:00Z'), 'Asia/Kolkata');
+    expect(morning).toBe(night);
+    expect(morning).toBeGreaterThanOrEqual(0);
+    expect(morning).toBeLessThan(entries.length);
+  });
+
+  it('does not depend on the timezone of whoever is looking', () => {
+    const now = new Date('2025-06-15T20:00:00Z');
+    const picks = ['UTC', 'America/Los_Angeles', 'Asia/Tokyo'].map((visitorTimeZone) => {
+      process.env.TZ = visitorTimeZone;
+      return shayariOfTheDay(entries, now, 'Asia/Kolkata');
+    });
+    expect(new Set(picks).size).toBe(1);
+  });
+
+  it('changes from day to day', () => {
+    const picks = Array.from({ length: 14 }, (_, day) => shayariOfTheDay(entries, new Date(Date.UTC(2025, 0, 1 + day, 12)), 'UTC'));
+    expect(new Set(picks).size).toBeGreaterThan(1);
+  });
+
+  it('uses UTC when the timezone is not valid', () => {
+    const now = new Date('2025-06-15T20:00:00Z');
+    expect(shayariOfTheDay(entries, now, 'Nowhere/Bogus')).toBe(shayariOfTheDay(entries, now, 'UTC'));
+  });
+
+  it('prefers an entry dated for the day, then one dated for every year', () => {
+    const dated = [
+      ...entries,
+      normalizeShayari({ text: 'Har saal', date: '06-16' }),
+      normalizeShayari({ text: 'Is saal', date: '2025-06-16' }),
+    ];
+    expect(shayariOfTheDay(dated, new Date('2025-06-15T20:00:00Z'), 'Asia/Kolkata')).toBe(8);
+    expect(shayariOfTheDay(dated, new Date('2026-06-15T20:00:00Z'), 'Asia/Kolkata')).toBe(7);
+    // Still 15 June in Los Angeles
+    expect(shayariOfTheDay(dated, new Date('2025-06-15T20:00:00Z'), 'America/Los_Angeles')).toBeLessThan(7);
+  });
+});
+
+describe('shayari lines in the config', () => {
+  it('need at least one line', () => {
+    expect(validateConfig({ shayari: { lines: [] } })).toEqual(['config.shayari.lines should have at least 1 item.']);
+    expect(validateConfig({ reunion: { shayari: { lines: [] } } })).toEqual(['config.reunion.shayari.lines should have at least 1 item.']);
+  });
+});
@@ -0,0 +1,149 @@
+// Serves the shayari generator's endpoint, holding the Gemini key so the page never has to.
+// Usage: npm run shayari-proxy -- --origin https://example.com [--port 8787] [--model gemini-2.0-flash]
+// The key is read from GEMINI_API_KEY, or from .env.local. Point `shayari.generator.endpoint` at the
+// address it prints. --origin is the site whose pages may call it, and is required: any other site's
+// would be spending the key.
+// --mock answers with canned shayari instead of calling Gemini, and needs no key. --fail answers every
+// request with an error, to check that the carousel falls back to the config's lines.
+
+import { createServer } from 'node:http';
+import { parseArgs } from 'node:util';
+import { EXAMPLE_COUNT, MAX_COUNT, buildShayariPrompt, cleanShayari, readGeminiReply } from './shayariGenerator.js';
+
+const GEMINI_MODELS_URL = 'https://generativelanguage.googleapis.com/v1beta/models';
+// The page sends a count, a few tags and a dozen short examples; anything much bigger isn't from it
+const MAX_BODY_LENGTH = 16 * 1024;
+
+const CANNED_SHAYARI = [
+  { text: "Raat bhar chaand se teri baatein ki,\nsubah hui toh woh bhi chup sa tha.", tags: ['yaad'] },
+  { text: "Ghadi ki suiyan thak gayi hain,\npar yeh dil abhi bhi ginti karta hai.", tags: ['intezaar'] },
+  { text: "Tere bina bhi tera hi rehna,\nyahi toh wafa ka matlab hai.", tags: ['wafa'] },
+  { text: "Har khat jo na likha gaya,\nus mein bhi tera hi naam tha.", tags: ['mohabbat', 'yaad'] },
+  { text: "Darwaze pe aahat ho toh lagta hai,\nshayad aaj woh din aa gaya.", tags: ['intezaar'] },
+  { text: "Faasle sirf raaston ke hain,\ndilon ke beech toh kuch bhi nahi.", tags: ['mohabbat'] },
+  { text: "Tu door sahi, teri yaad paas hai,\nyahi meri sabse badi aas hai.", tags: ['yaad', 'wafa'] },
+];
+
+const fail = (message) => {
+  console.error(message);
+  process.exit(1);
+};
+
+const { values } = parseArgs({
+  options: {
+    port: { type: 'string', default: '8787' },
+    origin: { type: 'string' },
+    model: { type: 'string', default: 'gemini-2.0-flash' },
+    mock: { type: 'boolean', default: false },
+    fail: { type: 'boolean', default: false },
+  },
+});
+
+try {
+  process.loadEnvFile('.env.local');
+} catch {
+  // No .env.local: the key can still come from the environment
+}
+const apiKey = process.env.GEMINI_API_KEY;
+if (!apiKey && !values.mock && !values.fail) fail('Set GEMINI_API_KEY (or add it to .env.local), or run with --mock.');
+if (!values.origin) fail('Give the site that may call the proxy, e.g. --origin https://example.com.');
+
+// The page calls it from its own site, so the browser needs the CORS headers
+const CORS_HEADERS = {
+  'Access-Control-Allow-Origin': values.origin,
+  'Access-Control-Allow-Methods': 'POST, OPTIONS',
+  'Access-Control-Allow-Headers': 'Content-Type',
+};
+
+/**
+ * readRequest: Checks a request from the page and keeps only what the prompt uses.
+ * @param {*} body - The parsed request body, from `buildShayariRequest`.
+ * @returns {Object} The `count`, `tags` and `examples`, as `buildShayariPrompt` takes them.
+ * @throws {Error} If it isn't a request the page would send.
+ */
+const readRequest = (body) => {
+  const count = Math.floor(Number(body?.count));
+  if (!(count >= 1 && count <= MAX_COUNT)) throw new Error(`"count" should be a number from 1 to ${MAX_COUNT}.`);
+  const tags = (Array.isArray(body.tags) ? body.tags : [])
+    .filter((tag) => typeof tag === 'string' && tag.trim())
+    .map((tag) => tag.trim().toLowerCase());
+  const examples = cleanShayari(Array.isArray(body.examples) ? body.examples.slice(0, EXAMPLE_COUNT) : [], tags);
+  return { count, tags, examples };
+};
+
+/**
+ * writeShayari: Gets new lines for a request, from Gemini or, with --mock, from the canned ones.
+ * @param {Object} request - The request, from `readRequest`.
+ * @returns {Promise<Object[]>} The lines, from `cleanShayari`.
+ */
+const writeShayari = async (request) => {
+  if (values.mock) {
+    const shuffled = [...CANNED_SHAYARI].sort(() => Math.random() - 0.5);
+    return cleanShayari(shuffled.slice(0, request.count), request.tags);
+  }
+  const response = await fetch(`${GEMINI_MODELS_URL}/${values.model}:generateContent`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', 'x-goog-api-key': apiKey },
+    body: JSON.stringify({
+      contents: [{ role: 'user', parts: [{ text: buildShayariPrompt(request) }] }],
+      generationConfig: { responseMimeType: 'application/json', temperature: 1 },
+    }),
+  });
+  if (!response.ok) throw new Error(`Gemini answered ${response.status}: ${(await response.text()).slice(0, 300)}`);
+  return readGeminiReply(await response.json(), request.tags);
+};
+
+const readBody = async (request) => {
+  let body = '';
+  for await (const chunk of request) {
+    body += chunk;
+    if (body.length > MAX_BODY_LENGTH) throw new Error('The request is too large.');
+  }
+  return body;
+};
+
+const send = (response, status, body = null) => {
+  response.writeHead(status, body ? { ...CORS_HEADERS, 'Content-Type': 'application/json' } : CORS_HEADERS);
+  response.end(body ? JSON.stringify(body) : undefined);
+};
+
+const server = createServer(async (request, response) => {
+  // Browsers name the calling page's site; one that isn't --origin is turned away
+  if (request.headers.origin && request.headers.origin !== values.origin) {
+    send(response, 403, { error: 'This site may not call the proxy.' });
+    return;
+  }
+  if (request.method === 'OPTIONS') {
+    send(response, 204);
+    return;
+  }
+  if (request.method !== 'POST') {
+    send(response, 405, { error: 'Send a POST request.' });
+    return;
+  }
+
+  let shayariRequest;
+  try {
+    shayariRequest = readRequest(JSON.parse(await readBody(request)));
+  } catch (e) {
+    send(response, 400, { error: e.message });
+    return;
+  }
+  if (values.fail) {
+    send(response, 503, { error: 'The proxy was started with --fail.' });
+    return;
+  }
+
+  try {
+    send(response, 200, { shayari: await writeShayari(shayariRequest) });
+  } catch (e) {
+    // The details stay here: they can include what Gemini says about the key
+    console.error('Could not write shayari:', e.message);
+    send(response, 502, { error: 'Could not write shayari.' });
+  }
+});
+
+server.listen(Number(values.port), () => {
+  const mode = (values.fail && ' (failing every request)') || (values.mock && ' (canned shayari)') || '';
+  console.log(`Shayari proxy${mode} at http://localhost:${values.port}/generate`);
+});
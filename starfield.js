@@ -0,0 +1,206 @@
+// --- Starfield ---
+// A canvas engine for the glowing background particles and the night-sky stars.
+// Positions come from a seeded generator, so the sky looks the same on every render and visit.
+
+// Shooting stars: how far they travel per second, how long their tail is and how long they last
+const SHOOTING_STAR_SPEED = 700;
+const SHOOTING_STAR_LENGTH = 90;
+const SHOOTING_STAR_LIFE = 0.9;
+// Size of the pre-rendered glow sprite, in pixels
+const SPRITE_SIZE = 64;
+
+/**
+ * createRandom: A small seeded pseudo-random generator (mulberry32).
+ * @param {number} seed - Any integer; the same seed always gives the same sequence.
+ * @returns {Function} Returns the next number in [0, 1) on each call.
+ */
+export const createRandom = (seed) => {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+// A soft round blob in one colour, drawn once and then stamped for every glowing particle
+const createGlowSprite = (color) => {
+  const sprite = document.createElement('canvas');
+  sprite.width = SPRITE_SIZE;
+  sprite.height = SPRITE_SIZE;
+  const context = sprite.getContext('2d');
+  context.shadowColor = color;
+  context.shadowBlur = SPRITE_SIZE / 4;
+  context.fillStyle = color;
+  context.beginPath();
+  context.arc(SPRITE_SIZE / 2, SPRITE_SIZE / 2, SPRITE_SIZE / 4, 0, Math.PI * 2);
+  context.fill();
+  return sprite;
+};
+
+/**
+ * createStarfield: Starts drawing particles or stars on a canvas.
+ * The canvas is sized to its CSS box and scaled for high-DPI screens. Nothing animates until
+ * `setRunning(true)`; while stopped the last frame stays on screen and time stands still.
+ * @param {HTMLCanvasElement} canvas - The canvas to draw on.
+ * @param {Object} options - One of the `visuals` layers from appConfig.
+ * @param {number} options.seed - Seed for positions, sizes and colours.
+ * @param {number} options.density - Points per 100,000 square pixels of canvas.
+ * @param {string[]} options.colors - CSS colours, picked per point.
+ * @param {number} options.drift - How fast points drift, in pixels per second.
+ * @param {number} options.minSize - Smallest radius, in pixels.
+ * @param {number} options.maxSize - Largest radius, in pixels.
+ * @param {boolean} options.glow - Draw soft glowing blobs instead of crisp dots.
+ * @param {number} options.twinkle - How much points fade and swell over time, 0 to 1.
+ * @param {number} options.shootingStars - Average shooting stars per minute; 0 for none.
+ * @param {Function} [options.getLevels] - Called every frame for the music's `{ energy, beat }`
+ *   (0 to 1), which brighten and swell the points.
+ * @returns {Object} `setRunning(running)` and `destroy()`.
+ */
+export const createStarfield = (canvas, options) => {
+  const {
+    seed, density, colors, drift, minSize, maxSize, glow, twinkle, shootingStars, getLevels,
+  } = options;
+  const context = canvas.getContext('2d');
+  const sprites = glow ? colors.map(createGlowSprite) : null;
+
+  let width = 0;
+  let height = 0;
+  let points = [];
+  let meteors = [];
+  // Seconds of animation shown so far; only advances while running
+  let elapsed = 0;
+  let lastFrame = null;
+  let frame = null;
+  const meteorRandom = createRandom(seed + 1);
+
+  // Points are placed in 0..1 space, so resizing stretches the sky instead of reshuffling it
+  const buildPoints = () => {
+    const random = createRandom(seed);
+    const count = Math.round((width * height / 100000) * density);
+    points = Array.from({ length: count }, () => {
+      const angle = random() * Math.PI * 2;
+      const speed = drift * (0.5 + random());
+      return {
+        x: random(),
+        y: random(),
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed,
+        radius: minSize + random() * (maxSize - minSize),
+        colorIndex: Math.floor(random() * colors.length),
+        phase: random() * Math.PI * 2,
+        rate: 0.5 + random() * 1.5,
+      };
+    });
+  };
+
+  const resize = () => {
+    const dpr = window.devicePixelRatio || 1;
+    width = canvas.clientWidth;
+    height = canvas.clientHeight;
+    canvas.width = Math.round(width * dpr);
+    canvas.height = Math.round(height * dpr);
+    context.setTransform(dpr, 0, 0, dpr, 0, 0);
+    buildPoints();
+  };
+
+  // Drifting points leave one edge and come back in at the other, just out of sight
+  const wrap = (value, size, margin) => {
+    const span = size + margin * 2;
+    return ((((value + margin) % span) + span) % span) - margin;
+  };
+
+  const drawMeteors = (delta) => {
+    if (shootingStars > 0 && meteorRandom() < (shootingStars / 60) * delta) {
+      const angle = Math.PI / 6 + meteorRandom() * Math.PI / 6;
+      meteors.push({
+        x: meteorRandom() * width,
+        y: meteorRandom() * height * 0.5,
+        dx: Math.cos(angle),
+        dy: Math.sin(angle),
+        age: 0,
+      });
+    }
+
+    meteors = meteors.filter((meteor) => meteor.age < SHOOTING_STAR_LIFE);
+    meteors.forEach((meteor) => {
+      meteor.age += delta;
+      const travelled = meteor.age * SHOOTING_STAR_SPEED;
+      const headX = meteor.x + meteor.dx * travelled;
+      const headY = meteor.y + meteor.dy * travelled;
+      const tailX = headX - meteor.dx * SHOOTING_STAR_LENGTH;
+      const tailY = headY - meteor.dy * SHOOTING_STAR_LENGTH;
+      const tail = context.createLinearGradient(headX, headY, tailX, tailY);
+      tail.addColorStop(0, 'rgba(255, 255, 255, 0.9)');
+      tail.addColorStop(1, 'rgba(255, 255, 255, 0)');
+      context.globalAlpha = 1 - meteor.age / SHOOTING_STAR_LIFE;
+      context.strokeStyle = tail;
+      context.lineWidth = 1.5;
+      context.beginPath();
+      context.moveTo(headX, headY);
+      context.lineTo(tailX, tailY);
+      context.stroke();
+    });
+  };
+
+  const draw = (delta) => {
+    const { energy = 0, beat = 0 } = getLevels ? getLevels() : {};
+    context.clearRect(0, 0, width, height);
+
+    points.forEach((point) => {
+      const wave = Math.sin(point.phase + elapsed * point.rate);
+      const radius = point.radius * (1 + 0.1 * twinkle * wave) * (1 + 0.5 * beat);
+      const x = wrap(point.x * width + point.vx * elapsed, width, radius * 2);
+      const y = wrap(point.y * height + point.vy * elapsed, height, radius * 2);
+      context.globalAlpha = Math.min(1, (1 - twinkle * 0.5 * (1 - wave)) * (0.7 + 0.6 * energy));
+
+      if (sprites) {
+        // The sprite's blob fills half its width, so stamp it at twice the radius on each side
+        context.drawImage(sprites[point.colorIndex], x - radius * 2, y - radius * 2, radius * 4, radius * 4);
+      } else {
+        context.fillStyle = colors[point.colorIndex];
+        context.beginPath();
+        context.arc(x, y, radius, 0, Math.PI * 2);
+        context.fill();
+      }
+    });
+
+    drawMeteors(delta);
+    context.globalAlpha = 1;
+  };
+
+  const tick = (time) => {
+    const delta = lastFrame === null ? 0 : Math.min(0.1, (time - lastFrame) / 1000);
+    lastFrame = time;
+    elapsed += delta;
+    draw(delta);
+    frame = requestAnimationFrame(tick);
+  };
+
+  const resizeObserver = new ResizeObserver(() => {
+    resize();
+    draw(0);
+  });
+  resizeObserver.observe(canvas);
+  resize();
+  draw(0);
+
+  return {
+    setRunning: (running) => {
+      if (running && frame === null) {
+        lastFrame = null;
+        frame = requestAnimationFrame(tick);
+      } else if (!running && frame !== null) {
+        cancelAnimationFrame(frame);
+        frame = null;
+      }
+    },
+    destroy: () => {
+      cancelAnimationFrame(frame);
+      frame = null;
+      resizeObserver.disconnect();
+    },
+  };
+};
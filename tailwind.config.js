@@ -0,0 +1,26 @@
+/** @type {import('tailwindcss').Config} */
+
+// Theme colours are CSS variables holding bare RGB channels (see theme.js), so opacity classes work on them
+const themeColor = (name) => `rgb(var(--${name}) / <alpha-value>)`;
+const shades = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+
+export default {
+  // Class names are only ever written out in full, so scanning the source finds every one in use
+  content: ['./index.html', './*.{js,ts,tsx}'],
+  theme: {
+    extend: {
+      colors: {
+        accent: Object.fromEntries(shades.map((shade) => [shade, themeColor(`accent-${shade}`)])),
+        night: Object.fromEntries(['base', 'mid', 'high', 'ink', 'sea', 'ocean', 'slate', 'void'].map((name) => [name, themeColor(`night-${name}`)])),
+        reunion: Object.fromEntries(['base', 'mid', 'high'].map((name) => [name, themeColor(`reunion-${name}`)])),
+      },
+      fontFamily: {
+        heading: 'var(--font-heading)',
+        body: 'var(--font-body)',
+        hand: 'var(--font-hand)',
+        flourish: 'var(--font-flourish)',
+      },
+    },
+  },
+  plugins: [],
+};
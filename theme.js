@@ -0,0 +1,206 @@
+// --- Theme ---
+// The page's colours and fonts, from `appConfig.theme`: a named preset, with any of its accent, gradient
+// colours and fonts replaced. They reach the page as CSS variables, which the `accent-*`, `night-*`,
+// `reunion-*` and `font-*` classes in tailwind.config.js read.
+
+// The bundled fonts (see fonts.css), plus the system's own serif and sans-serif
+export const FONT_STACKS = {
+  playfair: "'Playfair Display', serif",
+  cinzel: "'Cinzel', serif",
+  caveat: "'Caveat', cursive",
+  dancing: "'Dancing Script', cursive",
+  serif: "Georgia, 'Times New Roman', serif",
+  sans: "system-ui, 'Segoe UI', Roboto, sans-serif",
+};
+
+export const THEME_PRESETS = {
+  // Pink on indigo, the page's own look
+  midnight: {
+    accent: {
+      100: '#fce7f3',
+      200: '#fbcfe8',
+      300: '#f9a8d4',
+      400: '#f472b6',
+      500: '#ec4899',
+      600: '#db2777',
+      700: '#be185d',
+      800: '#9d174d',
+      900: '#831843',
+    },
+    night: {
+      base: '#0f0c29',
+      mid: '#24243e',
+      high: '#302b63',
+      ink: '#1a1a2e',
+      sea: '#16213e',
+      ocean: '#0f3460',
+      slate: '#2c3e50',
+      void: '#000000',
+    },
+    reunion: { base: '#2b0f29', mid: '#5a1e4a', high: '#8e3b63' },
+    // The moon's lit face, from its brightest point to the shaded limb
+    moon: { light: '#f0f0f0', shade: '#a0a0a0' },
+    fonts: { heading: 'cinzel', body: 'playfair', hand: 'caveat', flourish: 'dancing' },
+  },
+  // The royal blues of the first, hand-written version of the page, deepened so light text stays readable
+  royal: {
+    accent: {
+      100: '#e8f0fe',
+      200: '#d2e3fc',
+      300: '#aecbfa',
+      400: '#8ab4f8',
+      500: '#4a90e2',
+      600: '#2c6fb5',
+      700: '#1a4f8a',
+      800: '#143d6b',
+      900: '#0e2a4a',
+    },
+    night: {
+      base: '#0b1a33',
+      mid: '#12294d',
+      high: '#1a3a66',
+      ink: '#0f2240',
+      sea: '#0e2547',
+      ocean: '#133a6b',
+      slate: '#1c3550',
+      void: '#02060f',
+    },
+    reunion: { base: '#13284a', mid: '#1f4478', high: '#28548e' },
+    moon: { light: '#f2f5fb', shade: '#9aa5b8' },
+    fonts: { heading: 'playfair', body: 'playfair', hand: 'caveat', flourish: 'dancing' },
+  },
+};
+
+// How far the gradients lean towards the sky's colour at dusk and dawn. The tints are deep rather than
+// bright, so warming the gradients doesn't lighten them enough to cost the text its contrast.
+const SKY_TINTS = {
+  dusk: { color: '#6b2c3a', amount: 0.3 },
+  dawn: { color: '#6b3a4a', amount: 0.2 },
+};
+export const SKY_PHASES = ['night', 'dusk', 'dawn'];
+
+// The local day as [hour, phase] points; in between, the colours blend from one phase into the next
+const DAY_KEYFRAMES = [[0, 'night'], [4.5, 'night'], [6.5, 'dawn'], [16, 'dawn'], [18, 'dusk'], [20.5, 'night'], [24, 'night']];
+
+const HEX_COLOR = /^#[0-9a-fA-F]{6}$/;
+
+/**
+ * isHexColor: Checks that a value is a whole "#rrggbb" colour, as the schema asks for.
+ * @param {*} value - The value to check.
+ * @returns {boolean} True if it is one.
+ */
+export const isHexColor = (value) => typeof value === 'string' && HEX_COLOR.test(value);
+
+// Anything but a "#rrggbb" colour has no channels
+const toChannels = (hex) => (isHexColor(hex) ? hex.slice(1).match(/.{2}/g).map((part) => parseInt(part, 16)) : null);
+
+/**
+ * mixColors: Blends two colours.
+ * @param {string} from - The first colour, as "#rrggbb".
+ * @param {string} to - The second colour.
+ * @param {number} amount - How much of `to` to take, 0 to 1.
+ * @returns {string} The blend, as "#rrggbb".
+ */
+export const mixColors = (from, to, amount) => {
+  const [a, b] = [toChannels(from), toChannels(to)];
+  return `#${a.map((value, i) => Math.round(value + (b[i] - value) * amount).toString(16).padStart(2, '0')).join('')}`;
+};
+
+// Fields left empty (as the config editor leaves them) keep the preset's value
+const chosen = (overrides = {}) => Object.fromEntries(Object.entries(overrides).filter(([, value]) => value));
+// So do colours that aren't whole "#rrggbb" ones, such as one still being typed into the editor
+const chosenColors = (overrides = {}) => Object.fromEntries(Object.entries(overrides).filter(([, value]) => isHexColor(value)));
+
+const mapPalette = (palette, change) => Object.fromEntries(Object.entries(palette).map(([name, color]) => [name, change(color, name)]));
+
+/**
+ * accentScale: Mixes the lighter and darker shades of an accent from a single colour, used as its 500.
+ * @param {string} color - The accent, as "#rrggbb".
+ * @returns {Object} Shades 100 to 900.
+ */
+export const accentScale = (color) => ({
+  100: mixColors(color, '#ffffff', 0.85),
+  200: mixColors(color, '#ffffff', 0.7),
+  300: mixColors(color, '#ffffff', 0.5),
+  400: mixColors(color, '#ffffff', 0.25),
+  500: color,
+  600: mixColors(color, '#000000', 0.15),
+  700: mixColors(color, '#000000', 0.3),
+  800: mixColors(color, '#000000', 0.45),
+  900: mixColors(color, '#000000', 0.55),
+});
+
+/**
+ * resolveTheme: Works out the colours and fonts of a theme config.
+ * Malformed colours and unknown fonts are passed over for the preset's, so an unvalidated config (the
+ * editor's draft) still gives a whole theme.
+ * @param {Object} [themeConfig={}] - The config's `theme` section.
+ * @returns {Object} The `accent` shades, the `night` and `reunion` gradient colours, the `moon` colours, the
+ *   `fonts` (as CSS font stacks), and whether the colours follow the `timeOfDay`.
+ */
+export const resolveTheme = (themeConfig = {}) => {
+  const preset = THEME_PRESETS[themeConfig.preset] || THEME_PRESETS.midnight;
+  const fonts = { ...preset.fonts, ...chosen(themeConfig.fonts) };
+  return {
+    accent: isHexColor(themeConfig.accent) ? accentScale(themeConfig.accent) : preset.accent,
+    night: { ...preset.night, ...chosenColors(themeConfig.gradient) },
+    reunion: { ...preset.reunion, ...chosenColors(themeConfig.reunionGradient) },
+    moon: { ...preset.moon, ...chosenColors(themeConfig.moon) },
+    fonts: mapPalette(fonts, (key) => FONT_STACKS[key] || FONT_STACKS.serif),
+    timeOfDay: themeConfig.mode === 'timeOfDay',
+  };
+};
+
+/**
+ * themeAtPhase: Tints a theme's gradients for a time of day. The accent and fonts stay as they are.
+ * @param {Object} theme - A theme from `resolveTheme`.
+ * @param {'night'|'dusk'|'dawn'} phase - The time of day; night is the theme's own colours.
+ * @returns {Object} The tinted theme.
+ */
+export const themeAtPhase = (theme, phase) => {
+  const tint = SKY_TINTS[phase];
+  if (!tint) return theme;
+  const lean = (color) => mixColors(color, tint.color, tint.amount);
+  return { ...theme, night: mapPalette(theme.night, lean), reunion: mapPalette(theme.reunion, lean) };
+};
+
+/**
+ * themeAtTime: Moves a theme's gradients through dusk, night and dawn by the local time of day.
+ * @param {Object} theme - A theme from `resolveTheme`.
+ * @param {Date} date - The moment, read in the visitor's own timezone.
+ * @returns {Object} The theme as it looks at that moment.
+ */
+export const themeAtTime = (theme, date) => {
+  const hour = date.getHours() + date.getMinutes() / 60;
+  const next = DAY_KEYFRAMES.findIndex(([keyframeHour]) => keyframeHour > hour);
+  const [fromHour, fromPhase] = DAY_KEYFRAMES[next - 1];
+  const [toHour, toPhase] = DAY_KEYFRAMES[next];
+  const amount = (hour - fromHour) / (toHour - fromHour);
+  const [from, to] = [themeAtPhase(theme, fromPhase), themeAtPhase(theme, toPhase)];
+  return {
+    ...theme,
+    night: mapPalette(from.night, (color, name) => mixColors(color, to.night[name], amount)),
+    reunion: mapPalette(from.reunion, (color, name) => mixColors(color, to.reunion[name], amount)),
+  };
+};
+
+/**
+ * themeCss: Writes a theme out as CSS variables on the root element.
+ * Colours are given as bare RGB channels ("15 12 41"), so Tailwind's opacity classes still apply to them.
+ * @param {Object} theme - A theme from `resolveTheme`.
+ * @returns {string} The CSS rule.
+ */
+export const themeCss = (theme) => {
+  // A malformed colour is left out rather than written as a broken variable
+  const colors = (prefix, palette) => Object.entries(palette)
+    .filter(([, color]) => isHexColor(color))
+    .map(([name, color]) => `--${prefix}-${name}: ${toChannels(color).join(' ')};`);
+  const variables = [
+    ...colors('accent', theme.accent),
+    ...colors('night', theme.night),
+    ...colors('reunion', theme.reunion),
+    ...colors('moon', theme.moon),
+    ...Object.entries(theme.fonts).map(([role, stack]) => `--font-${role}: ${stack};`),
+  ];
+  return `:root { ${variables.join(' ')} }`;
+};
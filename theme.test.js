@@ -0,0 +1,59 @@
+import { describe, expect, it } from 'vitest';
+import { FONT_STACKS, THEME_PRESETS, accentScale, resolveTheme, themeCss } from './theme.js';
+
+const { midnight, royal } = THEME_PRESETS;
+
+describe('resolveTheme', () => {
+  it('is the midnight preset without a config, or with an unknown preset', () => {
+    for (const theme of [resolveTheme(), resolveTheme({ preset: 'sunrise' })]) {
+      expect(theme).toMatchObject({ accent: midnight.accent, night: midnight.night, moon: midnight.moon, timeOfDay: false });
+    }
+  });
+
+  it('replaces only the colours and fonts it is given', () => {
+    const theme = resolveTheme({
+      preset: 'royal',
+      accent: '#ec4899',
+      gradient: { base: '#000000', mid: '' },
+      moon: { shade: '#808080' },
+      fonts: { heading: 'sans' },
+    });
+    expect(theme.accent).toEqual(accentScale('#ec4899'));
+    expect(theme.night).toEqual({ ...royal.night, base: '#000000' });
+    expect(theme.moon).toEqual({ ...royal.moon, shade: '#808080' });
+    expect(theme.fonts.heading).toBe(FONT_STACKS.sans);
+    expect(theme.fonts.body).toBe(FONT_STACKS.playfair);
+  });
+
+  it('keeps the preset for malformed colours, such as ones still being typed', () => {
+    const theme = resolveTheme({
+      accent: '#',
+      gradient: { base: '#e', mid: '#ec4', high: 'pink', ink: 42 },
+      reunionGradient: { base: '#ec48' },
+      moon: { light: 'ec4899', shade: '#ec4899ff' },
+    });
+    expect(theme.accent).toEqual(midnight.accent);
+    expect(theme.night).toEqual(midnight.night);
+    expect(theme.reunion).toEqual(midnight.reunion);
+    expect(theme.moon).toEqual(midnight.moon);
+  });
+
+  it('falls back to a serif for unknown fonts', () => {
+    expect(resolveTheme({ fonts: { body: 'comic' } }).fonts.body).toBe(FONT_STACKS.serif);
+  });
+});
+
+describe('themeCss', () => {
+  it('writes colours as RGB channels', () => {
+    const css = themeCss(resolveTheme({ moon: { light: '#ff8000' } }));
+    expect(css).toContain('--moon-light: 255 128 0;');
+    expect(css).toContain('--accent-500: 236 72 153;');
+  });
+
+  it('leaves out malformed colours instead of throwing', () => {
+    const theme = resolveTheme();
+    const css = themeCss({ ...theme, moon: { light: '#ec4', shade: '#a0a0a0' } });
+    expect(css).not.toContain('--moon-light');
+    expect(css).toContain('--moon-shade: 160 160 160;');
+  });
+});
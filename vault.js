@@ -0,0 +1,92 @@
+// --- Vault ---
+// Passphrase encryption for content that must not be readable from the page source or config.json:
+// the time-locked letters, the journal when it has a passphrase, and, when the deployer locks it, the whole config.
+// Uses WebCrypto, which both browsers and Node (for the CLI scripts) provide as `crypto.subtle`.
+
+// PBKDF2 rounds for turning a passphrase into a key. A slow derivation costs a visitor a moment
+// once, and anyone guessing passphrases that moment for every guess.
+const KEY_ITERATIONS = 250000;
+
+const toBase64 = (bytes) => btoa(Array.from(bytes, (byte) => String.fromCharCode(byte)).join(''));
+const fromBase64 = (text) => Uint8Array.from(atob(text), (char) => char.charCodeAt(0));
+
+/**
+ * deriveKey: Turns a passphrase into the AES-GCM key for a sealed text.
+ * The key can't be exported, but it can be kept in IndexedDB (see configLock.js).
+ * @param {string} passphrase - The passphrase.
+ * @param {Object} sealed - The sealed text, whose `salt` the key is derived with.
+ * @returns {Promise<CryptoKey>} The key.
+ */
+export const deriveKey = async (passphrase, { salt }) => {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(salt), iterations: KEY_ITERATIONS, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+};
+
+/**
+ * createSalt: Makes a fresh random salt for deriveKey.
+ * @returns {string} 16 random bytes in base64.
+ */
+export const createSalt = () => toBase64(crypto.getRandomValues(new Uint8Array(16)));
+
+/**
+ * sealWithKey: Encrypts a text with a key from deriveKey, under a fresh IV.
+ * Lets many texts share one key (and salt), as the journal's entries do, without deriving it each time.
+ * @param {string} text - The text.
+ * @param {CryptoKey} key - The key.
+ * @returns {Promise<Object>} The base64 `iv` and `data`.
+ */
+export const sealWithKey = async (text, key) => {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(text));
+  return { iv: toBase64(iv), data: toBase64(new Uint8Array(data)) };
+};
+
+/**
+ * sealText: Encrypts a text with a passphrase.
+ * Every text gets its own salt and IV, so texts sealed with the same passphrase share nothing.
+ * @param {string} text - The text.
+ * @param {string} passphrase - The passphrase it will open with.
+ * @returns {Promise<Object>} The sealed text: base64 `salt`, `iv` and `data`, as stored in the config.
+ */
+export const sealText = async (text, passphrase) => {
+  const salt = createSalt();
+  const key = await deriveKey(passphrase, { salt });
+  return { salt, ...(await sealWithKey(text, key)) };
+};
+
+/**
+ * unsealWithKey: Decrypts a sealed text with a key from deriveKey.
+ * @param {Object} sealed - The sealed text, as returned by sealText.
+ * @param {CryptoKey} key - The key to try.
+ * @returns {Promise<string|null>} The text, or null if the key is wrong (or the text was altered, which
+ *   AES-GCM can't tell apart).
+ */
+export const unsealWithKey = async (sealed, key) => {
+  try {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(sealed.iv) }, key, fromBase64(sealed.data));
+    return new TextDecoder().decode(data);
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * unsealText: Decrypts a sealed text with a passphrase.
+ * @param {Object} sealed - The sealed text, as returned by sealText.
+ * @param {string} passphrase - The passphrase to try.
+ * @returns {Promise<string|null>} The text, or null if the passphrase is wrong.
+ */
+export const unsealText = async (sealed, passphrase) => {
+  try {
+    return await unsealWithKey(sealed, await deriveKey(passphrase, sealed));
+  } catch {
+    // Salt that isn't base64 never makes a key
+    return null;
+  }
+};
@@ -0,0 +1,61 @@
+// --- Visual Layers ---
+// Pieces of the backdrop shared by the page and its sections: parallax layers and starfield canvases.
+
+import { useState, useEffect, useRef, useContext } from 'react';
+import { motion, useTransform } from 'framer-motion';
+import { createStarfield } from './starfield.js';
+import { ParallaxContext, useMusic, useReduceMotion } from './appContext.js';
+import { usePageVisible } from './hooks.js';
+
+/**
+ * ParallaxLayer Component: Moves its children with the shared parallax point.
+ * @param {Object} props - Component props.
+ * @param {number} props.strength - How far the layer moves, in pixels, at the edge of the range;
+ *   negative values move it the other way, like something far behind.
+ * @param {string} [props.className] - Classes for the wrapper.
+ * @param {React.ReactNode} props.children - What to move.
+ */
+export const ParallaxLayer = ({ strength, className, children }) => {
+  const parallax = useContext(ParallaxContext);
+  const x = useTransform(parallax.x, [-1, 1], [-strength, strength]);
+  const y = useTransform(parallax.y, [-1, 1], [-strength, strength]);
+  return <motion.div className={className} style={{ x, y }}>{children}</motion.div>;
+};
+
+/**
+ * Starfield Component: A canvas of drifting particles or twinkling stars (see starfield.js).
+ * It only animates while on screen, in a visible tab and without a reduced-motion preference,
+ * and it follows the music while that drives the visuals.
+ * @param {Object} props - Component props.
+ * @param {Object} props.layer - One of the `visuals` layers from the config.
+ * @param {string} [props.className] - Classes that position and size the canvas.
+ */
+export const Starfield = ({ layer, className = "absolute inset-0 w-full h-full" }) => {
+  const canvasRef = useRef(null);
+  const starfieldRef = useRef(null);
+  const { energy, beat } = useMusic();
+  const reduceMotion = useReduceMotion();
+  const isPageVisible = usePageVisible();
+  const [isOnScreen, setIsOnScreen] = useState(false);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const starfield = createStarfield(canvas, { ...layer, getLevels: () => ({ energy: energy.get(), beat: beat.get() }) });
+    starfieldRef.current = starfield;
+    const observer = new IntersectionObserver(([entry]) => setIsOnScreen(entry.isIntersecting));
+    observer.observe(canvas);
+
+    // Cleanup observer and animation on unmount
+    return () => {
+      observer.disconnect();
+      starfield.destroy();
+      starfieldRef.current = null;
+    };
+  }, [layer, energy, beat]);
+
+  useEffect(() => {
+    starfieldRef.current?.setRunning(isOnScreen && isPageVisible && !reduceMotion);
+  }, [layer, isOnScreen, isPageVisible, reduceMotion]);
+
+  return <canvas ref={canvasRef} className={`pointer-events-none ${className}`} aria-hidden="true"></canvas>;
+};
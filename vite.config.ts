@@ -1,12 +1,33 @@
 import path from 'path';
-import { defineConfig, loadEnv } from 'vite';
+import { defineConfig } from 'vite';
+import { serviceWorker } from './serviceWorkerPlugin.js';
+import { prerenderPage } from './prerenderPlugin.js';
 
-export default defineConfig(({ mode }) => {
-    const env = loadEnv(mode, '.', '');
+export default defineConfig(() => {
     return {
-      define: {
-        'process.env.API_KEY': JSON.stringify(env.GEMINI_API_KEY),
-        'process.env.GEMINI_API_KEY': JSON.stringify(env.GEMINI_API_KEY)
+      // Nothing from .env.local is defined for the page: whatever is, ends up readable in the public
+      // bundle. The Gemini key stays with the shayari proxy (shayariProxy.js).
+      plugins: [prerenderPage(), serviceWorker()],
+      // The app's components are JSX in plain .js files; the tsx loader reads both JSX and TypeScript
+      esbuild: {
+        loader: 'tsx',
+        include: /\.(js|jsx|ts|tsx)$/,
+        exclude: /node_modules/,
+        jsx: 'automatic',
+      },
+      optimizeDeps: {
+        esbuildOptions: {
+          loader: { '.js': 'jsx' },
+        },
+      },
+      build: {
+        rollupOptions: {
+          onwarn(warning, warn) {
+            // framer-motion marks its modules "use client" for server components, which doesn't apply here
+            if (warning.code === 'MODULE_LEVEL_DIRECTIVE') return;
+            warn(warning);
+          },
+        },
       },
       resolve: {
         alias: {